@@ -5,6 +5,10 @@ const bcrypt = require('bcryptjs');
 // MongoDB connection
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/conference-booking';
 
+// Opening hours for Monday to Friday; locations are closed at weekends
+const weekdayHours = (open, close) => ['monday', 'tuesday', 'wednesday', 'thursday', 'friday']
+  .map(day => ({ day, open, close }));
+
 // Sample data
 const locations = [
   {
@@ -12,6 +16,9 @@ const locations = [
     address: '123 Business Street',
     city: 'London',
     country: 'UK',
+    currency: 'GBP',
+    timezone: 'Europe/London',
+    openingHours: weekdayHours('07:00', '20:00'),
     description: 'Main office in Central London'
   },
   {
@@ -19,6 +26,9 @@ const locations = [
     address: '456 Manhattan Avenue',
     city: 'New York',
     country: 'USA',
+    currency: 'USD',
+    timezone: 'America/New_York',
+    openingHours: weekdayHours('07:00', '20:00'),
     description: 'USA headquarters in Manhattan'
   },
   {
@@ -26,6 +36,9 @@ const locations = [
     address: '789 Shibuya',
     city: 'Tokyo',
     country: 'Japan',
+    currency: 'JPY',
+    timezone: 'Asia/Tokyo',
+    openingHours: weekdayHours('07:00', '20:00'),
     description: 'Asia Pacific headquarters'
   },
   {
@@ -33,6 +46,9 @@ const locations = [
     address: '321 Tech Boulevard',
     city: 'Berlin',
     country: 'Germany',
+    currency: 'EUR',
+    timezone: 'Europe/Berlin',
+    openingHours: weekdayHours('07:00', '20:00'),
     description: 'European tech hub'
   },
   {
@@ -40,17 +56,34 @@ const locations = [
     address: '555 Harbor View',
     city: 'Sydney',
     country: 'Australia',
+    currency: 'AUD',
+    timezone: 'Australia/Sydney',
+    openingHours: weekdayHours('07:00', '20:00'),
     description: 'Oceania regional office'
   }
 ];
 
-// Rooms will be created per location (3 rooms each)
-const getRoomsForLocation = (locationId, locationName) => [
+// Exchange rates against USD (the base currency); admins update them via /exchange-rates
+const exchangeRates = [
+  { currency: 'GBP', rate: 0.79 },
+  { currency: 'EUR', rate: 0.92 },
+  { currency: 'JPY', rate: 150 },
+  { currency: 'AUD', rate: 1.52 }
+];
+
+// Room prices below are in USD; convert them to the location's currency
+const localPrice = (usdPrice, currency) => {
+  const exchangeRate = exchangeRates.find(r => r.currency === currency);
+  return exchangeRate ? Math.round(usdPrice * exchangeRate.rate) : usdPrice;
+};
+
+// Rooms will be created per location (3 rooms each), priced in its currency
+const getRoomsForLocation = (locationId, locationName, currency) => [
   {
     name: `Conference Room A - ${locationName}`,
     locationId,
     capacity: 20,
-    basePrice: 250,
+    basePrice: localPrice(250, currency),
     amenities: ['Projector', 'Whiteboard', 'Video Conference', 'WiFi'],
     description: 'Large conference room with modern amenities',
     floor: 3
@@ -59,7 +92,7 @@ const getRoomsForLocation = (locationId, locationName) => [
     name: `Meeting Room B - ${locationName}`,
     locationId,
     capacity: 10,
-    basePrice: 150,
+    basePrice: localPrice(150, currency),
     amenities: ['TV Screen', 'Whiteboard', 'WiFi'],
     description: 'Medium meeting room for team discussions',
     floor: 2
@@ -68,7 +101,7 @@ const getRoomsForLocation = (locationId, locationName) => [
     name: `Executive Boardroom - ${locationName}`,
     locationId,
     capacity: 30,
-    basePrice: 500,
+    basePrice: localPrice(500, currency),
     amenities: ['4K Display', 'Video Conference', 'Catering Service', 'WiFi', 'Sound System'],
     description: 'Premium boardroom for executive meetings',
     floor: 5
@@ -97,6 +130,9 @@ const locationSchema = new mongoose.Schema({
   address: String,
   city: String,
   country: String,
+  currency: String,
+  timezone: String,
+  openingHours: [{ _id: false, day: String, open: String, close: String }],
   description: String,
   isActive: { type: Boolean, default: true },
   createdAt: { type: Date, default: Date.now },
@@ -116,6 +152,11 @@ const roomSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now }
 }, { timestamps: true });
 
+const exchangeRateSchema = new mongoose.Schema({
+  currency: String,
+  rate: Number
+}, { timestamps: true });
+
 const userSchema = new mongoose.Schema({
   email: String,
   password: String,
@@ -130,6 +171,7 @@ const userSchema = new mongoose.Schema({
 const Location = mongoose.model('Location', locationSchema);
 const Room = mongoose.model('Room', roomSchema);
 const User = mongoose.model('User', userSchema);
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
 
 async function seed() {
   try {
@@ -148,6 +190,7 @@ async function seed() {
     await Location.deleteMany({});
     await Room.deleteMany({});
     await User.deleteMany({});
+    await ExchangeRate.deleteMany({});
     console.log('✅ Existing data cleared\n');
 
     // Create locations
@@ -155,7 +198,7 @@ async function seed() {
     const createdLocations = await Location.insertMany(locations);
     console.log(`✅ Created ${createdLocations.length} locations:`);
     createdLocations.forEach(loc => {
-      console.log(`   - ${loc.name} (${loc.city}, ${loc.country})`);
+      console.log(`   - ${loc.name} (${loc.city}, ${loc.country}) - ${loc.currency}`);
     });
     console.log('');
 
@@ -163,13 +206,21 @@ async function seed() {
     console.log('🏢 Creating rooms...');
     let totalRooms = 0;
     for (const location of createdLocations) {
-      const rooms = getRoomsForLocation(location._id, location.city);
+      const rooms = getRoomsForLocation(location._id, location.city, location.currency);
       const createdRooms = await Room.insertMany(rooms);
       totalRooms += createdRooms.length;
       console.log(`   - ${createdRooms.length} rooms for ${location.name}`);
     }
     console.log(`✅ Created ${totalRooms} rooms total\n`);
 
+    // Create exchange rates
+    console.log('💱 Creating exchange rates...');
+    await ExchangeRate.insertMany(exchangeRates);
+    exchangeRates.forEach(({ currency, rate }) => {
+      console.log(`   - 1 USD = ${rate} ${currency}`);
+    });
+    console.log(`✅ Created ${exchangeRates.length} exchange rates\n`);
+
     // Create users
     console.log('👥 Creating users...');
     for (const userData of users) {
@@ -202,6 +253,7 @@ async function seed() {
     console.log('📊 Database Summary:');
     console.log(`   - Locations: ${createdLocations.length}`);
     console.log(`   - Rooms: ${totalRooms}`);
+    console.log(`   - Exchange rates: ${exchangeRates.length}`);
     console.log(`   - Users: ${users.length}`);
     console.log('');
 
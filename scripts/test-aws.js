@@ -109,8 +109,9 @@ async function findAvailableDate(roomId, token, adminToken = null) {
       );
 
       // Merge booked dates from both sources
-      const availabilityBookedDates =
-        availabilityResponse.data.bookedDates || [];
+      const availabilityBookedDates = (availabilityResponse.data.days || [])
+        .filter((day) => day.busy.length > 0)
+        .map((day) => day.date);
       allBookedDates = [
         ...new Set([...allBookedDates, ...availabilityBookedDates]),
       ];
@@ -753,6 +754,8 @@ async function runTests() {
           {
             roomId: roomIdStr,
             date: dateStr,
+            startTime: "09:00",
+            endTime: "10:00",
           },
           {
             headers: { Authorization: `Bearer ${testData.userToken}` },
@@ -815,6 +818,8 @@ async function runTests() {
               {
                 roomId: roomIdStr,
                 date: retryDateStr,
+                startTime: "09:00",
+                endTime: "10:00",
               },
               {
                 headers: { Authorization: `Bearer ${testData.userToken}` },
@@ -171,7 +171,9 @@ async function quickTest() {
         `${API_GATEWAY_URL}/bookings`,
         {
           roomId: roomId,
-          date: dateStr
+          date: dateStr,
+          startTime: '09:00',
+          endTime: '10:00'
         },
         {
           headers: {
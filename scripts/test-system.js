@@ -408,7 +408,9 @@ async function testBookingService() {
   try {
     const bookingData = await apiCall('POST', `${API_GATEWAY_URL}/bookings`, {
       roomId: testRoomId,
-      date: dateStr
+      date: dateStr,
+      startTime: '09:00',
+      endTime: '10:00'
     }, {
       Authorization: `Bearer ${userToken}`
     });
@@ -428,7 +430,9 @@ async function testBookingService() {
   try {
     await apiCall('POST', `${API_GATEWAY_URL}/bookings`, {
       roomId: roomId,
-      date: dateStr
+      date: dateStr,
+      startTime: '09:00',
+      endTime: '10:00'
     }, {
       Authorization: `Bearer ${userToken}`
     }, true);
@@ -513,7 +517,9 @@ async function testBookingService() {
   try {
     await apiCall('POST', `${API_GATEWAY_URL}/bookings`, {
       roomId: roomId,
-      date: pastDateStr
+      date: pastDateStr,
+      startTime: '09:00',
+      endTime: '10:00'
     }, {
       Authorization: `Bearer ${userToken}`
     }, true);
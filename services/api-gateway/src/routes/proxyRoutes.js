@@ -7,6 +7,7 @@ const { authLimiter } = require('../middleware/rateLimiter');
 // Proxy options for all services
 const proxyOptions = {
   changeOrigin: true,
+  xfwd: true, // Pass the client IP on to services (X-Forwarded-For)
   logLevel: process.env.NODE_ENV === 'development' ? 'debug' : 'error',
   timeout: 60000, // 60 second timeout for proxy requests
   proxyTimeout: 60000, // 60 second timeout for proxy response
@@ -51,7 +52,7 @@ router.use(
   })
 );
 
-// Room Service Routes (Locations & Rooms)
+// Room Service Routes (Locations, Rooms, Exchange Rates & Blackouts)
 router.use(
   '/locations',
   createProxyMiddleware({
@@ -68,6 +69,22 @@ router.use(
   })
 );
 
+router.use(
+  '/exchange-rates',
+  createProxyMiddleware({
+    target: services.room,
+    ...proxyOptions
+  })
+);
+
+router.use(
+  '/blackouts',
+  createProxyMiddleware({
+    target: services.room,
+    ...proxyOptions
+  })
+);
+
 // Booking Service Routes
 router.use(
   '/bookings',
@@ -79,6 +96,55 @@ router.use(
   })
 );
 
+// Booking Service admin routes (pricing, promo codes, cancellation policies, tax rates, analytics, audit log)
+router.use(
+  '/pricing-rules',
+  createProxyMiddleware({
+    target: services.booking,
+    ...proxyOptions
+  })
+);
+
+router.use(
+  '/promo-codes',
+  createProxyMiddleware({
+    target: services.booking,
+    ...proxyOptions
+  })
+);
+
+router.use(
+  '/cancellation-policies',
+  createProxyMiddleware({
+    target: services.booking,
+    ...proxyOptions
+  })
+);
+
+router.use(
+  '/tax-rates',
+  createProxyMiddleware({
+    target: services.booking,
+    ...proxyOptions
+  })
+);
+
+router.use(
+  '/analytics',
+  createProxyMiddleware({
+    target: services.booking,
+    ...proxyOptions
+  })
+);
+
+router.use(
+  '/audit',
+  createProxyMiddleware({
+    target: services.booking,
+    ...proxyOptions
+  })
+);
+
 // Weather Service Routes
 // Handle both direct service URLs and ALB URLs with path prefixes
 let weatherTarget = services.weather;
@@ -43,7 +43,8 @@ app.get('/', (req, res) => {
       login: 'POST /login',
       verify: 'GET /verify',
       profile: 'GET /me',
-      updateProfile: 'PUT /me'
+      updateProfile: 'PUT /me',
+      user: 'GET /users/:id (admin)'
     }
   });
 });
@@ -303,3 +303,50 @@ exports.updateProfile = async (req, res) => {
   }
 };
 
+
+/**
+ * GET /users/:id
+ * Get a user's profile (Admin only)
+ * Used by the Booking Service when an admin books on someone's behalf
+ */
+exports.getUserById = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: {
+          id: user._id,
+          email: user.email,
+          name: user.name,
+          role: user.role,
+          isActive: user.isActive
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get user',
+      message: error.message
+    });
+  }
+};
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
 const { registerValidation, loginValidation } = require('../middleware/validators');
 
 // Public routes
@@ -13,5 +13,8 @@ router.get('/verify', authController.verifyToken);
 router.get('/me', protect, authController.getProfile);
 router.put('/me', protect, authController.updateProfile);
 
+// Admin routes
+router.get('/users/:id', protect, authorize('admin'), authController.getUserById);
+
 module.exports = router;
 
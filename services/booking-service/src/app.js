@@ -2,11 +2,20 @@ const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
 const bookingRoutes = require('./routes/bookingRoutes');
+const pricingRuleRoutes = require('./routes/pricingRuleRoutes');
+const promoCodeRoutes = require('./routes/promoCodeRoutes');
+const cancellationPolicyRoutes = require('./routes/cancellationPolicyRoutes');
+const taxRateRoutes = require('./routes/taxRateRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
+const auditRoutes = require('./routes/auditRoutes');
 const errorHandler = require('./middleware/errorHandler');
 const notFound = require('./middleware/notFound');
 
 const app = express();
 
+// Requests arrive through the API Gateway; take the client IP from X-Forwarded-For
+app.set('trust proxy', 1);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -45,22 +54,60 @@ app.get('/', (req, res) => {
     description: 'Conference room booking service with weather-based pricing',
     endpoints: {
       health: 'GET /health',
-      createBooking: 'POST /bookings (authenticated)',
+      createBooking: 'POST /bookings (authenticated, supports Idempotency-Key)',
+      getQuote: 'GET /bookings/quote?roomId=&date=&startTime=&endTime= (authenticated)',
+      getQuoteCalendar: 'GET /bookings/quote/calendar?roomId=&startDate=&endDate= (authenticated)',
+      createHold: 'POST /bookings/holds (authenticated)',
+      confirmHold: 'POST /bookings/holds/:id/confirm (authenticated)',
+      releaseHold: 'DELETE /bookings/holds/:id (authenticated)',
       getUserBookings: 'GET /bookings/user/:userId (authenticated)',
       getBooking: 'GET /bookings/:id (authenticated)',
-      cancelBooking: 'DELETE /bookings/:id (authenticated)',
+      getSeries: 'GET /bookings/series/:seriesId (authenticated)',
+      updateBooking: 'PATCH /bookings/:id (authenticated)',
+      checkIn: 'POST /bookings/:id/check-in (authenticated)',
+      cancelBooking: 'DELETE /bookings/:id?scope=single|following|series&waiveFee=true (authenticated)',
       checkAvailability: 'GET /bookings/room/:roomId/availability (authenticated)',
-      getAllBookings: 'GET /bookings (admin)'
+      joinWaitlist: 'POST /bookings/room/:roomId/waitlist (authenticated)',
+      getWaitlist: 'GET /bookings/waitlist (authenticated)',
+      leaveWaitlist: 'DELETE /bookings/waitlist/:id (authenticated)',
+      acceptOffer: 'POST /bookings/:id/accept (authenticated)',
+      payBooking: 'POST /bookings/:id/pay (authenticated)',
+      getBookingPayments: 'GET /bookings/:id/payments (authenticated)',
+      getInvoice: 'GET /bookings/:id/invoice?format=json|pdf (authenticated)',
+      getMonthlyInvoice: 'GET /bookings/invoices/monthly?month=YYYY-MM&userId=&format=json|pdf (authenticated)',
+      getBookingIcs: 'GET /bookings/:id/ics (authenticated)',
+      getBookingHistory: 'GET /bookings/:id/history (authenticated)',
+      getCalendarToken: 'GET /bookings/user/:userId/calendar-token (authenticated)',
+      regenerateCalendarToken: 'POST /bookings/user/:userId/calendar-token (authenticated)',
+      getUserCalendar: 'GET /bookings/user/:userId/calendar.ics?token= (calendar feed token)',
+      getRoomSchedule: 'GET /bookings/room/:roomId/schedule?startDate=&endDate=&format=json|ics&token= (room calendar token)',
+      getAllBookings: 'GET /bookings?status=&startDate=&endDate=&userEmail=&locationId=&minPrice=&maxPrice=&sort=&page=&limit= (admin)',
+      exportBookings: 'GET /bookings/export?format=csv|xlsx (admin, same filters as GET /bookings)',
+      pricingRules: 'GET|POST /pricing-rules, GET|PUT|DELETE /pricing-rules/:id (admin)',
+      promoCodes: 'GET|POST /promo-codes, GET|PUT /promo-codes/:id (admin)',
+      promoRedemptions: 'GET /promo-codes/redemptions (admin)',
+      cancellationPolicies: 'GET|POST /cancellation-policies, GET|PUT|DELETE /cancellation-policies/:id (admin)',
+      taxRates: 'GET|POST /tax-rates, GET|PUT|DELETE /tax-rates/:id (admin)',
+      analytics: 'GET /analytics/occupancy|revenue|cancellations|weather-adjustment|top-users?startDate=&endDate=&interval=day|week|month (admin)',
+      auditLog: 'GET /audit?bookingId=&actorId=&action=&startDate=&endDate=&page=&limit= (admin)'
     },
     pricing: {
-      formula: 'adjustedPrice = basePrice * (1 + (deviation * 0.05))',
-      comfortableTemperature: '21°C',
-      adjustmentFactor: '0.05 (5% per degree deviation)'
+      formula: 'adjustedPrice = basePrice * hours * (multiplier of each matching pricing rule)',
+      basePrice: 'Hourly room rate',
+      ruleTypes: 'weekday, weekend, season, lead_time, last_minute, capacity, temperature',
+      defaultTemperatureRule: '1 + (deviation * 0.05) around 21°C',
+      finalPrice: 'adjustedPrice minus any promo code discount'
     }
   });
 });
 
-// Routes
+// Routes (bookingRoutes authenticates every request, so mount it last)
+app.use('/', pricingRuleRoutes);
+app.use('/', promoCodeRoutes);
+app.use('/', cancellationPolicyRoutes);
+app.use('/', taxRateRoutes);
+app.use('/', analyticsRoutes);
+app.use('/', auditRoutes);
 app.use('/', bookingRoutes);
 
 // Error handling
@@ -0,0 +1,528 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const { validationResult } = require('express-validator');
+const { getRooms } = require('../services/roomService');
+const { BASE_CURRENCY, convertAmount, getDisplayCurrency } = require('../utils/currency');
+const { roundPrice } = require('../utils/priceCalculator');
+const {
+  OCCUPIED_STATUSES,
+  SETTLED_STATUSES,
+  OCCUPANCY_HOURS_PER_DAY,
+  periodExpression,
+  revenueExpression,
+  dateRangeMatch,
+  listPeriods,
+  bookableHours,
+  percentage
+} = require('../utils/analytics');
+
+/**
+ * $match stage for bookings in the requested date range, room and location
+ */
+const matchStage = ({ startDate, endDate, roomId, locationId }, statuses) => {
+  const match = { ...dateRangeMatch(startDate, endDate), status: { $in: statuses } };
+  if (roomId) match.roomId = new mongoose.Types.ObjectId(roomId);
+  if (locationId) match.locationId = new mongoose.Types.ObjectId(locationId);
+  return { $match: match };
+};
+
+/**
+ * Response fields describing the reported range
+ */
+const rangeFields = ({ startDate, endDate }, interval) => ({
+  interval,
+  dateRange: {
+    start: startDate,
+    end: endDate
+  }
+});
+
+/**
+ * GET /analytics/occupancy?startDate=&endDate=&interval=day|week|month&groupBy=room|location&locationId=&roomId=
+ * Booked hours as a share of bookable hours per room or location, per period (Admin only)
+ * Bookable hours are the location's opening hours on each day of the period inside the range
+ * (OCCUPANCY_HOURS_PER_DAY a day where the location has none); no_show bookings count as booked
+ */
+exports.getOccupancy = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { roomId, locationId } = req.query;
+    const interval = req.query.interval || 'day';
+    const groupBy = req.query.groupBy || 'room';
+
+    const [rows, rooms] = await Promise.all([
+      Booking.aggregate([
+        matchStage(req.query, OCCUPIED_STATUSES),
+        {
+          $group: {
+            _id: { roomId: '$roomId', period: periodExpression(interval) },
+            roomName: { $last: '$roomName' },
+            locationId: { $last: '$locationId' },
+            locationName: { $last: '$locationName' },
+            bookings: { $sum: 1 },
+            bookedHours: { $sum: '$durationHours' },
+            noShowHours: { $sum: { $cond: [{ $eq: ['$status', 'no_show'] }, '$durationHours', 0] } }
+          }
+        }
+      ]),
+      getRooms({ locationId })
+    ]);
+
+    // Every active room counts, including rooms nobody booked; inactive rooms only when booked
+    const roomInfo = new Map();
+    for (const room of rooms) {
+      if (room.isActive && (!roomId || room._id === roomId)) {
+        roomInfo.set(room._id, {
+          name: room.name,
+          location: room.locationId,
+          locationId: room.locationId?._id,
+          locationName: room.locationId?.name
+        });
+      }
+    }
+    for (const row of rows) {
+      const id = row._id.roomId.toString();
+      if (!roomInfo.has(id)) {
+        roomInfo.set(id, { name: row.roomName, locationId: row.locationId?.toString(), locationName: row.locationName });
+      }
+    }
+
+    const booked = new Map(rows.map(row => [`${row._id.roomId}|${row._id.period}`, row]));
+    const periods = listPeriods(req.query.startDate, req.query.endDate, interval);
+
+    // Bookable hours per room and period, from each room's location opening hours
+    const available = new Map();
+    for (const [id, room] of roomInfo) {
+      for (const { period, dates } of periods) {
+        available.set(`${id}|${period}`, bookableHours(room.location, dates));
+      }
+    }
+
+    // Group rooms into series: one per room, or one per location
+    const series = new Map();
+    for (const [id, room] of roomInfo) {
+      const key = groupBy === 'location' ? String(room.locationId) : id;
+      if (!series.has(key)) {
+        series.set(key, groupBy === 'location'
+          ? { locationId: room.locationId || null, locationName: room.locationName, roomIds: new Set() }
+          : { roomId: id, roomName: room.name, locationId: room.locationId || null, locationName: room.locationName, roomIds: new Set() });
+      }
+      series.get(key).roomIds.add(id);
+    }
+
+    const data = [...series.values()].map(({ roomIds, ...entry }) => {
+      const buckets = periods.map(({ period }) => {
+        let bookings = 0;
+        let bookedHours = 0;
+        let noShowHours = 0;
+        let availableHours = 0;
+        for (const id of roomIds) {
+          const row = booked.get(`${id}|${period}`);
+          if (row) {
+            bookings += row.bookings;
+            bookedHours += row.bookedHours;
+            noShowHours += row.noShowHours;
+          }
+          availableHours += available.get(`${id}|${period}`);
+        }
+
+        return {
+          period,
+          bookings,
+          bookedHours: roundPrice(bookedHours),
+          noShowHours: roundPrice(noShowHours),
+          availableHours: roundPrice(availableHours),
+          occupancyRate: percentage(bookedHours, availableHours)
+        };
+      });
+
+      const bookedHours = buckets.reduce((sum, bucket) => sum + bucket.bookedHours, 0);
+      const noShowHours = buckets.reduce((sum, bucket) => sum + bucket.noShowHours, 0);
+      const availableHours = buckets.reduce((sum, bucket) => sum + bucket.availableHours, 0);
+
+      return {
+        ...entry,
+        rooms: roomIds.size,
+        bookedHours: roundPrice(bookedHours),
+        noShowHours: roundPrice(noShowHours),
+        availableHours: roundPrice(availableHours),
+        occupancyRate: percentage(bookedHours, availableHours),
+        buckets
+      };
+    }).sort((a, b) => b.occupancyRate - a.occupancyRate);
+
+    res.status(200).json({
+      success: true,
+      ...rangeFields(req.query, interval),
+      groupBy,
+      hoursPerDay: OCCUPANCY_HOURS_PER_DAY,
+      count: data.length,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get occupancy analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to calculate occupancy',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /analytics/revenue?startDate=&endDate=&interval=day|week|month&locationId=&currency=
+ * Revenue per location and period (Admin only)
+ * Series are per currency, or converted into ?currency= at current exchange rates
+ */
+exports.getRevenue = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const interval = req.query.interval || 'month';
+
+    // Report in one currency on request (?currency=EUR)
+    const display = await getDisplayCurrency(req.query.currency);
+    if (display.error) {
+      return res.status(400).json({
+        success: false,
+        error: display.error
+      });
+    }
+
+    const rows = await Booking.aggregate([
+      matchStage(req.query, SETTLED_STATUSES),
+      { $addFields: { revenue: revenueExpression } },
+      { $match: { revenue: { $gt: 0 } } },
+      {
+        $group: {
+          _id: {
+            locationId: '$locationId',
+            currency: { $ifNull: ['$currency', BASE_CURRENCY] },
+            period: periodExpression(interval)
+          },
+          locationName: { $last: '$locationName' },
+          bookings: { $sum: 1 },
+          revenue: { $sum: '$revenue' }
+        }
+      }
+    ]);
+
+    const periods = listPeriods(req.query.startDate, req.query.endDate, interval);
+    const series = new Map();
+    const missingRates = new Set();
+
+    for (const row of rows) {
+      const currency = display.currency || row._id.currency;
+      let revenue = row.revenue;
+
+      if (display.currency) {
+        revenue = convertAmount(revenue, row._id.currency, display.currency, display.rates);
+        if (revenue === null) {
+          missingRates.add(row._id.currency);
+          continue;
+        }
+      }
+
+      const key = `${row._id.locationId}|${currency}`;
+      if (!series.has(key)) {
+        series.set(key, {
+          locationId: row._id.locationId || null,
+          locationName: row.locationName,
+          currency,
+          buckets: new Map(periods.map(({ period }) => [period, { period, bookings: 0, revenue: 0 }]))
+        });
+      }
+
+      const bucket = series.get(key).buckets.get(row._id.period);
+      bucket.bookings += row.bookings;
+      bucket.revenue += revenue;
+    }
+
+    const data = [...series.values()].map(entry => {
+      const buckets = [...entry.buckets.values()].map(bucket => ({ ...bucket, revenue: roundPrice(bucket.revenue) }));
+
+      return {
+        ...entry,
+        bookings: buckets.reduce((sum, bucket) => sum + bucket.bookings, 0),
+        revenue: roundPrice(buckets.reduce((sum, bucket) => sum + bucket.revenue, 0)),
+        buckets
+      };
+    }).sort((a, b) => a.currency.localeCompare(b.currency) || b.revenue - a.revenue);
+
+    res.status(200).json({
+      success: true,
+      ...rangeFields(req.query, interval),
+      currency: display.currency,
+      missingRates: [...missingRates],
+      count: data.length,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get revenue analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to calculate revenue',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /analytics/cancellations?startDate=&endDate=&interval=day|week|month&locationId=&roomId=
+ * Share of bookings that were cancelled, per period (Admin only)
+ */
+exports.getCancellationRate = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const interval = req.query.interval || 'day';
+
+    const rows = await Booking.aggregate([
+      matchStage(req.query, SETTLED_STATUSES),
+      {
+        $group: {
+          _id: periodExpression(interval),
+          bookings: { $sum: 1 },
+          cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+          feesCharged: {
+            $sum: { $cond: [{ $gt: [{ $ifNull: ['$cancellation.fee', 0] }, 0] }, 1, 0] }
+          }
+        }
+      }
+    ]);
+
+    const byPeriod = new Map(rows.map(row => [row._id, row]));
+    const buckets = listPeriods(req.query.startDate, req.query.endDate, interval).map(({ period }) => {
+      const { bookings = 0, cancelled = 0, feesCharged = 0 } = byPeriod.get(period) || {};
+      return { period, bookings, cancelled, feesCharged, cancellationRate: percentage(cancelled, bookings) };
+    });
+
+    const bookings = buckets.reduce((sum, bucket) => sum + bucket.bookings, 0);
+    const cancelled = buckets.reduce((sum, bucket) => sum + bucket.cancelled, 0);
+
+    res.status(200).json({
+      success: true,
+      ...rangeFields(req.query, interval),
+      data: {
+        bookings,
+        cancelled,
+        cancellationRate: percentage(cancelled, bookings),
+        buckets
+      }
+    });
+
+  } catch (error) {
+    console.error('Get cancellation analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to calculate cancellation rate',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /analytics/weather-adjustment?startDate=&endDate=&interval=day|week|month&locationId=&roomId=
+ * Average temperature, deviation and price adjustment per period and per location (Admin only)
+ * The adjustment is adjustedPrice against basePrice x hours, so it includes every pricing rule
+ */
+exports.getWeatherAdjustment = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const interval = req.query.interval || 'day';
+
+    const averages = {
+      bookings: { $sum: 1 },
+      averageTemperature: { $avg: '$temperature' },
+      averageDeviation: { $avg: '$deviation' },
+      averageAdjustmentPercent: { $avg: '$adjustmentPercent' }
+    };
+
+    const [result] = await Booking.aggregate([
+      matchStage(req.query, OCCUPIED_STATUSES),
+      {
+        $addFields: {
+          adjustmentPercent: {
+            $let: {
+              vars: { subtotal: { $multiply: ['$basePrice', '$durationHours'] } },
+              in: {
+                $cond: [
+                  { $gt: ['$$subtotal', 0] },
+                  { $multiply: [{ $divide: [{ $subtract: ['$adjustedPrice', '$$subtotal'] }, '$$subtotal'] }, 100] },
+                  null
+                ]
+              }
+            }
+          }
+        }
+      },
+      {
+        $facet: {
+          periods: [{ $group: { _id: periodExpression(interval), ...averages } }],
+          locations: [
+            { $group: { _id: '$locationId', locationName: { $last: '$locationName' }, ...averages } },
+            { $sort: { averageAdjustmentPercent: -1 } }
+          ],
+          overall: [{ $group: { _id: null, ...averages } }]
+        }
+      }
+    ]);
+
+    const round = ({ locationName, bookings, averageTemperature, averageDeviation, averageAdjustmentPercent }) => ({
+      ...(locationName !== undefined && { locationName }),
+      bookings,
+      averageTemperature: averageTemperature === null ? null : roundPrice(averageTemperature),
+      averageDeviation: averageDeviation === null ? null : roundPrice(averageDeviation),
+      averageAdjustmentPercent: averageAdjustmentPercent === null ? null : roundPrice(averageAdjustmentPercent)
+    });
+
+    const byPeriod = new Map(result.periods.map(row => [row._id, row]));
+    const buckets = listPeriods(req.query.startDate, req.query.endDate, interval).map(({ period }) => ({
+      period,
+      ...round(byPeriod.get(period) || {
+        bookings: 0,
+        averageTemperature: null,
+        averageDeviation: null,
+        averageAdjustmentPercent: null
+      })
+    }));
+
+    res.status(200).json({
+      success: true,
+      ...rangeFields(req.query, interval),
+      data: {
+        ...(result.overall[0] ? round(result.overall[0]) : { bookings: 0 }),
+        buckets,
+        locations: result.locations.map(row => ({ locationId: row._id || null, ...round(row) }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get weather adjustment analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to calculate weather adjustment',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /analytics/top-users?startDate=&endDate=&sortBy=bookings|hours&limit=10&locationId=&roomId=
+ * Users with the most bookings or booked hours, with their spend per currency (Admin only)
+ * Guest bookings are left out; they belong to no user account
+ */
+exports.getTopUsers = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const sortBy = req.query.sortBy || 'bookings';
+    const limit = parseInt(req.query.limit) || 10;
+    const isBooking = { $in: ['$status', OCCUPIED_STATUSES] };
+
+    const data = await Booking.aggregate([
+      matchStage(req.query, SETTLED_STATUSES),
+      // Guest bookings carry the userId of the admin who made them
+      { $match: { isGuest: { $ne: true } } },
+      {
+        $group: {
+          _id: { userId: '$userId', currency: { $ifNull: ['$currency', BASE_CURRENCY] } },
+          userName: { $last: '$userName' },
+          userEmail: { $last: '$userEmail' },
+          bookings: { $sum: { $cond: [isBooking, 1, 0] } },
+          hours: { $sum: { $cond: [isBooking, '$durationHours', 0] } },
+          cancellations: { $sum: { $cond: [isBooking, 0, 1] } },
+          spend: { $sum: revenueExpression }
+        }
+      },
+      {
+        $group: {
+          _id: '$_id.userId',
+          userName: { $last: '$userName' },
+          userEmail: { $last: '$userEmail' },
+          bookings: { $sum: '$bookings' },
+          hours: { $sum: '$hours' },
+          cancellations: { $sum: '$cancellations' },
+          spend: { $push: { currency: '$_id.currency', amount: { $round: ['$spend', 2] } } }
+        }
+      },
+      { $sort: { [sortBy]: -1, _id: 1 } },
+      { $limit: limit },
+      {
+        $project: {
+          _id: 0,
+          userId: '$_id',
+          userName: 1,
+          userEmail: 1,
+          bookings: 1,
+          hours: { $round: ['$hours', 2] },
+          cancellations: 1,
+          spend: 1
+        }
+      }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      dateRange: {
+        start: req.query.startDate,
+        end: req.query.endDate
+      },
+      sortBy,
+      count: data.length,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get top users analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch top users',
+      message: error.message
+    });
+  }
+};
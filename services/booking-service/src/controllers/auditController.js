@@ -0,0 +1,124 @@
+const AuditLog = require('../models/AuditLog');
+const Booking = require('../models/Booking');
+const { validationResult } = require('express-validator');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * GET /bookings/:id/history
+ * Audit trail of a booking, oldest change first
+ * Source IPs are only shown to admins
+ */
+exports.getBookingHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const booking = await Booking.findById(id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found'
+      });
+    }
+
+    // Ensure user can only view the history of their own bookings (unless admin)
+    if (booking.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You can only view your own bookings.'
+      });
+    }
+
+    const entries = await AuditLog.find({ bookingId: booking._id }).sort({ createdAt: 1, _id: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries.map(entry => {
+        const data = entry.toJSON();
+        if (req.user.role !== 'admin') {
+          delete data.ip;
+        }
+        return data;
+      })
+    });
+
+  } catch (error) {
+    console.error('Get booking history error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid booking ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch booking history',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /audit?bookingId=&actorId=&action=&startDate=&endDate=&page=&limit=
+ * Search the audit log across all bookings, newest first (Admin only)
+ */
+exports.getAuditLog = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { bookingId, actorId, action, startDate, endDate } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    const filter = {};
+    if (bookingId) filter.bookingId = bookingId;
+    if (actorId) filter['actor.userId'] = actorId;
+    if (action) filter.action = action;
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      data: entries.map(entry => entry.toJSON())
+    });
+
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit log',
+      message: error.message
+    });
+  }
+};
@@ -1,13 +1,180 @@
+const mongoose = require('mongoose');
 const Booking = require('../models/Booking');
 const { validationResult } = require('express-validator');
-const { validateRoom } = require('../services/roomService');
-const { getForecast } = require('../services/weatherService');
-const { sendBookingConfirmation, sendCancellationNotification } = require('../services/notificationService');
-const { calculateAdjustedPrice } = require('../utils/priceCalculator');
+const { getRoomById, validateRoom, getBlackouts } = require('../services/roomService');
+const { getUserById } = require('../services/authService');
+const {
+  toNotificationPayload,
+  sendBookingUpdateNotification,
+  sendCancellationNotification,
+  sendSeriesCancellationNotification
+} = require('../services/notificationService');
+const { enumerateDates, toMinutes, hasStarted, toLocalDateString } = require('../utils/timeSlots');
+const { getBusyIntervals } = require('../utils/availability');
+const { reserveSlot, rescheduleSlot } = require('../utils/bookingReservation');
+const { expandRecurrence } = require('../utils/recurrence');
+const { getCheckInWindow } = require('../jobs/bookingLifecycle');
+const { promoteWaitlist, resolveWaitlistEntry } = require('../utils/waitlist');
+const { validatePromoCode, toDiscount, releasePromoCode } = require('../utils/promoCodes');
+const { calculateCancellation } = require('../utils/cancellationPolicy');
+const { settleNewBookings, paymentSummary, paidAmount, refundBooking } = require('../utils/payments');
+const { roundPrice } = require('../utils/priceCalculator');
+const { bookingCurrency, getDisplayCurrency, withDisplayPrices } = require('../utils/currency');
+const { findUserBookings, searchBookings } = require('../utils/bookingQueries');
+const { snapshotBooking, recordAudit } = require('../utils/audit');
+const { quotaFor, checkBookingQuotas } = require('../utils/quotas');
+const { sendConflict, sendSlotClosed, sendQuotaExceeded, sendPaymentFailed, sendCreated } = require('../utils/bookingResponses');
+const { findBlackout, blackoutSummary, closedSlotError } = require('../utils/blackouts');
+const { openingPeriodsOn, openFreeIntervals } = require('../utils/openingHours');
+
+// Longest date range returned by the availability endpoint
+const MAX_AVAILABILITY_DAYS = 366;
+
+// Bookings that can be moved: paid or free ones, and ones still awaiting payment
+const MODIFIABLE_STATUSES = ['confirmed', 'pending_payment'];
+
+// Supported cancellation scopes for recurring bookings
+const CANCEL_SCOPES = ['single', 'following', 'series'];
+
+/**
+ * Respond that the requested slot has already started at the room's location
+ */
+const sendStarted = (res) => {
+  return res.status(400).json({
+    success: false,
+    error: 'Booking must start in the future'
+  });
+};
+
+/**
+ * The user a new booking belongs to, with the fields recording who made it
+ * Admins may book for another user (onBehalfOfUserId) or an external guest (guestName/guestEmail)
+ * Resolves to { owner, fields }, or { status, error } when the booking cannot be made for them
+ */
+const resolveBookingOwner = async (req) => {
+  const { onBehalfOfUserId, guestName, guestEmail } = req.body;
+  const user = req.user;
+
+  if (!onBehalfOfUserId && !guestEmail) {
+    return { owner: user, fields: {} };
+  }
+
+  if (user.role !== 'admin') {
+    return { status: 403, error: 'Only admins can book on behalf of another user' };
+  }
+
+  const createdBy = { userId: user.id, email: user.email, name: user.name };
+
+  // Guests have no account, so the admin keeps ownership and notifications go to the guest
+  if (guestEmail) {
+    return {
+      owner: { id: user.id, email: guestEmail, name: guestName },
+      fields: { isGuest: true, createdBy }
+    };
+  }
+
+  const owner = await getUserById(onBehalfOfUserId, req.headers.authorization.split(' ')[1]);
+  if (!owner) {
+    return { status: 404, error: 'User not found' };
+  }
+  if (!owner.isActive) {
+    return { status: 400, error: 'User account is deactivated' };
+  }
+
+  return { owner, fields: { createdBy } };
+};
+
+/**
+ * Book every occurrence of a recurrence rule, reporting conflicts per date
+ * Occurrences on dates closed by a blackout or outside opening hours are reported as conflicts too
+ */
+const createBookingSeries = async (req, res, { user, room, dates, blackouts, startTime, endTime, recurrence, paymentMethod, quota = null, fields = {} }) => {
+  const seriesId = new mongoose.Types.ObjectId();
+  const created = [];
+  const conflicts = [];
+
+  // Book sequentially so each occurrence takes its own room/day lock
+  for (const [index, occurrenceDate] of dates.entries()) {
+    const closed = closedSlotError(blackouts, room.locationId, occurrenceDate, startTime, endTime);
+    if (closed) {
+      conflicts.push({ date: occurrenceDate, ...closed });
+      continue;
+    }
+
+    const { booking, conflict, quotaError } = await reserveSlot({
+      user,
+      room,
+      date: occurrenceDate,
+      startTime,
+      endTime,
+      quota,
+      fields: { ...fields, seriesId, occurrence: index + 1, recurrence }
+    });
+
+    // Other bookings made meanwhile may use up the quota before the series is complete
+    if (quotaError) {
+      conflicts.push({ date: occurrenceDate, error: quotaError.error, quota: quotaError.quota });
+    } else if (conflict) {
+      conflicts.push({
+        date: occurrenceDate,
+        error: 'Room is already booked for this time slot',
+        existingBooking: {
+          id: conflict._id,
+          startTime: conflict.startTime,
+          endTime: conflict.endTime,
+          status: conflict.status
+        }
+      });
+    } else {
+      created.push(booking);
+    }
+  }
+
+  if (created.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'No occurrences could be booked',
+      conflicts
+    });
+  }
+
+  // One payment covers every occurrence; confirmations go out once paid
+  const { bookings, payment, paymentError } = await settleNewBookings(created, {
+    paymentMethod,
+    userId: user.id,
+    conflicts: conflicts.map(c => c.date)
+  });
+
+  for (const booking of bookings) {
+    await recordAudit(req, 'created', booking);
+  }
+
+  const totalPrice = created.reduce((sum, booking) => sum + booking.adjustedPrice, 0);
+  const data = {
+    seriesId,
+    recurrence,
+    bookings: bookings.map(booking => booking.toJSON()),
+    conflicts,
+    totalPrice: Math.round(totalPrice * 100) / 100,
+    payment: paymentSummary(created, payment)
+  };
+
+  if (paymentError) {
+    return sendPaymentFailed(res, paymentError, data);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Booked ${created.length} of ${dates.length} occurrences`,
+    data
+  });
+};
 
 /**
  * POST /bookings
  * Create a new booking
+ * Accepts an optional recurrence rule to book a series
+ * Admins may book for another user (onBehalfOfUserId) or an external guest (guestName, guestEmail)
  */
 exports.createBooking = async (req, res) => {
   try {
@@ -21,105 +188,106 @@ exports.createBooking = async (req, res) => {
       });
     }
 
-    const { roomId, date } = req.body;
-    const user = req.user; // From auth middleware
-
-    // 1. Validate date is in the future
-    const bookingDate = new Date(date);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const { roomId, date, startTime, endTime, recurrence, promoCode, paymentMethod } = req.body;
 
-    if (bookingDate < today) {
-      return res.status(400).json({
+    // The booking belongs to the authenticated user unless an admin books for someone else
+    const { owner: user, fields, status, error } = await resolveBookingOwner(req);
+    if (error) {
+      return res.status(status).json({
         success: false,
-        error: 'Booking date must be in the future'
+        error
       });
     }
 
-    // 2. Validate room exists and is active
+    // 1. Validate room exists and is active
     const room = await validateRoom(roomId);
 
-    // 3. Check room availability for the date
-    const existingBooking = await Booking.findOne({
-      roomId,
-      bookingDate: date,
-      status: { $in: ['confirmed', 'completed'] }
-    });
+    // 2. Validate the slot starts in the future in the location's time zone
+    if (hasStarted(date, startTime, room.locationId.timezone)) {
+      return sendStarted(res);
+    }
 
-    if (existingBooking) {
-      return res.status(400).json({
-        success: false,
-        error: 'Room is already booked for this date',
-        existingBooking: {
-          id: existingBooking._id,
-          date: existingBooking.bookingDate,
-          status: existingBooking.status
-        }
-      });
+    // 3. Check the room is open (a series skips closed dates and dates outside opening hours)
+    const dates = recurrence ? expandRecurrence(date, recurrence) : [date];
+    const blackouts = await getBlackouts(room._id, dates[0], dates[dates.length - 1]);
+
+    const closed = closedSlotError(blackouts, room.locationId, date, startTime, endTime);
+    if (!recurrence && closed) {
+      return sendSlotClosed(res, closed);
     }
 
-    // 4. Get weather forecast for the location and date
-    const forecast = await getForecast(room.locationId._id, date);
+    // 4. Enforce booking quotas (admins are exempt); each reservation counts them again under the user's lock
+    const quota = quotaFor(req, user.id, room);
+    if (quota) {
+      const quotaError = await checkBookingQuotas({
+        ...quota,
+        dates: dates.filter(occurrenceDate => !closedSlotError(blackouts, room.locationId, occurrenceDate, startTime, endTime))
+      });
 
-    // 5. Calculate adjusted price
-    const comfortableTemp = parseInt(process.env.COMFORTABLE_TEMPERATURE) || 21;
-    const priceFactor = parseFloat(process.env.PRICE_ADJUSTMENT_FACTOR) || 0.05;
-    
-    const { deviation, adjustedPrice } = calculateAdjustedPrice(
-      room.basePrice,
-      forecast.temperature,
-      comfortableTemp,
-      priceFactor
-    );
-
-    // 6. Create booking
-    const booking = new Booking({
-      userId: user.id,
-      roomId,
-      bookingDate: date,
-      basePrice: room.basePrice,
-      temperature: forecast.temperature,
-      deviation,
-      adjustedPrice,
-      status: 'confirmed',
-      userEmail: user.email,
-      userName: user.name,
-      roomName: room.name,
-      locationName: room.locationId.name
-    });
+      if (quotaError) {
+        return sendQuotaExceeded(res, quotaError);
+      }
+    }
 
-    await booking.save();
+    // 5. Recurring requests expand into a series of bookings
+    if (recurrence) {
+      if (promoCode) {
+        return res.status(400).json({
+          success: false,
+          error: 'Promo codes cannot be used with recurring bookings'
+        });
+      }
 
-    // 7. Send confirmation notification (non-blocking)
-    sendBookingConfirmation({
-      bookingId: booking._id,
-      userEmail: user.email,
-      userName: user.name,
-      roomName: room.name,
-      locationName: room.locationId.name,
-      date,
-      basePrice: room.basePrice,
-      adjustedPrice,
-      temperature: forecast.temperature,
-      deviation
-    }).catch(err => console.error('Notification error:', err));
+      return createBookingSeries(req, res, { user, room, dates, blackouts, startTime, endTime, recurrence, paymentMethod, quota, fields });
+    }
 
-    res.status(201).json({
-      success: true,
-      message: 'Booking created successfully',
-      data: {
-        booking: booking.toJSON(),
-        priceBreakdown: {
-          basePrice: room.basePrice,
-          temperature: forecast.temperature,
-          comfortableTemperature: comfortableTemp,
-          deviation,
-          adjustmentFactor: priceFactor,
-          adjustedPrice
-        }
+    // 6. Check the promo code applies to this user and room
+    let discount = null;
+    if (promoCode) {
+      const promo = await validatePromoCode(promoCode, { user, room });
+      if (promo.error) {
+        return res.status(400).json({
+          success: false,
+          error: promo.error
+        });
       }
+
+      discount = toDiscount(promo.promoCode);
+    }
+
+    // 7. Check availability, get weather forecast, price, redeem and save the booking
+    const { booking, priceBreakdown, conflict, quotaError, promoError } = await reserveSlot({
+      user,
+      room,
+      date,
+      startTime,
+      endTime,
+      discount,
+      quota,
+      fields
     });
 
+    if (conflict) {
+      return sendConflict(res, conflict);
+    }
+
+    if (quotaError) {
+      return sendQuotaExceeded(res, quotaError);
+    }
+
+    if (promoError) {
+      return res.status(400).json({
+        success: false,
+        error: promoError
+      });
+    }
+
+    // 8. Confirm free bookings, or take payment now if a payment method was given
+    const settled = await settleNewBookings([booking], { paymentMethod, userId: user.id });
+    await recordAudit(req, 'created', settled.bookings[0]);
+
+    return sendCreated(res, { ...settled, priceBreakdown });
+
   } catch (error) {
     console.error('Create booking error:', error);
     res.status(500).json({
@@ -133,6 +301,7 @@ exports.createBooking = async (req, res) => {
 /**
  * GET /bookings/user/:userId
  * Get all bookings for a specific user
+ * Add ?currency=EUR to include prices converted for display
  */
 exports.getUserBookings = async (req, res) => {
   try {
@@ -147,18 +316,21 @@ exports.getUserBookings = async (req, res) => {
       });
     }
 
-    // Build query
-    const query = { userId };
-    if (status) {
-      query.status = status;
+    // Convert displayed prices on request (?currency=EUR)
+    const display = await getDisplayCurrency(req.query.currency);
+    if (display.error) {
+      return res.status(400).json({
+        success: false,
+        error: display.error
+      });
     }
 
-    const bookings = await Booking.find(query).sort({ bookingDate: -1 });
+    const bookings = await findUserBookings(userId, { status });
 
     res.status(200).json({
       success: true,
       count: bookings.length,
-      data: bookings.map(booking => booking.toJSON())
+      data: bookings.map(booking => withDisplayPrices(booking, display))
     });
 
   } catch (error) {
@@ -196,9 +368,18 @@ exports.getBookingById = async (req, res) => {
       });
     }
 
+    // Convert displayed prices on request (?currency=EUR)
+    const display = await getDisplayCurrency(req.query.currency);
+    if (display.error) {
+      return res.status(400).json({
+        success: false,
+        error: display.error
+      });
+    }
+
     res.status(200).json({
       success: true,
-      data: booking.toJSON()
+      data: withDisplayPrices(booking, display)
     });
 
   } catch (error) {
@@ -220,12 +401,316 @@ exports.getBookingById = async (req, res) => {
 };
 
 /**
- * DELETE /bookings/:id
- * Cancel a booking
+ * PATCH /bookings/:id
+ * Change the room, date or time slot of a booking, keeping its reference
+ * Re-runs room validation, availability, weather lookup and pricing;
+ * a paid booking is charged or refunded the price difference
+ */
+exports.updateBooking = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const booking = await Booking.findById(id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found'
+      });
+    }
+
+    // Ensure user can only modify their own bookings (unless admin)
+    if (booking.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You can only modify your own bookings.'
+      });
+    }
+
+    if (!MODIFIABLE_STATUSES.includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot modify ${booking.status} bookings`
+      });
+    }
+
+    const roomId = req.body.roomId || booking.roomId.toString();
+    const date = req.body.date || booking.bookingDate;
+    const startTime = req.body.startTime || booking.startTime;
+    const endTime = req.body.endTime || booking.endTime;
+
+    const unchanged = roomId === booking.roomId.toString() &&
+      date === booking.bookingDate &&
+      startTime === booking.startTime &&
+      endTime === booking.endTime;
+
+    if (unchanged) {
+      return res.status(400).json({
+        success: false,
+        error: 'No changes provided. Specify a new roomId, date, startTime or endTime.'
+      });
+    }
+
+    if (!startTime || !endTime) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start time and end time are required'
+      });
+    }
+
+    if (toMinutes(endTime) <= toMinutes(startTime)) {
+      return res.status(400).json({
+        success: false,
+        error: 'End time must be after start time'
+      });
+    }
+
+    const before = snapshotBooking(booking);
+    const previousSlot = { roomId: booking.roomId, date: booking.bookingDate };
+    const previous = {
+      roomName: booking.roomName,
+      locationName: booking.locationName,
+      date: booking.bookingDate,
+      startTime: booking.startTime,
+      endTime: booking.endTime,
+      adjustedPrice: booking.adjustedPrice,
+      finalPrice: booking.finalPrice ?? booking.adjustedPrice
+    };
+
+    // 1. Validate room exists and is active
+    const room = await validateRoom(roomId);
+
+    // 2. Validate the new slot starts in the future in the location's time zone, and the room is open then
+    // (a booking under way may still change its end time)
+    const startMoved = date !== booking.bookingDate || startTime !== booking.startTime;
+    if (startMoved && hasStarted(date, startTime, room.locationId.timezone)) {
+      return sendStarted(res);
+    }
+
+    const blackouts = await getBlackouts(room._id, date, date);
+    const closed = closedSlotError(blackouts, room.locationId, date, startTime, endTime);
+    if (closed) {
+      return sendSlotClosed(res, closed);
+    }
+
+    // 3. Enforce booking quotas for the new date and location (admins are exempt)
+    const quota = quotaFor(req, booking.userId, room);
+    if (quota) {
+      const quotaError = await checkBookingQuotas({ ...quota, dates: [date], excludeBookingId: booking._id });
+
+      if (quotaError) {
+        return sendQuotaExceeded(res, quotaError);
+      }
+    }
+
+    // 4. Check availability, get weather forecast, re-price, settle the difference and save
+    const {
+      priceBreakdown,
+      priceDifference,
+      promoCode,
+      promoError,
+      settlement,
+      conflict,
+      quotaError,
+      paymentError,
+      payment
+    } = await rescheduleSlot({
+      booking,
+      room,
+      date,
+      startTime,
+      endTime,
+      paymentMethod: req.body.paymentMethod,
+      userId: req.user.id,
+      quota
+    });
+
+    if (conflict) {
+      return sendConflict(res, conflict);
+    }
+
+    if (quotaError) {
+      return sendQuotaExceeded(res, quotaError);
+    }
+
+    if (paymentError) {
+      return sendPaymentFailed(res, paymentError, {
+        priceBreakdown,
+        payment: payment && {
+          status: payment.status,
+          paymentId: payment._id,
+          amount: payment.amount,
+          currency: payment.currency
+        }
+      });
+    }
+
+    await recordAudit(req, 'updated', booking, before);
+
+    // 5. Offer the slot that was given up to the waitlist (non-blocking)
+    promoteWaitlist(previousSlot.roomId, previousSlot.date)
+      .catch(err => console.error('Waitlist promotion error:', err.message));
+
+    // 6. Send a single update notification (non-blocking)
+    sendBookingUpdateNotification({
+      ...toNotificationPayload(booking),
+      previous,
+      priceDifference
+    }).catch(err => console.error('Notification error:', err));
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking updated successfully',
+      data: {
+        booking: booking.toJSON(),
+        previous,
+        priceBreakdown,
+        priceDifference,
+        settlement,
+        ...(promoError && { promoCode, promoError })
+      }
+    });
+
+  } catch (error) {
+    console.error('Update booking error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid booking ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update booking',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Mark a booking as cancelled, record its fee/refund and offer its slot to the waitlist
+ * options: { cancelledBy, waiveFee } (see calculateCancellation)
+ */
+const cancelOne = async (req, booking, options = {}) => {
+  const wasTentative = booking.status === 'tentative';
+  const before = snapshotBooking(booking);
+
+  const cancellation = await calculateCancellation(booking, options);
+
+  // Refund what the policy allows through the payments that paid for the booking
+  const { paymentStatus, ...refund } = await refundBooking(booking, cancellation.refundAmount, 'Booking cancelled');
+
+  booking.cancellation = { ...cancellation, ...refund };
+  if (paymentStatus) {
+    booking.paymentStatus = paymentStatus;
+  }
+  booking.status = 'cancelled';
+  await booking.save();
+  await recordAudit(req, 'cancelled', booking, before);
+
+  // Declining a waitlist offer closes the entry
+  if (wasTentative) {
+    await resolveWaitlistEntry(booking, 'declined');
+  }
+
+  // The promo code use counts again
+  await releasePromoCode(booking);
+
+  // Offer the freed slot to the waitlist (non-blocking)
+  promoteWaitlist(booking.roomId, booking.bookingDate)
+    .catch(err => console.error('Waitlist promotion error:', err.message));
+
+  return booking;
+};
+
+/**
+ * Cancel this-and-following or every upcoming occurrence of a series
+ */
+const cancelSeries = async (req, res, booking, scope, options) => {
+  const query = {
+    seriesId: booking.seriesId,
+    status: { $in: ['pending_payment', 'confirmed'] }
+  };
+
+  if (scope === 'following') {
+    query.bookingDate = { $gte: booking.bookingDate };
+  } else {
+    // Leave past occurrences of the series untouched (today is the series location's today)
+    query.bookingDate = { $gte: toLocalDateString(new Date(), booking.timezone) };
+  }
+
+  const occurrences = await Booking.find(query).sort({ bookingDate: 1 });
+
+  if (occurrences.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'No upcoming occurrences to cancel'
+    });
+  }
+
+  const cancelled = [];
+  for (const occurrence of occurrences) {
+    cancelled.push(await cancelOne(req, occurrence, options));
+  }
+
+  const totalFee = roundPrice(cancelled.reduce((sum, b) => sum + b.cancellation.fee, 0));
+  const totalRefund = roundPrice(cancelled.reduce((sum, b) => sum + b.cancellation.refundAmount, 0));
+
+  sendSeriesCancellationNotification({
+    seriesId: booking.seriesId,
+    scope,
+    userEmail: booking.userEmail,
+    userName: booking.userName,
+    roomName: booking.roomName,
+    locationName: booking.locationName,
+    startTime: booking.startTime,
+    endTime: booking.endTime,
+    dates: cancelled.map(b => b.bookingDate),
+    currency: bookingCurrency(booking),
+    totalFee,
+    totalRefund
+  }).catch(err => console.error('Notification error:', err));
+
+  res.status(200).json({
+    success: true,
+    message: `Cancelled ${cancelled.length} occurrence(s)`,
+    data: {
+      seriesId: booking.seriesId,
+      scope,
+      totalFee,
+      totalRefund,
+      bookings: cancelled.map(b => b.toJSON())
+    }
+  });
+};
+
+/**
+ * DELETE /bookings/:id?scope=single|following|series&waiveFee=true
+ * Cancel a booking, or for recurring bookings this-and-following / the whole series
+ * A fee may apply under the room's cancellation policy (admins can waive it)
  */
 exports.cancelBooking = async (req, res) => {
   try {
     const { id } = req.params;
+    const scope = req.query.scope || 'single';
+
+    if (!CANCEL_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        error: `Scope must be one of: ${CANCEL_SCOPES.join(', ')}`
+      });
+    }
 
     const booking = await Booking.findById(id);
 
@@ -244,6 +729,23 @@ exports.cancelBooking = async (req, res) => {
       });
     }
 
+    // Admins may waive the cancellation fee
+    const options = {
+      cancelledBy: req.user.id,
+      waiveFee: req.user.role === 'admin' && req.query.waiveFee === 'true'
+    };
+
+    if (scope !== 'single') {
+      if (!booking.seriesId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Booking is not part of a recurring series'
+        });
+      }
+
+      return cancelSeries(req, res, booking, scope, options);
+    }
+
     // Check if booking can be cancelled
     if (booking.status === 'cancelled') {
       return res.status(400).json({
@@ -259,9 +761,22 @@ exports.cancelBooking = async (req, res) => {
       });
     }
 
-    // Update status to cancelled
-    booking.status = 'cancelled';
-    await booking.save();
+    if (booking.status === 'no_show') {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot cancel no-show bookings'
+      });
+    }
+
+    if (booking.status === 'expired') {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot cancel expired bookings'
+      });
+    }
+
+    // Update status to cancelled and apply the cancellation policy
+    await cancelOne(req, booking, options);
 
     // Send cancellation notification (non-blocking)
     sendCancellationNotification({
@@ -270,7 +785,14 @@ exports.cancelBooking = async (req, res) => {
       userName: booking.userName,
       roomName: booking.roomName,
       locationName: booking.locationName,
-      date: booking.bookingDate
+      date: booking.bookingDate,
+      startTime: booking.startTime,
+      endTime: booking.endTime,
+      currency: bookingCurrency(booking),
+      amountPaid: paidAmount(booking),
+      cancellationFee: booking.cancellation.fee,
+      refundAmount: booking.cancellation.refundAmount,
+      policyName: booking.cancellation.policyName
     }).catch(err => console.error('Notification error:', err));
 
     res.status(200).json({
@@ -297,26 +819,189 @@ exports.cancelBooking = async (req, res) => {
   }
 };
 
+/**
+ * POST /bookings/:id/check-in
+ * Check in to a booking within its check-in window
+ * Bookings not checked in before the window closes become no-shows
+ */
+exports.checkIn = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const booking = await Booking.findById(id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found'
+      });
+    }
+
+    // Ensure user can only check in to their own bookings (unless admin)
+    if (booking.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You can only check in to your own bookings.'
+      });
+    }
+
+    if (booking.status !== 'confirmed') {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot check in to ${booking.status} bookings`
+      });
+    }
+
+    if (booking.checkedInAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'Booking is already checked in',
+        checkedInAt: booking.checkedInAt
+      });
+    }
+
+    if (!booking.startTime) {
+      return res.status(400).json({
+        success: false,
+        error: 'Check-in is only available for time-slot bookings'
+      });
+    }
+
+    const now = new Date();
+    const { opensAt, closesAt } = getCheckInWindow(booking);
+
+    if (now < opensAt || now > closesAt) {
+      return res.status(400).json({
+        success: false,
+        error: now < opensAt ? 'Check-in is not open yet' : 'Check-in window has closed',
+        checkInWindow: { opensAt, closesAt }
+      });
+    }
+
+    const before = snapshotBooking(booking);
+    booking.checkedInAt = now;
+    await booking.save();
+    await recordAudit(req, 'checked_in', booking, before);
+
+    res.status(200).json({
+      success: true,
+      message: 'Checked in successfully',
+      data: booking.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Check-in error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid booking ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check in',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /bookings/series/:seriesId
+ * Get all occurrences of a recurring booking series
+ */
+exports.getSeriesBookings = async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+
+    const bookings = await Booking.find({ seriesId }).sort({ bookingDate: 1 });
+
+    if (bookings.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking series not found'
+      });
+    }
+
+    // Ensure user can only see their own series (unless admin)
+    if (bookings[0].userId.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You can only view your own bookings.'
+      });
+    }
+
+    // Convert displayed prices on request (?currency=EUR)
+    const display = await getDisplayCurrency(req.query.currency);
+    if (display.error) {
+      return res.status(400).json({
+        success: false,
+        error: display.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      seriesId,
+      recurrence: bookings[0].recurrence,
+      count: bookings.length,
+      data: bookings.map(booking => withDisplayPrices(booking, display))
+    });
+
+  } catch (error) {
+    console.error('Get series bookings error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid series ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch booking series',
+      message: error.message
+    });
+  }
+};
+
 /**
  * GET /bookings
- * Get all bookings (Admin only)
+ * Search all bookings, one page at a time (Admin only)
+ * Filters: status, date or startDate/endDate, roomId, locationId, userId, userEmail, minPrice/maxPrice
+ * Use ?status=no_show to report bookings that were never checked in
+ * Add ?currency=EUR to include prices converted for display
  */
 exports.getAllBookings = async (req, res) => {
   try {
-    const { status, date, roomId } = req.query;
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    // Build query
-    const query = {};
-    if (status) query.status = status;
-    if (date) query.date = date;
-    if (roomId) query.roomId = roomId;
+    // Convert displayed prices on request (?currency=EUR)
+    const display = await getDisplayCurrency(req.query.currency);
+    if (display.error) {
+      return res.status(400).json({
+        success: false,
+        error: display.error
+      });
+    }
 
-    const bookings = await Booking.find(query).sort({ createdAt: -1 });
+    const { bookings, pagination } = await searchBookings(req.query);
 
     res.status(200).json({
       success: true,
       count: bookings.length,
-      data: bookings.map(booking => booking.toJSON())
+      pagination,
+      data: bookings.map(booking => withDisplayPrices(booking, display))
     });
 
   } catch (error) {
@@ -332,6 +1017,7 @@ exports.getAllBookings = async (req, res) => {
 /**
  * GET /bookings/room/:roomId/availability
  * Check room availability for upcoming dates
+ * Returns busy and free time intervals for each day in the range; free time is within opening hours
  */
 exports.checkRoomAvailability = async (req, res) => {
   try {
@@ -345,26 +1031,54 @@ exports.checkRoomAvailability = async (req, res) => {
       });
     }
 
-    // Find all confirmed bookings for this room in the date range
-    const bookings = await Booking.find({
-      roomId,
-      bookingDate: {
-        $gte: startDate,
-        $lte: endDate
-      },
-      status: { $in: ['confirmed', 'completed'] }
-    }).sort({ bookingDate: 1 });
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (!datePattern.test(startDate) || !datePattern.test(endDate) || startDate > endDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Dates must be in YYYY-MM-DD format and start date must not be after end date'
+      });
+    }
+
+    const dates = enumerateDates(startDate, endDate);
+    if (dates.length > MAX_AVAILABILITY_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `Date range cannot exceed ${MAX_AVAILABILITY_DAYS} days`
+      });
+    }
+
+    // Find all active bookings and holds for this room in the date range, its closures and opening hours
+    const [{ bookings, busyOn }, blackouts, room] = await Promise.all([
+      getBusyIntervals(roomId, startDate, endDate),
+      getBlackouts(roomId, startDate, endDate),
+      getRoomById(roomId)
+    ]);
 
-    const bookedDates = bookings.map(b => b.bookingDate);
+    const days = dates.map(date => {
+      const busy = busyOn(date);
+      const blackout = findBlackout(blackouts, date);
+      const openingHours = openingPeriodsOn(room.locationId, date);
+
+      // Closed days have no free time, but keep bookings made before the closure visible
+      return {
+        date,
+        closed: Boolean(blackout) || openingHours?.length === 0,
+        ...(blackout && { blackout: blackoutSummary(blackout) }),
+        ...(openingHours && { openingHours }),
+        busy,
+        free: blackout ? [] : openFreeIntervals(busy, room.locationId, date)
+      };
+    });
 
     res.status(200).json({
       success: true,
       roomId,
+      timezone: room.locationId.timezone,
       dateRange: {
         start: startDate,
         end: endDate
       },
-      bookedDates,
+      days,
       bookingsCount: bookings.length
     });
 
@@ -377,4 +1091,3 @@ exports.checkRoomAvailability = async (req, res) => {
     });
   }
 };
-
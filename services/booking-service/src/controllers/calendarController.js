@@ -0,0 +1,361 @@
+const Booking = require('../models/Booking');
+const { validationResult } = require('express-validator');
+const { getRoomById } = require('../services/roomService');
+const { findUserBookings } = require('../utils/bookingQueries');
+const { ACTIVE_STATUSES } = require('../utils/availability');
+const { enumerateDates, DAY_START, DAY_END } = require('../utils/timeSlots');
+const { formatAddress } = require('../utils/bookingReservation');
+const { bookingEvent, renderCalendar } = require('../utils/ical');
+const {
+  calendarFeedsEnabled,
+  signCalendarToken,
+  verifyCalendarToken,
+  userTokenVersion,
+  regenerateUserTokenVersion
+} = require('../utils/calendarTokens');
+
+// Public base URL calendar apps subscribe through (the API Gateway)
+const CALENDAR_FEED_BASE_URL = (process.env.CALENDAR_FEED_BASE_URL || 'http://localhost:8000').replace(/\/$/, '');
+// Longest date range of a room schedule
+const MAX_SCHEDULE_DAYS = 366;
+
+/**
+ * Location address of each booking, keyed by booking ID
+ * Older bookings did not store it, so it is looked up once per room
+ */
+const bookingAddresses = async (bookings) => {
+  const roomAddresses = new Map();
+  const addresses = new Map();
+
+  for (const booking of bookings) {
+    if (booking.locationAddress) {
+      addresses.set(booking._id.toString(), booking.locationAddress);
+      continue;
+    }
+
+    const roomId = booking.roomId.toString();
+    if (!roomAddresses.has(roomId)) {
+      try {
+        const room = await getRoomById(roomId);
+        roomAddresses.set(roomId, formatAddress(room.locationId));
+      } catch (error) {
+        console.warn(`Could not resolve address for room ${roomId}:`, error.message);
+        roomAddresses.set(roomId, null);
+      }
+    }
+    addresses.set(booking._id.toString(), roomAddresses.get(roomId));
+  }
+
+  return addresses;
+};
+
+/**
+ * Render bookings as an iCalendar document
+ * describe(booking) can override each event's summary and details
+ */
+const sendCalendar = async (res, bookings, { name, filename, describe = () => ({}) }) => {
+  const addresses = await bookingAddresses(bookings);
+  const events = bookings.map(booking => bookingEvent(booking, {
+    address: addresses.get(booking._id.toString()),
+    ...describe(booking)
+  }));
+
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.status(200).send(renderCalendar(events, { name }));
+};
+
+/**
+ * GET /bookings/:id/ics
+ * Download a booking as an iCalendar event
+ */
+exports.getBookingIcs = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found'
+      });
+    }
+
+    // Ensure user can only export their own bookings (unless admin)
+    if (booking.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You can only view your own bookings.'
+      });
+    }
+
+    await sendCalendar(res, [booking], { filename: `${booking.bookingReference}.ics` });
+
+  } catch (error) {
+    console.error('Get booking ics error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid booking ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export booking',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Check the current user may manage a user's calendar feed and that feeds are configured
+ * Returns true when a response was sent
+ */
+const rejectCalendarTokenRequest = (req, res) => {
+  // Ensure user can only subscribe to their own bookings (unless admin)
+  if (req.user.id !== req.params.userId && req.user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      error: 'Access denied. You can only view your own bookings.'
+    });
+    return true;
+  }
+
+  if (!calendarFeedsEnabled()) {
+    res.status(503).json({
+      success: false,
+      error: 'Calendar feeds are not configured'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Respond with the subscription URL of a user's calendar feed for a token version
+ */
+const sendCalendarToken = (res, userId, version) => {
+  const token = signCalendarToken('user', userId, version);
+
+  return res.status(200).json({
+    success: true,
+    data: {
+      token,
+      url: `${CALENDAR_FEED_BASE_URL}/bookings/user/${userId}/calendar.ics?token=${token}`
+    }
+  });
+};
+
+/**
+ * GET /bookings/user/:userId/calendar-token
+ * Get the subscription URL of a user's calendar feed
+ */
+exports.getCalendarToken = async (req, res) => {
+  try {
+    if (rejectCalendarTokenRequest(req, res)) {
+      return;
+    }
+
+    const { userId } = req.params;
+    sendCalendarToken(res, userId, await userTokenVersion(userId));
+
+  } catch (error) {
+    console.error('Get calendar token error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create calendar token',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /bookings/user/:userId/calendar-token
+ * Issue a new subscription URL for a user's calendar feed, revoking the previous one
+ */
+exports.regenerateCalendarToken = async (req, res) => {
+  try {
+    if (rejectCalendarTokenRequest(req, res)) {
+      return;
+    }
+
+    const { userId } = req.params;
+    sendCalendarToken(res, userId, await regenerateUserTokenVersion(userId));
+
+  } catch (error) {
+    console.error('Regenerate calendar token error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to regenerate calendar token',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /bookings/user/:userId/calendar.ics?token=
+ * Subscribable iCalendar feed of a user's bookings (authenticated by the feed token)
+ */
+exports.getUserCalendar = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!calendarFeedsEnabled()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Calendar feeds are not configured'
+      });
+    }
+
+    if (!verifyCalendarToken('user', userId, req.query.token, await userTokenVersion(userId))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid calendar token'
+      });
+    }
+
+    const bookings = await findUserBookings(userId);
+
+    await sendCalendar(res, bookings, {
+      name: bookings.length > 0 ? `Room bookings - ${bookings[0].userName}` : 'Room bookings',
+      filename: 'calendar.ics'
+    });
+
+  } catch (error) {
+    console.error('Get user calendar error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate calendar',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /bookings/room/:roomId/schedule?startDate=&endDate=&format=json|ics&token=
+ * A room's bookings for lobby displays and shared calendars (authenticated by the room's calendar token)
+ * JSON lists the bookings occupying the room; iCalendar also publishes cancellations
+ */
+exports.getRoomSchedule = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { roomId } = req.params;
+    const { startDate, endDate, format } = req.query;
+
+    if (!calendarFeedsEnabled()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Calendar feeds are not configured'
+      });
+    }
+
+    // Room tokens are versioned by the Room Service, which bumps the version to revoke them
+    const room = await getRoomById(roomId);
+    if (!verifyCalendarToken('room', roomId, req.query.token, room.calendarTokenVersion || 0)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid calendar token'
+      });
+    }
+
+    if (enumerateDates(startDate, endDate).length > MAX_SCHEDULE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `Date range cannot exceed ${MAX_SCHEDULE_DAYS} days`
+      });
+    }
+
+    const query = { roomId, bookingDate: { $gte: startDate, $lte: endDate } };
+    if (format !== 'ics') {
+      query.status = { $in: ACTIVE_STATUSES };
+    }
+
+    const bookings = await Booking.find(query).sort({ bookingDate: 1, startTime: 1 });
+
+    if (format === 'ics') {
+      return await sendCalendar(res, bookings, {
+        name: bookings.length > 0 ? `${bookings[0].roomName} (${bookings[0].locationName})` : 'Room bookings',
+        filename: `room-${roomId}.ics`,
+        describe: booking => ({
+          summary: booking.userName,
+          details: [
+            `Booked by: ${booking.userName}`,
+            `Room: ${booking.roomName}`,
+            `Location: ${booking.locationName}`,
+            `Status: ${booking.status}`
+          ]
+        })
+      });
+    }
+
+    // Only what a door-side display needs; no prices or contact details
+    res.status(200).json({
+      success: true,
+      roomId,
+      dateRange: {
+        start: startDate,
+        end: endDate
+      },
+      count: bookings.length,
+      data: bookings.map(booking => ({
+        bookingId: booking._id,
+        bookingDate: booking.bookingDate,
+        startTime: booking.startTime || DAY_START,
+        endTime: booking.endTime || DAY_END,
+        status: booking.status,
+        bookedBy: booking.userName
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get room schedule error:', error);
+
+    if (error.message === 'Room not found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Room not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch room schedule',
+      message: error.message
+    });
+  }
+};
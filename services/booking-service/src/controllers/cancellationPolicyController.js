@@ -0,0 +1,251 @@
+const CancellationPolicy = require('../models/CancellationPolicy');
+const { validationResult } = require('express-validator');
+
+// Fields admins can set on a policy
+const POLICY_FIELDS = ['name', 'description', 'locationId', 'roomId', 'tiers', 'sameDayFeePercent', 'isActive'];
+
+/**
+ * Pick policy fields present in the request body
+ */
+const policyFields = (body) => {
+  const fields = {};
+  for (const field of POLICY_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+};
+
+/**
+ * Respond with a mongoose validation or duplicate scope error, if it is one
+ */
+const sendSaveError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      messages: Object.values(error.errors).map(e => e.message)
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      error: 'An active cancellation policy already exists for this room or location'
+    });
+  }
+
+  return null;
+};
+
+/**
+ * GET /cancellation-policies
+ * List cancellation policies (Admin only)
+ */
+exports.getCancellationPolicies = async (req, res) => {
+  try {
+    const { locationId, roomId, active } = req.query;
+
+    // Build query
+    const query = {};
+    if (locationId) query.locationId = locationId;
+    if (roomId) query.roomId = roomId;
+    if (active !== undefined) query.isActive = active === 'true';
+
+    const policies = await CancellationPolicy.find(query).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: policies.length,
+      data: policies.map(policy => policy.toJSON())
+    });
+
+  } catch (error) {
+    console.error('Get cancellation policies error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid location or room ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch cancellation policies',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /cancellation-policies/:id
+ * Get a cancellation policy (Admin only)
+ */
+exports.getCancellationPolicyById = async (req, res) => {
+  try {
+    const policy = await CancellationPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cancellation policy not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: policy.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Get cancellation policy error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cancellation policy ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch cancellation policy',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /cancellation-policies
+ * Create a cancellation policy (Admin only)
+ */
+exports.createCancellationPolicy = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const policy = new CancellationPolicy(policyFields(req.body));
+    await policy.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Cancellation policy created successfully',
+      data: policy.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Create cancellation policy error:', error);
+
+    if (sendSaveError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create cancellation policy',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * PUT /cancellation-policies/:id
+ * Update a cancellation policy (Admin only)
+ * Already cancelled bookings keep the fee they were charged
+ */
+exports.updateCancellationPolicy = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const policy = await CancellationPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cancellation policy not found'
+      });
+    }
+
+    policy.set(policyFields(req.body));
+    await policy.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Cancellation policy updated successfully',
+      data: policy.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Update cancellation policy error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cancellation policy ID format'
+      });
+    }
+
+    if (sendSaveError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update cancellation policy',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /cancellation-policies/:id
+ * Delete a cancellation policy (Admin only)
+ */
+exports.deleteCancellationPolicy = async (req, res) => {
+  try {
+    const policy = await CancellationPolicy.findByIdAndDelete(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cancellation policy not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Cancellation policy deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete cancellation policy error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cancellation policy ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete cancellation policy',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,57 @@
+const Booking = require('../models/Booking');
+const { validationResult } = require('express-validator');
+const { buildBookingFilter, buildBookingSort } = require('../utils/bookingQueries');
+const { writeCsv, writeXlsx } = require('../utils/bookingExport');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', write: writeCsv },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', write: writeXlsx }
+};
+
+/**
+ * GET /bookings/export?format=csv|xlsx
+ * Export bookings matching the admin search filters as CSV or Excel (Admin only)
+ * Rows are streamed from the database, so exports of any size are never buffered
+ */
+exports.exportBookings = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const format = req.query.format || 'csv';
+    const { contentType, write } = EXPORT_FORMATS[format];
+
+    const cursor = Booking.find(buildBookingFilter(req.query))
+      .sort(buildBookingSort(req.query.sort))
+      .cursor();
+
+    // Stop reading from the database if the client goes away
+    res.on('close', () => cursor.close().catch(() => {}));
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="bookings-${new Date().toISOString().split('T')[0]}.${format}"`);
+
+    await write(cursor, res);
+
+  } catch (error) {
+    console.error('Export bookings error:', error);
+
+    // Part of the file was sent; end it so the client sees an incomplete download
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export bookings',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,264 @@
+const Hold = require('../models/Hold');
+const { validationResult } = require('express-validator');
+const { validateRoom, getBlackouts } = require('../services/roomService');
+const { settleNewBookings } = require('../utils/payments');
+const { holdSlot, reserveSlot } = require('../utils/bookingReservation');
+const { promoteWaitlist } = require('../utils/waitlist');
+const { recordAudit } = require('../utils/audit');
+const { quotaFor, checkBookingQuotas } = require('../utils/quotas');
+const { closedSlotError } = require('../utils/blackouts');
+const { hasStarted } = require('../utils/timeSlots');
+const { sendConflict, sendSlotClosed, sendQuotaExceeded, sendCreated } = require('../utils/bookingResponses');
+
+// Default and maximum number of minutes a hold keeps a slot
+const HOLD_DURATION_MINUTES = parseInt(process.env.HOLD_DURATION_MINUTES) || 10;
+const HOLD_MAX_MINUTES = parseInt(process.env.HOLD_MAX_MINUTES) || 30;
+
+// A hold's slot can be taken by a booking or by another hold
+const HELD_CONFLICT_ERROR = 'Room is already booked or held for this time slot';
+
+/**
+ * Load a hold owned by the current user, responding with an error if unavailable
+ * Resolves to the hold, or null once a response has been sent
+ */
+const findOwnHold = async (req, res) => {
+  const hold = await Hold.findById(req.params.id);
+
+  if (!hold) {
+    res.status(404).json({
+      success: false,
+      error: 'Hold not found or already expired'
+    });
+    return null;
+  }
+
+  if (hold.userId.toString() !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      error: 'Access denied. You can only manage your own holds.'
+    });
+    return null;
+  }
+
+  return hold;
+};
+
+/**
+ * POST /bookings/holds
+ * Hold a room time slot at the current quoted price for a few minutes
+ */
+exports.createHold = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { roomId, date, startTime, endTime } = req.body;
+    const minutes = Math.min(req.body.minutes || HOLD_DURATION_MINUTES, HOLD_MAX_MINUTES);
+    const user = req.user;
+
+    // Validate room exists and is active
+    const room = await validateRoom(roomId);
+
+    // The slot must not have started yet in the location's time zone
+    if (hasStarted(date, startTime, room.locationId.timezone)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Booking must start in the future'
+      });
+    }
+
+    // Closed dates and times outside opening hours cannot be held
+    const blackouts = await getBlackouts(room._id, date, date);
+    const closed = closedSlotError(blackouts, room.locationId, date, startTime, endTime);
+    if (closed) {
+      return sendSlotClosed(res, closed);
+    }
+
+    // Holds count towards booking quotas like bookings (admins are exempt)
+    const quota = quotaFor(req, user.id, room);
+    if (quota) {
+      const quotaError = await checkBookingQuotas({ ...quota, dates: [date] });
+      if (quotaError) {
+        return sendQuotaExceeded(res, quotaError);
+      }
+    }
+
+    const { hold, priceBreakdown, conflict, quotaError } = await holdSlot({
+      user,
+      room,
+      date,
+      startTime,
+      endTime,
+      minutes,
+      quota
+    });
+
+    if (conflict) {
+      return sendConflict(res, conflict, HELD_CONFLICT_ERROR);
+    }
+
+    if (quotaError) {
+      return sendQuotaExceeded(res, quotaError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Room held for ${minutes} minutes`,
+      data: {
+        hold: hold.toJSON(),
+        priceBreakdown
+      }
+    });
+
+  } catch (error) {
+    console.error('Create hold error:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to hold room',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /bookings/holds/:id/confirm
+ * Turn a hold into a booking at the quoted price, optionally paying for it straight away
+ */
+exports.confirmHold = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const hold = await findOwnHold(req, res);
+    if (!hold) {
+      return;
+    }
+
+    // TTL cleanup runs periodically, so an expired hold may still exist
+    if (hold.expiresAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Hold has expired',
+        expiresAt: hold.expiresAt
+      });
+    }
+
+    // Room may have been deactivated since the hold was placed
+    const room = await validateRoom(hold.roomId);
+
+    // Room may have been closed (or its opening hours changed) since the hold was placed
+    const blackouts = await getBlackouts(room._id, hold.bookingDate, hold.bookingDate);
+    const closed = closedSlotError(blackouts, room.locationId, hold.bookingDate, hold.startTime, hold.endTime);
+    if (closed) {
+      return sendSlotClosed(res, closed);
+    }
+
+    // Enforce booking quotas (admins are exempt); the hold being confirmed is not counted twice
+    const quota = quotaFor(req, req.user.id, room);
+    if (quota) {
+      const quotaError = await checkBookingQuotas({ ...quota, dates: [hold.bookingDate], excludeHoldId: hold._id });
+      if (quotaError) {
+        return sendQuotaExceeded(res, quotaError);
+      }
+    }
+
+    const { booking, priceBreakdown, conflict, quotaError } = await reserveSlot({
+      user: req.user,
+      room,
+      date: hold.bookingDate,
+      startTime: hold.startTime,
+      endTime: hold.endTime,
+      hold,
+      quota
+    });
+
+    if (conflict) {
+      return sendConflict(res, conflict, HELD_CONFLICT_ERROR);
+    }
+
+    if (quotaError) {
+      return sendQuotaExceeded(res, quotaError);
+    }
+
+    // Confirm free bookings, or take payment now if a payment method was given
+    const { bookings: [settled], payment, paymentError } = await settleNewBookings([booking], {
+      paymentMethod: req.body.paymentMethod,
+      userId: req.user.id
+    });
+
+    await recordAudit(req, 'created', settled);
+
+    sendCreated(res, { bookings: [settled], payment, paymentError, priceBreakdown });
+
+  } catch (error) {
+    console.error('Confirm hold error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid hold ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to confirm hold',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /bookings/holds/:id
+ * Release a hold before it expires
+ */
+exports.releaseHold = async (req, res) => {
+  try {
+    const hold = await findOwnHold(req, res);
+    if (!hold) {
+      return;
+    }
+
+    await Hold.deleteOne({ _id: hold._id });
+
+    // Offer the freed slot to the waitlist (non-blocking)
+    promoteWaitlist(hold.roomId, hold.bookingDate)
+      .catch(err => console.error('Waitlist promotion error:', err));
+
+    res.status(200).json({
+      success: true,
+      message: 'Hold released'
+    });
+
+  } catch (error) {
+    console.error('Release hold error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid hold ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to release hold',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,137 @@
+const Booking = require('../models/Booking');
+const { validationResult } = require('express-validator');
+const { invoiceBooking, invoiceMonth } = require('../utils/invoices');
+const { renderInvoicePdf } = require('../utils/invoicePdf');
+
+/**
+ * Respond with an invoice as JSON, or as a PDF for ?format=pdf
+ */
+const sendInvoice = (req, res, invoice) => {
+  if (req.query.format === 'pdf') {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${invoice.invoiceNumber}.pdf"`);
+    return renderInvoicePdf(invoice).pipe(res);
+  }
+
+  return res.status(200).json({
+    success: true,
+    data: invoice.toJSON()
+  });
+};
+
+/**
+ * GET /bookings/:id/invoice
+ * Get the invoice for a booking (?format=json|pdf)
+ */
+exports.getBookingInvoice = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found'
+      });
+    }
+
+    // Ensure user can only view their own invoices (unless admin)
+    if (booking.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You can only view your own invoices.'
+      });
+    }
+
+    const invoice = await invoiceBooking(booking);
+
+    if (!invoice) {
+      return res.status(400).json({
+        success: false,
+        error: `Nothing to invoice for this ${booking.status} booking`
+      });
+    }
+
+    sendInvoice(req, res, invoice);
+
+  } catch (error) {
+    console.error('Get booking invoice error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid booking ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate invoice',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /bookings/invoices/monthly?month=YYYY-MM
+ * Get the consolidated invoice for a user's bookings in a month (?format=json|pdf)
+ * One invoice per currency (?currency=); admins can pass ?userId= to invoice another user
+ */
+exports.getMonthlyInvoice = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { month, currency, userId = req.user.id } = req.query;
+
+    if (userId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You can only view your own invoices.'
+      });
+    }
+
+    const { invoice, currencies } = await invoiceMonth(userId, month, currency);
+
+    if (currencies) {
+      return res.status(400).json({
+        success: false,
+        error: `Bookings in ${month} were charged in several currencies. Choose one with ?currency=`,
+        currencies
+      });
+    }
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: `No charged bookings in ${month}${currency ? ` in ${currency}` : ''}`
+      });
+    }
+
+    sendInvoice(req, res, invoice);
+
+  } catch (error) {
+    console.error('Get monthly invoice error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate invoice',
+      message: error.message
+    });
+  }
+};
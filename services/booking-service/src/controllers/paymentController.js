@@ -0,0 +1,167 @@
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const { validationResult } = require('express-validator');
+const { payBookings, paymentSummary } = require('../utils/payments');
+const { sendPaymentFailed } = require('../utils/bookingResponses');
+const { sendConfirmations } = require('../services/notificationService');
+const { snapshotBooking, recordAudit } = require('../utils/audit');
+
+/**
+ * POST /bookings/:id/pay
+ * Pay for a booking awaiting payment
+ * For a recurring booking, pays every occurrence of the series still awaiting payment
+ */
+exports.payBooking = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { paymentMethod } = req.body;
+
+    const booking = await Booking.findById(id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found'
+      });
+    }
+
+    if (booking.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You can only pay for your own bookings.'
+      });
+    }
+
+    if (booking.status !== 'pending_payment') {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot pay for ${booking.status} bookings`
+      });
+    }
+
+    // The lifecycle job expires unpaid bookings periodically
+    if (booking.paymentDueAt && booking.paymentDueAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Payment window has expired',
+        paymentDueAt: booking.paymentDueAt
+      });
+    }
+
+    const bookings = booking.seriesId
+      ? await Booking.find({
+        seriesId: booking.seriesId,
+        userId: booking.userId,
+        status: 'pending_payment',
+        paymentDueAt: { $gt: new Date() }
+      }).sort({ bookingDate: 1 })
+      : [booking];
+
+    const before = new Map(bookings.map(b => [b._id.toString(), snapshotBooking(b)]));
+
+    const { payment, confirmed, error } = await payBookings(bookings, {
+      paymentMethod,
+      userId: req.user.id
+    });
+
+    if (error) {
+      return sendPaymentFailed(res, error, {
+        payment: paymentSummary(bookings, payment)
+      });
+    }
+
+    for (const b of confirmed) {
+      await recordAudit(req, 'updated', b, before.get(b._id.toString()));
+    }
+
+    // Send confirmation notification (non-blocking)
+    sendConfirmations(confirmed)
+      .catch(err => console.error('Notification error:', err));
+
+    res.status(200).json({
+      success: true,
+      message: confirmed.length === 1 ? 'Booking confirmed' : `Confirmed ${confirmed.length} bookings`,
+      data: {
+        bookings: confirmed.map(b => b.toJSON()),
+        payment: paymentSummary(bookings, payment)
+      }
+    });
+
+  } catch (error) {
+    console.error('Pay booking error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid booking ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to pay for booking',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /bookings/:id/payments
+ * Get payment attempts and refunds for a booking
+ */
+exports.getBookingPayments = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const booking = await Booking.findById(id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found'
+      });
+    }
+
+    // Ensure user can only view their own payments (unless admin)
+    if (booking.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You can only view your own payments.'
+      });
+    }
+
+    const payments = await Payment.find({ bookingIds: booking._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: payments.length,
+      data: payments.map(payment => payment.toJSON())
+    });
+
+  } catch (error) {
+    console.error('Get booking payments error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid booking ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch payments',
+      message: error.message
+    });
+  }
+};
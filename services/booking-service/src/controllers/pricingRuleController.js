@@ -0,0 +1,257 @@
+const PricingRule = require('../models/PricingRule');
+const { validationResult } = require('express-validator');
+
+// Fields admins can set on a rule
+const RULE_FIELDS = [
+  'name',
+  'type',
+  'locationId',
+  'roomId',
+  'priority',
+  'multiplier',
+  'seasonStart',
+  'seasonEnd',
+  'minDaysAhead',
+  'maxHoursAhead',
+  'minCapacity',
+  'maxCapacity',
+  'comfortableTemperature',
+  'adjustmentFactor',
+  'isActive'
+];
+
+/**
+ * Pick rule fields present in the request body
+ */
+const ruleFields = (body) => {
+  const fields = {};
+  for (const field of RULE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+};
+
+/**
+ * Respond with a mongoose validation error
+ */
+const sendValidationError = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    error: 'Validation Error',
+    messages: Object.values(error.errors).map(e => e.message)
+  });
+};
+
+/**
+ * GET /pricing-rules
+ * List pricing rules (Admin only)
+ */
+exports.getPricingRules = async (req, res) => {
+  try {
+    const { type, locationId, roomId, active } = req.query;
+
+    // Build query
+    const query = {};
+    if (type) query.type = type;
+    if (locationId) query.locationId = locationId;
+    if (roomId) query.roomId = roomId;
+    if (active !== undefined) query.isActive = active === 'true';
+
+    const rules = await PricingRule.find(query).sort({ priority: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules.map(rule => rule.toJSON())
+    });
+
+  } catch (error) {
+    console.error('Get pricing rules error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid location or room ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch pricing rules',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /pricing-rules/:id
+ * Get a single pricing rule (Admin only)
+ */
+exports.getPricingRuleById = async (req, res) => {
+  try {
+    const rule = await PricingRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pricing rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rule.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Get pricing rule error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pricing rule ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch pricing rule',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /pricing-rules
+ * Create a pricing rule (Admin only)
+ */
+exports.createPricingRule = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = new PricingRule(ruleFields(req.body));
+    await rule.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Pricing rule created successfully',
+      data: rule.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Create pricing rule error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create pricing rule',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * PUT /pricing-rules/:id
+ * Update a pricing rule (Admin only)
+ */
+exports.updatePricingRule = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await PricingRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pricing rule not found'
+      });
+    }
+
+    rule.set(ruleFields(req.body));
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Pricing rule updated successfully',
+      data: rule.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Update pricing rule error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pricing rule ID format'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update pricing rule',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /pricing-rules/:id
+ * Delete a pricing rule (Admin only)
+ * Existing bookings keep the price they were charged
+ */
+exports.deletePricingRule = async (req, res) => {
+  try {
+    const rule = await PricingRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pricing rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Pricing rule deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete pricing rule error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pricing rule ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete pricing rule',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,292 @@
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const { validationResult } = require('express-validator');
+
+// Fields admins can set on a promo code
+const PROMO_CODE_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'discountValue',
+  'currency',
+  'validFrom',
+  'validUntil',
+  'maxUses',
+  'maxUsesPerUser',
+  'roomIds',
+  'locationIds',
+  'emailDomains',
+  'isActive'
+];
+
+/**
+ * Pick promo code fields present in the request body
+ */
+const promoCodeFields = (body) => {
+  const fields = {};
+  for (const field of PROMO_CODE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  if (fields.emailDomains) {
+    fields.emailDomains = fields.emailDomains.map(domain => domain.trim().toLowerCase());
+  }
+  return fields;
+};
+
+/**
+ * Respond with a mongoose validation or duplicate code error, if it is one
+ */
+const sendSaveError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      messages: Object.values(error.errors).map(e => e.message)
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      error: 'A promo code with this code already exists'
+    });
+  }
+
+  return null;
+};
+
+/**
+ * GET /promo-codes
+ * List promo codes (Admin only)
+ */
+exports.getPromoCodes = async (req, res) => {
+  try {
+    const { active } = req.query;
+
+    const query = {};
+    if (active !== undefined) query.isActive = active === 'true';
+
+    const promoCodes = await PromoCode.find(query).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: promoCodes.length,
+      data: promoCodes.map(promoCode => promoCode.toJSON())
+    });
+
+  } catch (error) {
+    console.error('Get promo codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch promo codes',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /promo-codes/:id
+ * Get a promo code (Admin only)
+ */
+exports.getPromoCodeById = async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id);
+
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        error: 'Promo code not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: promoCode.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Get promo code error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid promo code ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch promo code',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /promo-codes
+ * Create a promo code (Admin only)
+ */
+exports.createPromoCode = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const promoCode = new PromoCode({
+      ...promoCodeFields(req.body),
+      createdBy: req.user.id
+    });
+
+    await promoCode.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo code created successfully',
+      data: promoCode.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Create promo code error:', error);
+
+    if (sendSaveError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create promo code',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * PUT /promo-codes/:id
+ * Update or deactivate a promo code (Admin only)
+ * The code itself cannot be changed once created
+ */
+exports.updatePromoCode = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const promoCode = await PromoCode.findById(req.params.id);
+
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        error: 'Promo code not found'
+      });
+    }
+
+    const { code, ...fields } = promoCodeFields(req.body);
+    if (code !== undefined && code.trim().toUpperCase() !== promoCode.code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Promo code cannot be renamed; create a new code instead'
+      });
+    }
+
+    promoCode.set(fields);
+    await promoCode.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Promo code updated successfully',
+      data: promoCode.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Update promo code error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid promo code ID format'
+      });
+    }
+
+    if (sendSaveError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update promo code',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /promo-codes/redemptions?code=&status=&startDate=&endDate=
+ * Redemption report with totals per code (Admin only)
+ */
+exports.getRedemptions = async (req, res) => {
+  try {
+    const { code, status, startDate, endDate } = req.query;
+
+    // Build query
+    const query = {};
+    if (code) query.code = code.trim().toUpperCase();
+    if (status) query.status = status;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(`${startDate}T00:00:00Z`);
+      if (endDate) query.createdAt.$lte = new Date(`${endDate}T23:59:59.999Z`);
+    }
+
+    const [redemptions, summary] = await Promise.all([
+      PromoRedemption.find(query).sort({ createdAt: -1 }),
+      PromoRedemption.aggregate([
+        { $match: query },
+        {
+          $group: {
+            _id: '$code',
+            redemptions: { $sum: { $cond: [{ $eq: ['$status', 'applied'] }, 1, 0] } },
+            released: { $sum: { $cond: [{ $eq: ['$status', 'released'] }, 1, 0] } },
+            totalDiscount: { $sum: { $cond: [{ $eq: ['$status', 'applied'] }, '$discountAmount', 0] } }
+          }
+        },
+        { $sort: { _id: 1 } },
+        {
+          $project: {
+            _id: 0,
+            code: '$_id',
+            redemptions: 1,
+            released: 1,
+            totalDiscount: { $round: ['$totalDiscount', 2] }
+          }
+        }
+      ])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: redemptions.length,
+      summary,
+      data: redemptions.map(redemption => redemption.toJSON())
+    });
+
+  } catch (error) {
+    console.error('Get promo redemptions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch promo code redemptions',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,179 @@
+const { validationResult } = require('express-validator');
+const { validateRoom, getBlackouts } = require('../services/roomService');
+const { quoteSlot } = require('../utils/bookingReservation');
+const { getBusyIntervals } = require('../utils/availability');
+const { enumerateDates, intervalsOverlap, toLocalDateString, DAY_START } = require('../utils/timeSlots');
+const { openFreeIntervals } = require('../utils/openingHours');
+const { findBlackout, blackoutSummary, closedSlotError } = require('../utils/blackouts');
+
+// Longest date range priced by the quote calendar (one forecast per day)
+const MAX_QUOTE_DAYS = 31;
+
+// Slot priced when no times are given, so the quote is the hourly rate
+const HOURLY_SLOT = { startTime: DAY_START, endTime: '01:00' };
+
+/**
+ * Check whether a date is before today at the room's location
+ */
+const isPastDate = (room, date) => date < toLocalDateString(new Date(), room.locationId.timezone);
+
+/**
+ * Price and availability for one date
+ * Without a slot, availability means any free time within opening hours that day
+ * Dates closed by a blackout have no free time and include the blackout
+ */
+const quoteDate = async (room, date, slot, busyOn, blackouts) => {
+  const busy = busyOn(date);
+  const blackout = findBlackout(blackouts, date);
+  const free = blackout ? [] : openFreeIntervals(busy, room.locationId, date);
+
+  const available = slot
+    ? !busy.some(interval => intervalsOverlap(interval.startTime, interval.endTime, slot.startTime, slot.endTime)) &&
+      !closedSlotError(blackouts, room.locationId, date, slot.startTime, slot.endTime)
+    : free.length > 0;
+
+  const { startTime, endTime } = slot || HOURLY_SLOT;
+  const priceBreakdown = await quoteSlot(room, date, startTime, endTime);
+
+  return {
+    date,
+    available,
+    free,
+    ...(blackout && { blackout: blackoutSummary(blackout) }),
+    priceBreakdown
+  };
+};
+
+/**
+ * Time slot requested in the query string, or null to quote the hourly rate
+ */
+const requestedSlot = (req) => {
+  const { startTime, endTime } = req.query;
+  return startTime && endTime ? { startTime, endTime } : null;
+};
+
+/**
+ * GET /bookings/quote?roomId=&date=&startTime=&endTime=
+ * Price a room for one date without creating a booking
+ */
+exports.getQuote = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { roomId, date } = req.query;
+    const slot = requestedSlot(req);
+
+    // Validate room exists and is active
+    const room = await validateRoom(roomId);
+
+    if (isPastDate(room, date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Quotes are only available for future dates'
+      });
+    }
+
+    const { busyOn } = await getBusyIntervals(roomId, date, date);
+    const blackouts = await getBlackouts(room._id, date, date);
+    const quote = await quoteDate(room, date, slot, busyOn, blackouts);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        roomId,
+        roomName: room.name,
+        locationName: room.locationId.name,
+        startTime: slot ? slot.startTime : null,
+        endTime: slot ? slot.endTime : null,
+        ...quote
+      }
+    });
+
+  } catch (error) {
+    console.error('Get quote error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get price quote',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /bookings/quote/calendar?roomId=&startDate=&endDate=&startTime=&endTime=
+ * Price a room for every date in a range, e.g. to render a price calendar
+ */
+exports.getQuoteCalendar = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { roomId, startDate, endDate } = req.query;
+    const slot = requestedSlot(req);
+
+    const dates = enumerateDates(startDate, endDate);
+    if (dates.length > MAX_QUOTE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `Date range cannot exceed ${MAX_QUOTE_DAYS} days`
+      });
+    }
+
+    // Validate room exists and is active
+    const room = await validateRoom(roomId);
+
+    if (isPastDate(room, startDate)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Quotes are only available for future dates'
+      });
+    }
+
+    const { busyOn } = await getBusyIntervals(roomId, startDate, endDate);
+    const blackouts = await getBlackouts(room._id, startDate, endDate);
+
+    // One forecast per day; sequential to stay under the weather service rate limit
+    const quotes = [];
+    for (const date of dates) {
+      quotes.push(await quoteDate(room, date, slot, busyOn, blackouts));
+    }
+
+    res.status(200).json({
+      success: true,
+      roomId,
+      roomName: room.name,
+      locationName: room.locationId.name,
+      dateRange: {
+        start: startDate,
+        end: endDate
+      },
+      startTime: slot ? slot.startTime : null,
+      endTime: slot ? slot.endTime : null,
+      count: quotes.length,
+      data: quotes
+    });
+
+  } catch (error) {
+    console.error('Get quote calendar error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get price quotes',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,241 @@
+const TaxRate = require('../models/TaxRate');
+const { validationResult } = require('express-validator');
+
+// Fields admins can set on a tax rate
+const TAX_RATE_FIELDS = ['country', 'name', 'rate', 'isActive'];
+
+/**
+ * Pick tax rate fields present in the request body
+ */
+const taxRateFields = (body) => {
+  const fields = {};
+  for (const field of TAX_RATE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+};
+
+/**
+ * Respond with a mongoose validation or duplicate country error, if it is one
+ */
+const sendSaveError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      messages: Object.values(error.errors).map(e => e.message)
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      error: 'A tax rate already exists for this country'
+    });
+  }
+
+  return null;
+};
+
+/**
+ * GET /tax-rates
+ * List tax rates (Admin only)
+ */
+exports.getTaxRates = async (req, res) => {
+  try {
+    const { active } = req.query;
+
+    // Build query
+    const query = {};
+    if (active !== undefined) query.isActive = active === 'true';
+
+    const taxRates = await TaxRate.find(query).sort({ country: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: taxRates.length,
+      data: taxRates.map(taxRate => taxRate.toJSON())
+    });
+
+  } catch (error) {
+    console.error('Get tax rates error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tax rates',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /tax-rates/:id
+ * Get a tax rate (Admin only)
+ */
+exports.getTaxRateById = async (req, res) => {
+  try {
+    const taxRate = await TaxRate.findById(req.params.id);
+
+    if (!taxRate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tax rate not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: taxRate.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Get tax rate error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid tax rate ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tax rate',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /tax-rates
+ * Create a tax rate (Admin only)
+ */
+exports.createTaxRate = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const taxRate = new TaxRate(taxRateFields(req.body));
+    await taxRate.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Tax rate created successfully',
+      data: taxRate.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Create tax rate error:', error);
+
+    if (sendSaveError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create tax rate',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * PUT /tax-rates/:id
+ * Update a tax rate (Admin only)
+ * Issued invoices keep their rate unless the booking charges change and they are re-issued
+ */
+exports.updateTaxRate = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const taxRate = await TaxRate.findById(req.params.id);
+
+    if (!taxRate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tax rate not found'
+      });
+    }
+
+    taxRate.set(taxRateFields(req.body));
+    await taxRate.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Tax rate updated successfully',
+      data: taxRate.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Update tax rate error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid tax rate ID format'
+      });
+    }
+
+    if (sendSaveError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update tax rate',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /tax-rates/:id
+ * Delete a tax rate (Admin only)
+ */
+exports.deleteTaxRate = async (req, res) => {
+  try {
+    const taxRate = await TaxRate.findByIdAndDelete(req.params.id);
+
+    if (!taxRate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tax rate not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Tax rate deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete tax rate error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid tax rate ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete tax rate',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,295 @@
+const Booking = require('../models/Booking');
+const Waitlist = require('../models/Waitlist');
+const { validationResult } = require('express-validator');
+const { validateRoom } = require('../services/roomService');
+const { toNotificationPayload, sendBookingConfirmation } = require('../services/notificationService');
+const { findConflict } = require('../utils/availability');
+const { resolveWaitlistEntry } = require('../utils/waitlist');
+const { initialPaymentFields } = require('../utils/payments');
+const { snapshotBooking, recordAudit } = require('../utils/audit');
+const { hasStarted } = require('../utils/timeSlots');
+
+/**
+ * POST /bookings/room/:roomId/waitlist
+ * Queue for a room time slot that is currently booked
+ */
+exports.joinWaitlist = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { roomId } = req.params;
+    const { date, startTime, endTime } = req.body;
+    const user = req.user;
+
+    // Validate room exists and is active
+    const room = await validateRoom(roomId);
+
+    // The slot must not have started yet in the location's time zone
+    if (hasStarted(date, startTime, room.locationId.timezone)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Booking must start in the future'
+      });
+    }
+
+    const existingBooking = await findConflict(roomId, date, startTime, endTime);
+    if (!existingBooking) {
+      return res.status(400).json({
+        success: false,
+        error: 'Room is available for this time slot. Book it directly instead.'
+      });
+    }
+
+    const duplicate = await Waitlist.findOne({
+      roomId,
+      bookingDate: date,
+      startTime,
+      endTime,
+      userId: user.id,
+      status: { $in: ['waiting', 'offered'] }
+    });
+
+    if (duplicate) {
+      return res.status(400).json({
+        success: false,
+        error: 'You are already on the waitlist for this time slot',
+        data: duplicate.toJSON()
+      });
+    }
+
+    const entry = new Waitlist({
+      roomId,
+      bookingDate: date,
+      startTime,
+      endTime,
+      userId: user.id,
+      userEmail: user.email,
+      userName: user.name
+    });
+
+    await entry.save();
+
+    const position = await Waitlist.countDocuments({
+      roomId,
+      bookingDate: date,
+      status: 'waiting',
+      createdAt: { $lte: entry.createdAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Added to waitlist',
+      data: {
+        entry: entry.toJSON(),
+        position
+      }
+    });
+
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid room ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to join waitlist',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /bookings/waitlist
+ * Get the current user's waitlist entries
+ */
+exports.getMyWaitlist = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const query = { userId: req.user.id };
+    if (status) query.status = status;
+
+    const entries = await Waitlist.find(query).sort({ bookingDate: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries.map(entry => entry.toJSON())
+    });
+
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch waitlist',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /bookings/waitlist/:id
+ * Leave the waitlist
+ */
+exports.leaveWaitlist = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const entry = await Waitlist.findById(id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Waitlist entry not found'
+      });
+    }
+
+    // Ensure user can only remove their own entries (unless admin)
+    if (entry.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You can only manage your own waitlist entries.'
+      });
+    }
+
+    if (entry.status !== 'waiting') {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot leave waitlist once the entry is ${entry.status}`
+      });
+    }
+
+    entry.status = 'cancelled';
+    await entry.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Removed from waitlist',
+      data: entry.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid waitlist entry ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to leave waitlist',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /bookings/:id/accept
+ * Accept a tentative booking offered from the waitlist
+ * Decline by cancelling the booking (DELETE /bookings/:id)
+ */
+exports.acceptOffer = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const booking = await Booking.findById(id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found'
+      });
+    }
+
+    if (booking.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Only the waitlisted user can accept this offer.'
+      });
+    }
+
+    if (booking.status !== 'tentative') {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot accept ${booking.status} bookings`
+      });
+    }
+
+    if (booking.offerExpiresAt && booking.offerExpiresAt < new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Offer has expired',
+        offerExpiresAt: booking.offerExpiresAt
+      });
+    }
+
+    const before = snapshotBooking(booking);
+
+    // Accept only if the lifecycle job has not expired the offer meanwhile
+    // Paid bookings then wait for payment (POST /bookings/:id/pay)
+    const accepted = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: 'tentative' },
+      {
+        $set: initialPaymentFields(booking.finalPrice ?? booking.adjustedPrice),
+        $unset: { offerExpiresAt: 1 }
+      },
+      { new: true }
+    );
+
+    if (!accepted) {
+      return res.status(400).json({
+        success: false,
+        error: 'Offer is no longer available'
+      });
+    }
+
+    await resolveWaitlistEntry(accepted, 'accepted');
+    await recordAudit(req, 'updated', accepted, before);
+
+    if (accepted.status === 'confirmed') {
+      // Send confirmation notification (non-blocking)
+      sendBookingConfirmation(toNotificationPayload(accepted))
+        .catch(err => console.error('Notification error:', err));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: accepted.status === 'confirmed'
+        ? 'Booking confirmed'
+        : 'Offer accepted. Complete payment to confirm the booking.',
+      data: accepted.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Accept offer error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid booking ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to accept offer',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,150 @@
+const Booking = require('../models/Booking');
+const { toDateTime, toLocalDateString, DAY_END } = require('../utils/timeSlots');
+const { expireWaitlistOffers, promoteWaitlist } = require('../utils/waitlist');
+const { releasePromoCode } = require('../utils/promoCodes');
+const { LATEST_TIMEZONE } = require('../utils/openingHours');
+const { snapshotBooking, recordSystemAudit } = require('../utils/audit');
+
+// Minutes before the start time that check-in opens
+const CHECK_IN_EARLY_MINUTES = parseInt(process.env.CHECK_IN_EARLY_MINUTES) || 15;
+// Minutes after the start time before an unattended booking becomes a no-show
+const CHECK_IN_GRACE_MINUTES = parseInt(process.env.CHECK_IN_GRACE_MINUTES) || 15;
+// How often the lifecycle job runs
+const LIFECYCLE_INTERVAL_MS = parseInt(process.env.LIFECYCLE_INTERVAL_MS) || 60000;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Times at which check-in opens and closes for a booking
+ */
+const getCheckInWindow = (booking) => {
+  const start = toDateTime(booking.bookingDate, booking.startTime, booking.timezone);
+
+  return {
+    opensAt: new Date(start.getTime() - CHECK_IN_EARLY_MINUTES * MINUTE_MS),
+    closesAt: new Date(start.getTime() + CHECK_IN_GRACE_MINUTES * MINUTE_MS)
+  };
+};
+
+/**
+ * Expire bookings whose payment window closed without a successful payment
+ * Frees the slot and the promo code use, then offers the slot to the waitlist
+ */
+const expireUnpaidBookings = async (now) => {
+  const unpaid = await Booking.find({
+    status: 'pending_payment',
+    paymentDueAt: { $lte: now }
+  });
+
+  let expired = 0;
+
+  for (const booking of unpaid) {
+    // A payment may have confirmed the booking since it was read
+    const result = await Booking.updateOne(
+      { _id: booking._id, status: 'pending_payment' },
+      { $set: { status: 'expired' } }
+    );
+
+    if (result.modifiedCount === 0) {
+      continue;
+    }
+
+    expired++;
+    const before = snapshotBooking(booking);
+    booking.status = 'expired';
+    await recordSystemAudit('updated', booking, before);
+
+    await releasePromoCode(booking);
+    await promoteWaitlist(booking.roomId, booking.bookingDate)
+      .catch(err => console.error('Waitlist promotion error:', err.message));
+  }
+
+  return expired;
+};
+
+/**
+ * Move past confirmed bookings to completed or no_show, expire waitlist offers
+ * and expire bookings that were not paid in time
+ * - checked in and the slot has ended -> completed
+ * - not checked in once the grace window has passed -> no_show (frees the room)
+ * - legacy whole-day bookings (no time slot) -> completed once the day is over
+ */
+const runLifecycleTransitions = async (now = new Date()) => {
+  // Bookings are dated in their location's time zone, so include every date that has started somewhere
+  const candidates = await Booking.find({
+    status: 'confirmed',
+    bookingDate: { $lte: toLocalDateString(now, LATEST_TIMEZONE) }
+  });
+
+  const summary = { completed: 0, noShow: 0, expired: 0, unpaid: 0 };
+
+  for (const booking of candidates) {
+    const hasTimeSlot = Boolean(booking.startTime);
+    const end = toDateTime(booking.bookingDate, booking.endTime || DAY_END, booking.timezone);
+
+    let status = null;
+    if (!hasTimeSlot || booking.checkedInAt) {
+      if (now >= end) {
+        status = 'completed';
+      }
+    } else if (now >= getCheckInWindow(booking).closesAt) {
+      status = 'no_show';
+    }
+
+    if (!status) {
+      continue;
+    }
+
+    // Only transition if nothing changed the booking since it was read
+    const result = await Booking.updateOne(
+      { _id: booking._id, status: 'confirmed', checkedInAt: booking.checkedInAt || null },
+      { $set: { status } }
+    );
+
+    if (result.modifiedCount > 0) {
+      const before = snapshotBooking(booking);
+      booking.status = status;
+      await recordSystemAudit('updated', booking, before);
+
+      if (status === 'completed') {
+        summary.completed++;
+      } else {
+        summary.noShow++;
+      }
+    }
+  }
+
+  // Tentative waitlist offers that were not accepted in time
+  summary.expired = await expireWaitlistOffers(now);
+
+  // Bookings awaiting payment past their payment window
+  summary.unpaid = await expireUnpaidBookings(now);
+
+  return summary;
+};
+
+/**
+ * Start running lifecycle transitions on an interval
+ * Returns the timer so the caller can stop it on shutdown
+ */
+const startLifecycleJob = () => {
+  const run = () => {
+    runLifecycleTransitions()
+      .then(({ completed, noShow, expired, unpaid }) => {
+        if (completed > 0 || noShow > 0 || expired > 0 || unpaid > 0) {
+          console.log(`Lifecycle job: ${completed} completed, ${noShow} no-show, ${expired} offers expired, ${unpaid} unpaid bookings expired`);
+        }
+      })
+      .catch(err => console.error('Lifecycle job error:', err.message));
+  };
+
+  return setInterval(run, LIFECYCLE_INTERVAL_MS);
+};
+
+module.exports = {
+  CHECK_IN_EARLY_MINUTES,
+  CHECK_IN_GRACE_MINUTES,
+  getCheckInWindow,
+  runLifecycleTransitions,
+  startLifecycleJob
+};
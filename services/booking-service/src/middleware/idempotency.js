@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// How long a key and its response are kept
+const IDEMPOTENCY_TTL_HOURS = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+// How long a request may run before a retry may take over its key (longer than the gateway's booking timeout)
+const IDEMPOTENCY_LOCK_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 150;
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * JSON with object keys sorted, so equal bodies hash equally whatever their key order
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+/**
+ * SHA-256 of what makes two requests the same: method, path, query and body
+ */
+const hashRequest = (req) => {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+};
+
+/**
+ * Claim a key for this request
+ * Resolves to { claimed: true } or { existing } when the key is already in use
+ */
+const claimKey = async (req, key, requestHash) => {
+  const now = Date.now();
+
+  try {
+    await IdempotencyKey.create({
+      key,
+      userId: req.user.id,
+      method: req.method,
+      path: req.originalUrl,
+      requestHash,
+      lockedUntil: new Date(now + IDEMPOTENCY_LOCK_SECONDS * 1000),
+      expiresAt: new Date(now + IDEMPOTENCY_TTL_HOURS * 3600000)
+    });
+    return { claimed: true };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  // Take over a request that was abandoned mid-way (e.g. the service restarted)
+  const abandoned = await IdempotencyKey.findOneAndUpdate(
+    { userId: req.user.id, key, requestHash, status: 'in_progress', lockedUntil: { $lt: new Date(now) } },
+    { $set: { lockedUntil: new Date(now + IDEMPOTENCY_LOCK_SECONDS * 1000) } },
+    { new: true }
+  );
+  if (abandoned) {
+    return { claimed: true };
+  }
+
+  return { existing: await IdempotencyKey.findOne({ userId: req.user.id, key }) };
+};
+
+/**
+ * Make a route safe to retry with an Idempotency-Key header (use after protect)
+ * The first request runs and its response is stored; retries with the same key and
+ * request get the stored response instead of running again
+ * - 422 when the key was used for a different request
+ * - 409 while the first request is still running
+ * Server errors (5xx) are not stored, so the request can be retried with the same key
+ * Requests without the header are not affected
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  try {
+    const requestHash = hashRequest(req);
+    const { claimed, existing } = await claimKey(req, key, requestHash);
+
+    if (!claimed) {
+      if (existing && existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency-Key was already used for a different request'
+        });
+      }
+
+      // A missing entry expired since the insert was attempted; the client can simply retry
+      if (!existing || existing.status === 'in_progress') {
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Capture the response body so it can be replayed
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      const saved = res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ userId: req.user.id, key })
+        : IdempotencyKey.updateOne(
+          { userId: req.user.id, key },
+          {
+            $set: { status: 'completed', responseStatus: res.statusCode, responseBody },
+            $unset: { lockedUntil: 1 }
+          }
+        );
+
+      saved.catch(err => console.error('Idempotency key error:', err.message));
+    });
+
+    next();
+  } catch (error) {
+    console.error('Idempotency error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process Idempotency-Key',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  hashRequest,
+  idempotent
+};
@@ -1,4 +1,68 @@
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
+const { TIME_PATTERN, toMinutes, hasStarted, toLocalDateString } = require('../utils/timeSlots');
+const { EARLIEST_TIMEZONE } = require('../utils/openingHours');
+const { FREQUENCIES, MAX_OCCURRENCES, exceedsMaxOccurrences } = require('../utils/recurrence');
+const { RULE_TYPES } = require('../utils/priceCalculator');
+const { SORT_OPTIONS, MAX_PAGE_SIZE } = require('../utils/bookingQueries');
+const { INTERVALS } = require('../utils/analytics');
+const Booking = require('../models/Booking');
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Validation rules for a date and time slot
+ */
+const slotValidation = [
+  body('date')
+    .notEmpty()
+    .withMessage('Booking date is required')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be in YYYY-MM-DD format')
+    .custom((value, { req }) => {
+      // Rejects slots that have started everywhere; controllers check against the location's time zone
+      if (value < toLocalDateString(new Date(), EARLIEST_TIMEZONE)) {
+        throw new Error('Booking date must be in the future');
+      }
+
+      const { startTime } = req.body;
+      if (TIME_PATTERN.test(startTime || '') && startTime !== '24:00' && hasStarted(value, startTime, EARLIEST_TIMEZONE)) {
+        throw new Error('Booking must start in the future');
+      }
+
+      return true;
+    }),
+
+  body('startTime')
+    .notEmpty()
+    .withMessage('Start time is required')
+    .matches(TIME_PATTERN)
+    .withMessage('Start time must be in HH:mm format')
+    .not()
+    .equals('24:00')
+    .withMessage('Start time must be before 24:00'),
+
+  body('endTime')
+    .notEmpty()
+    .withMessage('End time is required')
+    .matches(TIME_PATTERN)
+    .withMessage('End time must be in HH:mm format')
+    .custom((value, { req }) => {
+      if (TIME_PATTERN.test(req.body.startTime || '') && toMinutes(value) <= toMinutes(req.body.startTime)) {
+        throw new Error('End time must be after start time');
+      }
+
+      return true;
+    })
+];
+
+/**
+ * Pay straight away when a booking is created; otherwise pay later
+ */
+const optionalPaymentMethod = body('paymentMethod')
+  .optional()
+  .isString()
+  .trim()
+  .notEmpty()
+  .withMessage('Payment method must be a non-empty string');
 
 /**
  * Validation rules for creating a booking
@@ -10,21 +74,802 @@ exports.bookingValidation = [
     .isMongoId()
     .withMessage('Invalid room ID format'),
   
+  ...slotValidation,
+
+  body('recurrence')
+    .optional()
+    .isObject()
+    .withMessage('Recurrence must be an object')
+    .custom((value) => {
+      if (!value.count && !value.until) {
+        throw new Error('Recurrence requires a count or an until date');
+      }
+
+      return true;
+    }),
+
+  body('recurrence.frequency')
+    .if(body('recurrence').exists())
+    .isIn(FREQUENCIES)
+    .withMessage(`Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`),
+
+  body('recurrence.interval')
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Recurrence interval must be between 1 and 12')
+    .toInt(),
+
+  body('recurrence.count')
+    .optional()
+    .isInt({ min: 1, max: MAX_OCCURRENCES })
+    .withMessage(`Recurrence count must be between 1 and ${MAX_OCCURRENCES}`)
+    .toInt(),
+
+  body('recurrence.until')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Recurrence until date must be in YYYY-MM-DD format')
+    .custom((value, { req }) => {
+      if (value < req.body.date) {
+        throw new Error('Recurrence until date must not be before the booking date');
+      }
+
+      // Rules are never truncated silently; book long series in several requests
+      const { frequency, interval, count } = req.body.recurrence;
+      const rule = { frequency, interval: parseInt(interval) || 1, count, until: value };
+      if (FREQUENCIES.includes(frequency) && exceedsMaxOccurrences(req.body.date, rule)) {
+        throw new Error(`Recurrence would create more than ${MAX_OCCURRENCES} occurrences; set a count or an earlier until date`);
+      }
+
+      return true;
+    }),
+
+  body('promoCode')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Promo code must be a non-empty string'),
+
+  optionalPaymentMethod,
+
+  // Admins only: book for another user or for an external guest
+  body('onBehalfOfUserId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID format')
+    .custom((value, { req }) => {
+      if (req.body.guestEmail || req.body.guestName) {
+        throw new Error('Book on behalf of a user or a guest, not both');
+      }
+
+      return true;
+    }),
+
+  body('guestEmail')
+    .if(body('guestName').exists())
+    .notEmpty()
+    .withMessage('Guest email is required for guest bookings'),
+
+  body('guestEmail')
+    .optional()
+    .isEmail()
+    .withMessage('Please provide a valid guest email address')
+    .normalizeEmail({ gmail_remove_dots: false }),
+
+  body('guestName')
+    .if(body('guestEmail').exists())
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Guest name must be between 2 and 100 characters')
+];
+
+/**
+ * Validation rules for modifying a booking
+ * All fields are optional; omitted fields keep their current value
+ */
+exports.updateBookingValidation = [
+  body('roomId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid room ID format'),
+
   body('date')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be in YYYY-MM-DD format'),
+
+  body('startTime')
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage('Start time must be in HH:mm format')
+    .not()
+    .equals('24:00')
+    .withMessage('Start time must be before 24:00'),
+
+  body('endTime')
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage('End time must be in HH:mm format'),
+
+  // Pays a price increase; defaults to the method that paid for the booking
+  optionalPaymentMethod
+];
+
+/**
+ * Validation rules for joining a room's waitlist
+ */
+exports.waitlistValidation = slotValidation;
+
+/**
+ * Validation rules for holding a time slot
+ */
+exports.holdValidation = [
+  body('roomId')
     .notEmpty()
-    .withMessage('Booking date is required')
+    .withMessage('Room ID is required')
+    .isMongoId()
+    .withMessage('Invalid room ID format'),
+
+  ...slotValidation,
+
+  body('minutes')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Hold minutes must be a positive integer')
+    .toInt()
+];
+
+/**
+ * Validation rules for confirming a hold
+ */
+exports.confirmHoldValidation = [optionalPaymentMethod];
+
+/**
+ * Validation rules for paying for a booking
+ */
+exports.paymentValidation = [
+  body('paymentMethod')
+    .notEmpty()
+    .withMessage('Payment method is required')
+    .isString()
+    .trim()
+];
+
+/**
+ * Validation rules for an optional time slot in the query string
+ * Both times must be given together
+ */
+const quoteSlotValidation = [
+  query('startTime')
+    .if(query('endTime').exists())
+    .notEmpty()
+    .withMessage('Start time is required when end time is given')
+    .bail()
+    .matches(TIME_PATTERN)
+    .withMessage('Start time must be in HH:mm format')
+    .not()
+    .equals('24:00')
+    .withMessage('Start time must be before 24:00'),
+
+  query('endTime')
+    .if(query('startTime').exists())
+    .notEmpty()
+    .withMessage('End time is required when start time is given')
+    .bail()
+    .matches(TIME_PATTERN)
+    .withMessage('End time must be in HH:mm format')
+    .custom((value, { req }) => {
+      if (TIME_PATTERN.test(req.query.startTime || '') && toMinutes(value) <= toMinutes(req.query.startTime)) {
+        throw new Error('End time must be after start time');
+      }
+
+      return true;
+    })
+];
+
+/**
+ * Validation rules for quoting a single date
+ */
+exports.quoteValidation = [
+  query('roomId')
+    .notEmpty()
+    .withMessage('Room ID is required')
+    .isMongoId()
+    .withMessage('Invalid room ID format'),
+
+  query('date')
+    .notEmpty()
+    .withMessage('Date is required')
     .matches(/^\d{4}-\d{2}-\d{2}$/)
-    .withMessage('Date must be in YYYY-MM-DD format')
+    .withMessage('Date must be in YYYY-MM-DD format'),
+
+  ...quoteSlotValidation
+];
+
+/**
+ * Validation rules for quoting a range of dates
+ */
+exports.quoteCalendarValidation = [
+  query('roomId')
+    .notEmpty()
+    .withMessage('Room ID is required')
+    .isMongoId()
+    .withMessage('Invalid room ID format'),
+
+  query('startDate')
+    .notEmpty()
+    .withMessage('Start date is required')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Start date must be in YYYY-MM-DD format'),
+
+  query('endDate')
+    .notEmpty()
+    .withMessage('End date is required')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('End date must be in YYYY-MM-DD format')
+    .custom((value, { req }) => {
+      if (value < req.query.startDate) {
+        throw new Error('End date must not be before start date');
+      }
+
+      return true;
+    }),
+
+  ...quoteSlotValidation
+];
+
+/**
+ * Validation rules for optional pricing rule settings
+ * Type-specific required fields are enforced by the PricingRule model
+ */
+const pricingRuleFieldValidation = [
+  body(['locationId', 'roomId'])
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid location or room ID format'),
+
+  body('priority')
+    .optional()
+    .isInt()
+    .withMessage('Priority must be an integer')
+    .toInt(),
+
+  body(['multiplier', 'minDaysAhead', 'maxHoursAhead', 'minCapacity', 'maxCapacity', 'adjustmentFactor'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Multipliers, thresholds and factors must be non-negative numbers')
+    .toFloat(),
+
+  body('comfortableTemperature')
+    .optional()
+    .isFloat()
+    .withMessage('Comfortable temperature must be a number')
+    .toFloat(),
+
+  body(['seasonStart', 'seasonEnd'])
+    .optional()
+    .matches(/^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/)
+    .withMessage('Season dates must be in MM-DD format'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for creating a pricing rule
+ */
+exports.pricingRuleValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Rule name is required'),
+
+  body('type')
+    .isIn(RULE_TYPES)
+    .withMessage(`Rule type must be one of: ${RULE_TYPES.join(', ')}`),
+
+  ...pricingRuleFieldValidation
+];
+
+/**
+ * Validation rules for updating a pricing rule
+ */
+exports.updatePricingRuleValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Rule name cannot be empty'),
+
+  body('type')
+    .optional()
+    .isIn(RULE_TYPES)
+    .withMessage(`Rule type must be one of: ${RULE_TYPES.join(', ')}`),
+
+  ...pricingRuleFieldValidation
+];
+
+/**
+ * Validation rules for optional promo code settings
+ */
+const promoCodeFieldValidation = [
+  body('description')
+    .optional()
+    .isString()
+    .withMessage('Description must be a string'),
+
+  body('currency')
+    .optional({ nullable: true })
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage('Currency must be a 3-letter ISO 4217 code')
+    .toUpperCase(),
+
+  body(['validFrom', 'validUntil'])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Validity dates must be ISO 8601 dates'),
+
+  body('validUntil')
+    .optional({ nullable: true })
+    .custom((value, { req }) => {
+      if (req.body.validFrom && new Date(value) <= new Date(req.body.validFrom)) {
+        throw new Error('validUntil must be after validFrom');
+      }
+
+      return true;
+    }),
+
+  body(['maxUses', 'maxUsesPerUser'])
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Usage limits must be positive integers')
+    .toInt(),
+
+  body(['roomIds', 'locationIds', 'emailDomains'])
+    .optional()
+    .isArray()
+    .withMessage('roomIds, locationIds and emailDomains must be arrays'),
+
+  body(['roomIds.*', 'locationIds.*'])
+    .isMongoId()
+    .withMessage('Invalid room or location ID format'),
+
+  body('emailDomains.*')
+    .isString()
+    .matches(/^[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/)
+    .withMessage('Email domains must look like example.com'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for creating a promo code
+ */
+exports.promoCodeValidation = [
+  body('code')
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,32}$/)
+    .withMessage('Code must be 3-32 letters, digits, dashes or underscores'),
+
+  body('discountType')
+    .isIn(['percentage', 'fixed'])
+    .withMessage('Discount type must be percentage or fixed'),
+
+  body('discountValue')
+    .isFloat({ min: 0 })
+    .withMessage('Discount value must be a non-negative number')
+    .toFloat(),
+
+  ...promoCodeFieldValidation
+];
+
+/**
+ * Validation rules for updating a promo code
+ */
+exports.updatePromoCodeValidation = [
+  body('discountType')
+    .optional()
+    .isIn(['percentage', 'fixed'])
+    .withMessage('Discount type must be percentage or fixed'),
+
+  body('discountValue')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Discount value must be a non-negative number')
+    .toFloat(),
+
+  ...promoCodeFieldValidation
+];
+
+/**
+ * Validation rules for optional cancellation policy settings
+ */
+const cancellationPolicyFieldValidation = [
+  body(['locationId', 'roomId'])
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid location or room ID format'),
+
+  body('tiers')
+    .optional()
+    .isArray()
+    .withMessage('Tiers must be an array'),
+
+  body('tiers.*.withinHours')
+    .isFloat({ min: 0 })
+    .withMessage('Tier hours must be a non-negative number')
+    .toFloat(),
+
+  body('tiers.*.feePercent')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Tier fee percent must be between 0 and 100')
+    .toFloat(),
+
+  body('sameDayFeePercent')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Same-day fee percent must be between 0 and 100')
+    .toFloat(),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for creating a cancellation policy
+ */
+exports.cancellationPolicyValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Policy name is required'),
+
+  ...cancellationPolicyFieldValidation
+];
+
+/**
+ * Validation rules for updating a cancellation policy
+ */
+exports.updateCancellationPolicyValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Policy name cannot be empty'),
+
+  ...cancellationPolicyFieldValidation
+];
+
+
+const taxRateFieldValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Tax name cannot be empty'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for creating a tax rate
+ */
+exports.taxRateValidation = [
+  body('country')
+    .trim()
+    .notEmpty()
+    .withMessage('Country is required'),
+
+  body('rate')
+    .notEmpty()
+    .withMessage('Tax rate is required')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Tax rate must be between 0 and 100')
+    .toFloat(),
+
+  ...taxRateFieldValidation
+];
+
+/**
+ * Validation rules for updating a tax rate
+ */
+exports.updateTaxRateValidation = [
+  body('country')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Country cannot be empty'),
+
+  body('rate')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Tax rate must be between 0 and 100')
+    .toFloat(),
+
+  ...taxRateFieldValidation
+];
+
+/**
+ * Validation rules for invoice output format
+ */
+const invoiceFormatValidation = query('format')
+  .optional()
+  .isIn(['json', 'pdf'])
+  .withMessage('Format must be json or pdf');
+
+/**
+ * Validation rules for a booking invoice
+ */
+exports.invoiceValidation = [invoiceFormatValidation];
+
+/**
+ * Validation rules for a room's schedule feed
+ */
+exports.roomScheduleValidation = [
+  param('roomId')
+    .isMongoId()
+    .withMessage('Invalid room ID format'),
+
+  query('startDate')
+    .notEmpty()
+    .withMessage('Start date is required')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Start date must be in YYYY-MM-DD format'),
+
+  query('endDate')
+    .notEmpty()
+    .withMessage('End date is required')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('End date must be in YYYY-MM-DD format')
+    .custom((value, { req }) => {
+      if (value < req.query.startDate) {
+        throw new Error('End date must not be before start date');
+      }
+
+      return true;
+    }),
+
+  query('format')
+    .optional()
+    .isIn(['json', 'ics'])
+    .withMessage('Format must be json or ics')
+];
+
+/**
+ * Validation rules for a monthly consolidated invoice
+ */
+exports.monthlyInvoiceValidation = [
+  query('month')
+    .notEmpty()
+    .withMessage('Month is required')
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage('Month must be in YYYY-MM format'),
+
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+
+  query('currency')
+    .optional()
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage('Currency must be a 3-letter ISO 4217 code')
+    .toUpperCase(),
+
+  invoiceFormatValidation
+];
+
+/**
+ * Validation rules for admin booking search filters
+ */
+const bookingFilterValidation = [
+  query('status')
+    .optional()
     .custom((value) => {
-      const bookingDate = new Date(value);
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      
-      if (bookingDate < today) {
-        throw new Error('Booking date must be in the future');
+      const statuses = Booking.schema.path('status').enumValues;
+      const invalid = value.split(',').filter(status => !statuses.includes(status));
+      if (invalid.length > 0) {
+        throw new Error(`Status must be one of: ${statuses.join(', ')}`);
       }
-      
+
       return true;
-    })
+    }),
+
+  query(['date', 'startDate', 'endDate'])
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Dates must be in YYYY-MM-DD format'),
+
+  query('endDate')
+    .optional()
+    .custom((value, { req }) => {
+      if (req.query.startDate && value < req.query.startDate) {
+        throw new Error('End date must not be before start date');
+      }
+
+      return true;
+    }),
+
+  query(['roomId', 'locationId', 'userId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  query('userEmail')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('User email must be a valid email address'),
+
+  query(['minPrice', 'maxPrice'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Prices must be non-negative numbers')
+];
+
+/**
+ * Validation rule for the sort order of a booking search or export
+ */
+const bookingSortValidation = query('sort')
+  .optional()
+  .isIn(Object.keys(SORT_OPTIONS).flatMap(field => [field, `-${field}`]))
+  .withMessage(`Sort must be one of ${Object.keys(SORT_OPTIONS).join(', ')} (prefix with - for descending)`);
+
+/**
+ * Validation rules for searching all bookings (Admin only)
+ */
+exports.bookingSearchValidation = [
+  ...bookingFilterValidation,
+  bookingSortValidation,
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_PAGE_SIZE })
+    .withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`)
+];
+
+/**
+ * Validation rules for exporting bookings (Admin only)
+ */
+exports.bookingExportValidation = [
+  ...bookingFilterValidation,
+  bookingSortValidation,
+
+  query('format')
+    .optional()
+    .isIn(['csv', 'xlsx'])
+    .withMessage('Format must be csv or xlsx')
 ];
 
+// Longest date range an analytics report covers
+const MAX_ANALYTICS_DAYS = 731;
+
+/**
+ * Validation rules shared by the analytics reports
+ */
+exports.analyticsValidation = [
+  query('startDate')
+    .notEmpty()
+    .withMessage('Start date is required')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Start date must be in YYYY-MM-DD format'),
+
+  query('endDate')
+    .notEmpty()
+    .withMessage('End date is required')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('End date must be in YYYY-MM-DD format')
+    .custom((value, { req }) => {
+      if (value < req.query.startDate) {
+        throw new Error('End date must not be before start date');
+      }
+
+      const days = (new Date(`${value}T00:00:00Z`) - new Date(`${req.query.startDate}T00:00:00Z`)) / 86400000 + 1;
+      if (days > MAX_ANALYTICS_DAYS) {
+        throw new Error(`Date range cannot exceed ${MAX_ANALYTICS_DAYS} days`);
+      }
+
+      return true;
+    }),
+
+  query('interval')
+    .optional()
+    .isIn(INTERVALS)
+    .withMessage(`Interval must be one of: ${INTERVALS.join(', ')}`),
+
+  query(['roomId', 'locationId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ID format')
+];
+
+/**
+ * Validation rules for the occupancy report
+ */
+exports.occupancyValidation = [
+  ...exports.analyticsValidation,
+
+  query('groupBy')
+    .optional()
+    .isIn(['room', 'location'])
+    .withMessage('Group by must be room or location')
+];
+
+/**
+ * Validation rules for the revenue report
+ */
+exports.revenueValidation = [
+  ...exports.analyticsValidation,
+
+  query('currency')
+    .optional()
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage('Currency must be a 3-letter ISO 4217 code')
+];
+
+/**
+ * Validation rules for the top users report
+ */
+exports.topUsersValidation = [
+  ...exports.analyticsValidation,
+
+  query('sortBy')
+    .optional()
+    .isIn(['bookings', 'hours'])
+    .withMessage('Sort by must be bookings or hours'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+/**
+ * Validation rules for searching the audit log
+ */
+exports.auditLogValidation = [
+  query(['bookingId', 'actorId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  query('action')
+    .optional()
+    .isIn(AuditLog.schema.path('action').enumValues)
+    .withMessage(`Action must be one of: ${AuditLog.schema.path('action').enumValues.join(', ')}`),
+
+  query(['startDate', 'endDate'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601 dates or timestamps'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+];
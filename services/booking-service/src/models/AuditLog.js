@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+/**
+ * One change to a booking: who made it, from where, and the fields it changed
+ * Entries are append-only; updates and deletes are rejected
+ */
+const auditLogSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Booking ID is required'],
+    immutable: true
+  },
+  bookingReference: {
+    type: String,
+    immutable: true
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'cancelled', 'checked_in'],
+    required: [true, 'Action is required'],
+    immutable: true
+  },
+  // User who made the change; { role: 'system' } for changes the service made on its own
+  // (absent on entries recorded before system changes were audited)
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      immutable: true
+    },
+    email: {
+      type: String,
+      immutable: true
+    },
+    role: {
+      type: String,
+      immutable: true
+    }
+  },
+  // Client IP, forwarded by the API Gateway
+  ip: {
+    type: String,
+    immutable: true
+  },
+  // Booking fields before and after the change (from is null on creation)
+  changes: {
+    type: [{
+      _id: false,
+      field: String,
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed
+    }],
+    immutable: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+// History of a booking
+auditLogSchema.index({ bookingId: 1, createdAt: 1 });
+
+// Admin audit queries
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'actor.userId': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Entries are written once and never changed
+auditLogSchema.pre('save', function(next) {
+  next(this.isNew ? undefined : new Error('Audit log entries cannot be modified'));
+});
+
+for (const operation of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace']) {
+  auditLogSchema.pre(operation, function(next) {
+    next(new Error('Audit log entries cannot be modified'));
+  });
+}
+
+// Method to format audit log data
+auditLogSchema.methods.toJSON = function() {
+  const entry = this.toObject();
+  delete entry.__v;
+  return entry;
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
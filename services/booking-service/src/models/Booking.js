@@ -1,5 +1,25 @@
 const mongoose = require('mongoose');
 
+// New bookings are always for a time slot; older whole-day bookings have none
+const hasTimeSlot = function() {
+  return this.isNew || Boolean(this.startTime || this.endTime);
+};
+
+/**
+ * Pricing rule applied to a booking's price, as listed in its price breakdown
+ */
+const appliedRuleSchema = new mongoose.Schema({
+  ruleId: mongoose.Schema.Types.ObjectId,
+  name: String,
+  type: {
+    type: String
+  },
+  scope: String,
+  multiplier: Number,
+  // What the rule added to the price (negative for discounts)
+  amount: Number
+}, { _id: false });
+
 const bookingSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -11,11 +31,53 @@ const bookingSchema = new mongoose.Schema({
     required: [true, 'Room ID is required'],
     index: true
   },
+  // Room's location at booking time (absent on older bookings)
+  locationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+  // Location's country at booking time, used for invoice tax (absent on older bookings)
+  locationCountry: {
+    type: String,
+    trim: true
+  },
+  // Location's postal address at booking time, for calendar events (absent on older bookings)
+  locationAddress: {
+    type: String,
+    trim: true
+  },
+  // Location's IANA time zone at booking time; dates and times are wall-clock times there
+  // (absent on older bookings, which are in server local time)
+  timezone: {
+    type: String,
+    trim: true
+  },
+  // Currency all prices are in: the location's currency at booking time
+  // (absent on older bookings, which are in BASE_CURRENCY)
+  currency: {
+    type: String,
+    uppercase: true
+  },
   bookingDate: {
     type: String, // Store as YYYY-MM-DD format
     required: [true, 'Booking date is required'],
     index: true
   },
+  startTime: {
+    type: String, // Store as HH:mm format
+    required: [hasTimeSlot, 'Start time is required'],
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start time must be in HH:mm format']
+  },
+  endTime: {
+    type: String, // Store as HH:mm format, 24:00 allowed
+    required: [hasTimeSlot, 'End time is required'],
+    match: [/^(([01]\d|2[0-3]):[0-5]\d|24:00)$/, 'End time must be in HH:mm format']
+  },
+  durationHours: {
+    type: Number,
+    required: [hasTimeSlot, 'Duration is required'],
+    min: [0, 'Duration cannot be negative']
+  },
   bookingReference: {
     type: String,
     required: true,
@@ -40,20 +102,129 @@ const bookingSchema = new mongoose.Schema({
     required: [true, 'Adjusted price is required'],
     min: [0, 'Adjusted price cannot be negative']
   },
+  // Pricing rules that turned basePrice × hours into adjustedPrice (absent on older bookings)
+  pricingRules: {
+    type: [appliedRuleSchema],
+    default: undefined
+  },
+  // Promo code discount, applied after the pricing rules
+  discount: {
+    promoCodeId: mongoose.Schema.Types.ObjectId,
+    code: String,
+    type: {
+      type: String,
+      enum: ['percentage', 'fixed']
+    },
+    value: Number,
+    amount: Number
+  },
+  // Amount charged: adjustedPrice minus any discount
+  finalPrice: {
+    type: Number,
+    min: [0, 'Final price cannot be negative']
+  },
+  // Set when a booking is modified after creation
+  previousPrice: {
+    type: Number,
+    min: [0, 'Previous price cannot be negative']
+  },
+  priceDifference: {
+    type: Number
+  },
+  modifiedAt: {
+    type: Date
+  },
   status: {
     type: String,
-    enum: ['confirmed', 'cancelled', 'completed'],
+    enum: ['tentative', 'pending_payment', 'confirmed', 'cancelled', 'completed', 'no_show', 'expired'],
     default: 'confirmed'
   },
+  paymentStatus: {
+    type: String,
+    enum: ['unpaid', 'not_required', 'paid', 'partially_refunded', 'refunded']
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // pending_payment bookings expire if not paid by this time
+  paymentDueAt: {
+    type: Date
+  },
+  paidAt: {
+    type: Date
+  },
+  // Amount captured for this booking, in its currency; refunds never exceed it
+  amountPaid: {
+    type: Number,
+    min: [0, 'Amount paid cannot be negative']
+  },
+  // Recurring bookings share a seriesId
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+  occurrence: {
+    type: Number,
+    min: [1, 'Occurrence number must be at least 1']
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly']
+    },
+    interval: Number,
+    count: Number,
+    until: String
+  },
+  checkedInAt: {
+    type: Date
+  },
+  // Tentative bookings offered from the waitlist must be accepted before this time
+  offerExpiresAt: {
+    type: Date
+  },
+  waitlistEntryId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Fee and refund computed from the cancellation policy when cancelled
+  cancellation: {
+    cancelledAt: Date,
+    cancelledBy: mongoose.Schema.Types.ObjectId,
+    policyId: mongoose.Schema.Types.ObjectId,
+    policyName: String,
+    hoursBeforeStart: Number,
+    feePercent: Number,
+    fee: Number,
+    refundAmount: Number,
+    feeWaived: Boolean,
+    refundStatus: {
+      type: String,
+      enum: ['not_required', 'refunded', 'failed', 'manual']
+    },
+    refundId: String
+  },
   // Store user and room details for reference
   userEmail: {
     type: String,
-    required: true
+    required: true,
+    lowercase: true,
+    trim: true
   },
   userName: {
     type: String,
     required: true
   },
+  // Booked by an admin for an external guest without an account:
+  // userId is the admin's, userEmail and userName are the guest's
+  isGuest: {
+    type: Boolean
+  },
+  // Who made the booking: the owner, or an admin booking on their behalf (absent on older bookings)
+  createdBy: {
+    userId: mongoose.Schema.Types.ObjectId,
+    email: String,
+    name: String
+  },
   roomName: {
     type: String,
     required: true
@@ -75,11 +246,22 @@ const bookingSchema = new mongoose.Schema({
 });
 
 // Compound index for checking availability
-bookingSchema.index({ roomId: 1, bookingDate: 1, status: 1 });
+bookingSchema.index({ roomId: 1, bookingDate: 1, status: 1, startTime: 1 });
+
+// Index for the lifecycle job scanning past bookings
+bookingSchema.index({ status: 1, bookingDate: 1 });
+
+// Index for the lifecycle job expiring unpaid bookings
+bookingSchema.index({ status: 1, paymentDueAt: 1 });
 
 // Compound index for user bookings
 bookingSchema.index({ userId: 1, status: 1 });
 
+// Indexes for the admin booking search
+bookingSchema.index({ createdAt: -1 });
+bookingSchema.index({ userEmail: 1, bookingDate: 1 });
+bookingSchema.index({ locationId: 1, bookingDate: 1 });
+
 // Method to format booking data
 bookingSchema.methods.toJSON = function() {
   const booking = this.toObject();
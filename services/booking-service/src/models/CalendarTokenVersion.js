@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+/**
+ * Version of a user's calendar feed token. Regenerating the token bumps it,
+ * which revokes every feed URL issued with an earlier version.
+ */
+const calendarTokenVersionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    unique: true
+  },
+  version: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('CalendarTokenVersion', calendarTokenVersionSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * Fee charged when a booking is cancelled less than withinHours before its start
+ */
+const feeTierSchema = new mongoose.Schema({
+  withinHours: {
+    type: Number,
+    required: [true, 'Tier hours are required'],
+    min: [0, 'Tier hours cannot be negative']
+  },
+  feePercent: {
+    type: Number,
+    required: [true, 'Tier fee percent is required'],
+    min: [0, 'Fee percent cannot be negative'],
+    max: [100, 'Fee percent cannot exceed 100']
+  }
+}, { _id: false });
+
+/**
+ * Cancellation policy for a room, a location, or globally (no room or location)
+ * The most specific active policy applies; without one, cancellation is free
+ */
+const cancellationPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    trim: true,
+    maxlength: [100, 'Policy name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  locationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Cancelling earlier than every tier's window is free
+  tiers: {
+    type: [feeTierSchema],
+    default: []
+  },
+  // Fee when cancelling on the day of the booking, whatever the hours left
+  sameDayFeePercent: {
+    type: Number,
+    min: [0, 'Fee percent cannot be negative'],
+    max: [100, 'Fee percent cannot exceed 100'],
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// One active policy per scope
+cancellationPolicySchema.index(
+  { roomId: 1, locationId: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// Method to format policy data
+cancellationPolicySchema.methods.toJSON = function() {
+  const policy = this.toObject();
+  delete policy.__v;
+  return policy;
+};
+
+module.exports = mongoose.model('CancellationPolicy', cancellationPolicySchema);
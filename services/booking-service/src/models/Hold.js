@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+/**
+ * Short-lived reservation of a time slot at a quoted price
+ * Confirming a hold turns it into a Booking; unconfirmed holds expire
+ */
+const holdSchema = new mongoose.Schema({
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Room ID is required']
+  },
+  bookingDate: {
+    type: String, // Store as YYYY-MM-DD format
+    required: [true, 'Booking date is required']
+  },
+  startTime: {
+    type: String, // Store as HH:mm format
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: String, // Store as HH:mm format, 24:00 allowed
+    required: [true, 'End time is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  userEmail: {
+    type: String,
+    required: true
+  },
+  userName: {
+    type: String,
+    required: true
+  },
+  // Location of the room, for per-location booking quotas
+  locationId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  roomName: {
+    type: String,
+    required: true
+  },
+  locationName: {
+    type: String,
+    required: true
+  },
+  // Price breakdown quoted when the hold was placed
+  quote: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Price quote is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0 // Auto-delete once expiresAt has passed
+  }
+}, {
+  timestamps: true
+});
+
+// Overlap checks for a room/day
+holdSchema.index({ roomId: 1, bookingDate: 1, expiresAt: 1 });
+
+// Holds block a slot like a booking does
+holdSchema.virtual('status').get(function() {
+  return 'held';
+});
+
+// Method to format hold data
+holdSchema.methods.toJSON = function() {
+  const hold = this.toObject();
+  delete hold.__v;
+  return hold;
+};
+
+module.exports = mongoose.model('Hold', holdSchema);
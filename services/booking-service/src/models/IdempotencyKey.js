@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * A request made with an Idempotency-Key header and the response it produced
+ * Retries with the same key replay the stored response; entries expire after IDEMPOTENCY_TTL_HOURS
+ */
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Idempotency key is required']
+  },
+  // Keys are scoped per user, so clients cannot see each other's responses
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'User ID is required']
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the method, path and body, to reject a key reused for a different request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  // An in-progress request that has not finished by this time is treated as abandoned
+  lockedUntil: {
+    type: Date
+  },
+  responseStatus: {
+    type: Number
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0 // Auto-delete once expiresAt has passed
+  }
+}, {
+  timestamps: true
+});
+
+// One entry per key and user
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
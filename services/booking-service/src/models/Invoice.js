@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+/**
+ * Invoice line; amounts include tax
+ */
+const lineSchema = new mongoose.Schema({
+  bookingId: mongoose.Schema.Types.ObjectId,
+  bookingReference: String,
+  date: String,
+  description: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 1
+  },
+  unitPrice: {
+    type: Number,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  taxName: String,
+  taxRate: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+/**
+ * Tax contained in the lines charged at one rate
+ */
+const taxSchema = new mongoose.Schema({
+  name: String,
+  country: String,
+  rate: Number,
+  taxableAmount: Number,
+  amount: Number
+}, { _id: false });
+
+/**
+ * Numbered invoice for one booking, or every booking of a user in a month
+ * Issued once and reused; re-issued under a new number when the charges change
+ */
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['booking', 'monthly'],
+    required: true
+  },
+  // Booking invoices only
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Monthly invoices only, YYYY-MM
+  period: {
+    type: String
+  },
+  bookingIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: []
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  billTo: {
+    name: String,
+    email: String
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  lines: {
+    type: [lineSchema],
+    default: []
+  },
+  taxes: {
+    type: [taxSchema],
+    default: []
+  },
+  netTotal: {
+    type: Number,
+    required: true
+  },
+  taxTotal: {
+    type: Number,
+    required: true
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['issued', 'superseded'],
+    default: 'issued'
+  },
+  supersededBy: {
+    type: String
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// One current invoice per booking and per user/month/currency
+invoiceSchema.index(
+  { bookingId: 1 },
+  { unique: true, partialFilterExpression: { type: 'booking', status: 'issued' } }
+);
+invoiceSchema.index(
+  { userId: 1, period: 1, currency: 1 },
+  { unique: true, partialFilterExpression: { type: 'monthly', status: 'issued' } }
+);
+
+// Method to format invoice data
+invoiceSchema.methods.toJSON = function() {
+  const invoice = this.toObject();
+  delete invoice.__v;
+  return invoice;
+};
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+/**
+ * Last invoice number issued per year. Numbers are taken with an atomic
+ * $inc so concurrent requests never share a number.
+ */
+const invoiceCounterSchema = new mongoose.Schema({
+  year: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+module.exports = mongoose.model('InvoiceCounter', invoiceCounterSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+/**
+ * Refund issued against a captured payment
+ */
+const refundSchema = new mongoose.Schema({
+  providerRefundId: String,
+  bookingId: mongoose.Schema.Types.ObjectId,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: String,
+  status: {
+    type: String,
+    enum: ['succeeded', 'failed'],
+    required: true
+  },
+  failureCode: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Payment intent for one booking, or every pending occurrence of a series
+ */
+const paymentSchema = new mongoose.Schema({
+  bookingIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  providerPaymentId: {
+    type: String
+  },
+  paymentMethod: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'authorized', 'captured', 'failed', 'voided', 'partially_refunded', 'refunded'],
+    default: 'pending'
+  },
+  amountRefunded: {
+    type: Number,
+    default: 0
+  },
+  refunds: {
+    type: [refundSchema],
+    default: []
+  },
+  failureCode: {
+    type: String
+  },
+  failureMessage: {
+    type: String
+  },
+  authorizedAt: {
+    type: Date
+  },
+  capturedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Method to format payment data
+paymentSchema.methods.toJSON = function() {
+  const payment = this.toObject();
+  delete payment.__v;
+  return payment;
+};
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const { RULE_TYPES } = require('../utils/priceCalculator');
+
+// Every type except temperature scales the price by a fixed multiplier
+const usesMultiplier = function() {
+  return this.type !== 'temperature';
+};
+
+/**
+ * Admin-managed pricing rule
+ * Rules without locationId/roomId apply globally; a room or location rule
+ * replaces global rules of the same type for that room or location
+ */
+const pricingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    enum: RULE_TYPES,
+    required: [true, 'Rule type is required']
+  },
+  locationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Lower priorities are applied first
+  priority: {
+    type: Number,
+    default: 0
+  },
+  multiplier: {
+    type: Number,
+    min: [0, 'Multiplier cannot be negative'],
+    required: [usesMultiplier, 'Multiplier is required for this rule type']
+  },
+  // season: MM-DD range, may wrap around the new year
+  seasonStart: {
+    type: String,
+    match: [/^\d{2}-\d{2}$/, 'Season start must be in MM-DD format'],
+    required: [function() { return this.type === 'season'; }, 'Season start is required']
+  },
+  seasonEnd: {
+    type: String,
+    match: [/^\d{2}-\d{2}$/, 'Season end must be in MM-DD format'],
+    required: [function() { return this.type === 'season'; }, 'Season end is required']
+  },
+  // lead_time: booked at least this many days before the start
+  minDaysAhead: {
+    type: Number,
+    min: [0, 'Minimum days ahead cannot be negative'],
+    required: [function() { return this.type === 'lead_time'; }, 'Minimum days ahead is required']
+  },
+  // last_minute: booked at most this many hours before the start
+  maxHoursAhead: {
+    type: Number,
+    min: [0, 'Maximum hours ahead cannot be negative'],
+    required: [function() { return this.type === 'last_minute'; }, 'Maximum hours ahead is required']
+  },
+  // capacity: room capacity tier (inclusive bounds)
+  minCapacity: {
+    type: Number,
+    min: [0, 'Minimum capacity cannot be negative']
+  },
+  maxCapacity: {
+    type: Number,
+    min: [0, 'Maximum capacity cannot be negative']
+  },
+  // temperature: 1 + |temperature - comfortableTemperature| * adjustmentFactor
+  comfortableTemperature: {
+    type: Number,
+    required: [function() { return this.type === 'temperature'; }, 'Comfortable temperature is required']
+  },
+  adjustmentFactor: {
+    type: Number,
+    min: [0, 'Adjustment factor cannot be negative'],
+    required: [function() { return this.type === 'temperature'; }, 'Adjustment factor is required']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Rule lookups for a room
+pricingRuleSchema.index({ isActive: 1, roomId: 1, locationId: 1 });
+
+// Method to format rule data
+pricingRuleSchema.methods.toJSON = function() {
+  const rule = this.toObject();
+  delete rule.__v;
+  return rule;
+};
+
+module.exports = mongoose.model('PricingRule', pricingRuleSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+/**
+ * Discount code redeemable on bookings
+ * Empty room/location/email domain lists mean no restriction
+ */
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,32}$/, 'Code must be 3-32 letters, digits, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Discount type is required']
+  },
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return this.discountType !== 'percentage' || value <= 100;
+      },
+      message: 'Percentage discounts cannot exceed 100'
+    }
+  },
+  // Currency of a fixed discount; fixed codes only apply to bookings in it
+  // (null = BASE_CURRENCY)
+  currency: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code'],
+    default: null
+  },
+  validFrom: {
+    type: Date
+  },
+  validUntil: {
+    type: Date
+  },
+  // Total redemptions allowed (null = unlimited)
+  maxUses: {
+    type: Number,
+    min: [1, 'Max uses must be at least 1'],
+    default: null
+  },
+  maxUsesPerUser: {
+    type: Number,
+    min: [1, 'Max uses per user must be at least 1'],
+    default: null
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  roomIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: []
+  },
+  locationIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: []
+  },
+  // Corporate codes: only users with these email domains may redeem
+  emailDomains: {
+    type: [String],
+    default: []
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId
+  }
+}, {
+  timestamps: true
+});
+
+// Method to format promo code data
+promoCodeSchema.methods.toJSON = function() {
+  const promoCode = this.toObject();
+  delete promoCode.__v;
+  return promoCode;
+};
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * One use of a promo code on a booking
+ * Released when the booking is cancelled so the use counts again
+ */
+const promoRedemptionSchema = new mongoose.Schema({
+  promoCodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  userEmail: {
+    type: String,
+    required: true
+  },
+  discountAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['applied', 'released'],
+    default: 'applied'
+  },
+  releasedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Usage per code and per user
+promoRedemptionSchema.index({ promoCodeId: 1, userId: 1, status: 1 });
+promoRedemptionSchema.index({ promoCodeId: 1, createdAt: -1 });
+
+// Method to format redemption data
+promoRedemptionSchema.methods.toJSON = function() {
+  const redemption = this.toObject();
+  delete redemption.__v;
+  return redemption;
+};
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+/**
+ * One document per room and day. Booking writes bump the version inside a
+ * transaction so concurrent reservations for the same room/day conflict at
+ * the database level and only one of them commits.
+ */
+const roomLockSchema = new mongoose.Schema({
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Room ID is required']
+  },
+  bookingDate: {
+    type: String, // Store as YYYY-MM-DD format
+    required: [true, 'Booking date is required']
+  },
+  version: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+roomLockSchema.index({ roomId: 1, bookingDate: 1 }, { unique: true });
+
+module.exports = mongoose.model('RoomLock', roomLockSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+/**
+ * Tax rate charged on invoices for bookings at locations in a country
+ * Booking prices include tax; invoices show the tax contained in them
+ */
+const taxRateSchema = new mongoose.Schema({
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Tax name cannot exceed 50 characters'],
+    default: 'Tax'
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Tax rate is required'],
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot exceed 100']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// One rate per country, matched case-insensitively
+taxRateSchema.index({ country: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+// Method to format tax rate data
+taxRateSchema.methods.toJSON = function() {
+  const taxRate = this.toObject();
+  delete taxRate.__v;
+  return taxRate;
+};
+
+module.exports = mongoose.model('TaxRate', taxRateSchema);
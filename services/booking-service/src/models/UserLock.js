@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+/**
+ * One document per user. Reservations checked against the user's booking quotas
+ * bump the version inside their transaction, so concurrent reservations by the
+ * same user (on any room) conflict and are counted one after the other.
+ */
+const userLockSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'User ID is required'],
+    unique: true
+  },
+  version: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('UserLock', userLockSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const waitlistSchema = new mongoose.Schema({
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Room ID is required']
+  },
+  bookingDate: {
+    type: String, // Store as YYYY-MM-DD format
+    required: [true, 'Booking date is required']
+  },
+  startTime: {
+    type: String, // Store as HH:mm format
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: String, // Store as HH:mm format, 24:00 allowed
+    required: [true, 'End time is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  userEmail: {
+    type: String,
+    required: true
+  },
+  userName: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'accepted', 'declined', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  // Tentative booking created when the slot was freed
+  offeredBookingId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  offerExpiresAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Queue order for a room/day
+waitlistSchema.index({ roomId: 1, bookingDate: 1, status: 1, createdAt: 1 });
+
+// Method to format waitlist data
+waitlistSchema.methods.toJSON = function() {
+  const entry = this.toObject();
+  delete entry.__v;
+  return entry;
+};
+
+module.exports = mongoose.model('Waitlist', waitlistSchema);
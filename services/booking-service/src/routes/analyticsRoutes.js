@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const analyticsController = require('../controllers/analyticsController');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  analyticsValidation,
+  occupancyValidation,
+  revenueValidation,
+  topUsersValidation
+} = require('../middleware/validators');
+
+// Analytics are available to admins only
+router.use('/analytics', protect, authorize('admin'));
+
+router.get('/analytics/occupancy', occupancyValidation, analyticsController.getOccupancy);
+router.get('/analytics/revenue', revenueValidation, analyticsController.getRevenue);
+router.get('/analytics/cancellations', analyticsValidation, analyticsController.getCancellationRate);
+router.get('/analytics/weather-adjustment', analyticsValidation, analyticsController.getWeatherAdjustment);
+router.get('/analytics/top-users', topUsersValidation, analyticsController.getTopUsers);
+
+module.exports = router;
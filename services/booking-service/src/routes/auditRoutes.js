@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const { protect, authorize } = require('../middleware/auth');
+const { auditLogValidation } = require('../middleware/validators');
+
+// The audit log is available to admins only
+router.use('/audit', protect, authorize('admin'));
+
+router.get('/audit', auditLogValidation, auditController.getAuditLog);
+
+module.exports = router;
@@ -1,29 +1,107 @@
 const express = require('express');
 const router = express.Router();
 const bookingController = require('../controllers/bookingController');
+const waitlistController = require('../controllers/waitlistController');
+const holdController = require('../controllers/holdController');
+const quoteController = require('../controllers/quoteController');
+const paymentController = require('../controllers/paymentController');
+const invoiceController = require('../controllers/invoiceController');
+const calendarController = require('../controllers/calendarController');
+const exportController = require('../controllers/exportController');
+const auditController = require('../controllers/auditController');
 const { protect, authorize } = require('../middleware/auth');
-const { bookingValidation } = require('../middleware/validators');
+const { idempotent } = require('../middleware/idempotency');
+const {
+  bookingValidation,
+  updateBookingValidation,
+  waitlistValidation,
+  holdValidation,
+  confirmHoldValidation,
+  paymentValidation,
+  invoiceValidation,
+  monthlyInvoiceValidation,
+  roomScheduleValidation,
+  bookingSearchValidation,
+  bookingExportValidation,
+  quoteValidation,
+  quoteCalendarValidation
+} = require('../middleware/validators');
 
-// All booking routes require authentication
+// Calendar feeds authenticate with a feed token, as calendar apps and lobby displays cannot log in
+router.get('/bookings/user/:userId/calendar.ics', calendarController.getUserCalendar);
+router.get('/bookings/room/:roomId/schedule', roomScheduleValidation, calendarController.getRoomSchedule);
+
+// All other booking routes require authentication
 router.use(protect);
 
-// Create booking (authenticated users)
-router.post('/bookings', bookingValidation, bookingController.createBooking);
+// Create booking (authenticated users; retries with an Idempotency-Key header are safe)
+router.post('/bookings', idempotent, bookingValidation, bookingController.createBooking);
+
+// Price quotes without creating a booking
+router.get('/bookings/quote', quoteValidation, quoteController.getQuote);
+router.get('/bookings/quote/calendar', quoteCalendarValidation, quoteController.getQuoteCalendar);
+
+// Holds: reserve a slot at a quoted price, then confirm or release it
+router.post('/bookings/holds', holdValidation, holdController.createHold);
+router.post('/bookings/holds/:id/confirm', idempotent, confirmHoldValidation, holdController.confirmHold);
+router.delete('/bookings/holds/:id', holdController.releaseHold);
+
+// Admin only: Export bookings matching the search filters (CSV or Excel)
+router.get('/bookings/export', authorize('admin'), bookingExportValidation, exportController.exportBookings);
 
 // Get user's own bookings
 router.get('/bookings/user/:userId', bookingController.getUserBookings);
 
+// Subscription URL for the user's calendar feed; POST issues a new one and revokes the old URL
+router.get('/bookings/user/:userId/calendar-token', calendarController.getCalendarToken);
+router.post('/bookings/user/:userId/calendar-token', calendarController.regenerateCalendarToken);
+
+// Get all occurrences of a recurring series
+router.get('/bookings/series/:seriesId', bookingController.getSeriesBookings);
+
+// Consolidated invoice for a user's bookings in a month
+router.get('/bookings/invoices/monthly', monthlyInvoiceValidation, invoiceController.getMonthlyInvoice);
+
+// Waitlist: current user's entries and leaving the queue
+router.get('/bookings/waitlist', waitlistController.getMyWaitlist);
+router.delete('/bookings/waitlist/:id', waitlistController.leaveWaitlist);
+
 // Get specific booking
 router.get('/bookings/:id', bookingController.getBookingById);
 
-// Cancel booking
-router.delete('/bookings/:id', bookingController.cancelBooking);
+// Modify booking (room, date or time slot)
+router.patch('/bookings/:id', updateBookingValidation, bookingController.updateBooking);
+
+// Check in to a booking
+router.post('/bookings/:id/check-in', bookingController.checkIn);
+
+// Pay for a booking awaiting payment, and list its payments
+router.post('/bookings/:id/pay', idempotent, paymentValidation, paymentController.payBooking);
+router.get('/bookings/:id/payments', paymentController.getBookingPayments);
+
+// Invoice for a booking (JSON or PDF)
+router.get('/bookings/:id/invoice', invoiceValidation, invoiceController.getBookingInvoice);
+
+// Booking as an iCalendar event
+router.get('/bookings/:id/ics', calendarController.getBookingIcs);
+
+// Audit trail of a booking
+router.get('/bookings/:id/history', auditController.getBookingHistory);
+
+// Accept a tentative booking offered from the waitlist
+router.post('/bookings/:id/accept', waitlistController.acceptOffer);
+
+// Cancel booking (?scope=single|following|series for recurring bookings)
+router.delete('/bookings/:id', idempotent, bookingController.cancelBooking);
 
 // Check room availability
 router.get('/bookings/room/:roomId/availability', bookingController.checkRoomAvailability);
 
-// Admin only: Get all bookings
-router.get('/bookings', authorize('admin'), bookingController.getAllBookings);
+// Join the waitlist for a booked time slot
+router.post('/bookings/room/:roomId/waitlist', waitlistValidation, waitlistController.joinWaitlist);
+
+// Admin only: Search all bookings
+router.get('/bookings', authorize('admin'), bookingSearchValidation, bookingController.getAllBookings);
 
 module.exports = router;
 
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const cancellationPolicyController = require('../controllers/cancellationPolicyController');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  cancellationPolicyValidation,
+  updateCancellationPolicyValidation
+} = require('../middleware/validators');
+
+// Cancellation policies are managed by admins only
+router.use('/cancellation-policies', protect, authorize('admin'));
+
+router.get('/cancellation-policies', cancellationPolicyController.getCancellationPolicies);
+router.get('/cancellation-policies/:id', cancellationPolicyController.getCancellationPolicyById);
+router.post(
+  '/cancellation-policies',
+  cancellationPolicyValidation,
+  cancellationPolicyController.createCancellationPolicy
+);
+router.put(
+  '/cancellation-policies/:id',
+  updateCancellationPolicyValidation,
+  cancellationPolicyController.updateCancellationPolicy
+);
+router.delete('/cancellation-policies/:id', cancellationPolicyController.deleteCancellationPolicy);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const pricingRuleController = require('../controllers/pricingRuleController');
+const { protect, authorize } = require('../middleware/auth');
+const { pricingRuleValidation, updatePricingRuleValidation } = require('../middleware/validators');
+
+// Pricing rules are managed by admins only
+router.use('/pricing-rules', protect, authorize('admin'));
+
+router.get('/pricing-rules', pricingRuleController.getPricingRules);
+router.get('/pricing-rules/:id', pricingRuleController.getPricingRuleById);
+router.post('/pricing-rules', pricingRuleValidation, pricingRuleController.createPricingRule);
+router.put('/pricing-rules/:id', updatePricingRuleValidation, pricingRuleController.updatePricingRule);
+router.delete('/pricing-rules/:id', pricingRuleController.deletePricingRule);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const promoCodeController = require('../controllers/promoCodeController');
+const { protect, authorize } = require('../middleware/auth');
+const { promoCodeValidation, updatePromoCodeValidation } = require('../middleware/validators');
+
+// Promo codes are managed by admins only
+router.use('/promo-codes', protect, authorize('admin'));
+
+router.get('/promo-codes', promoCodeController.getPromoCodes);
+router.get('/promo-codes/redemptions', promoCodeController.getRedemptions);
+router.get('/promo-codes/:id', promoCodeController.getPromoCodeById);
+router.post('/promo-codes', promoCodeValidation, promoCodeController.createPromoCode);
+router.put('/promo-codes/:id', updatePromoCodeValidation, promoCodeController.updatePromoCode);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const taxRateController = require('../controllers/taxRateController');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  taxRateValidation,
+  updateTaxRateValidation
+} = require('../middleware/validators');
+
+// Tax rates are managed by admins only
+router.use('/tax-rates', protect, authorize('admin'));
+
+router.get('/tax-rates', taxRateController.getTaxRates);
+router.get('/tax-rates/:id', taxRateController.getTaxRateById);
+router.post('/tax-rates', taxRateValidation, taxRateController.createTaxRate);
+router.put('/tax-rates/:id', updateTaxRateValidation, taxRateController.updateTaxRate);
+router.delete('/tax-rates/:id', taxRateController.deleteTaxRate);
+
+module.exports = router;
@@ -1,6 +1,8 @@
 require('dotenv').config();
 const app = require('./app');
 const connectDB = require('./config/database');
+const { startLifecycleJob } = require('./jobs/bookingLifecycle');
+const { seedDefaultPricingRules } = require('./utils/pricingRules');
 
 const PORT = process.env.PORT || 8003;
 
@@ -19,8 +21,14 @@ if (missingEnvVars.length > 0) {
   process.exit(1);
 }
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then create the default temperature rule on first start
+connectDB()
+  .then(() => seedDefaultPricingRules())
+  .then(rule => rule && console.log(`Created default pricing rule: ${rule.name}`))
+  .catch(error => console.error('Pricing rule seed error:', error));
+
+// Complete past bookings and mark no-shows
+const lifecycleJob = startLifecycleJob();
 
 // Start server
 const server = app.listen(PORT, () => {
@@ -36,12 +44,14 @@ const server = app.listen(PORT, () => {
   console.log(`\n💰 Pricing Configuration:`);
   console.log(`   - Comfortable Temp: ${process.env.COMFORTABLE_TEMPERATURE || 21}°C`);
   console.log(`   - Adjustment Factor: ${process.env.PRICE_ADJUSTMENT_FACTOR || 0.05}`);
+  console.log(`\n⏱️  Check-in grace: ${process.env.CHECK_IN_GRACE_MINUTES || 15} minutes`);
   console.log('='.repeat(50));
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
+  clearInterval(lifecycleJob);
   server.close(() => {
     console.log('HTTP server closed');
     process.exit(0);
@@ -50,6 +60,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT signal received: closing HTTP server');
+  clearInterval(lifecycleJob);
   server.close(() => {
     console.log('HTTP server closed');
     process.exit(0);
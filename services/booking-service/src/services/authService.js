@@ -23,7 +23,35 @@ const verifyToken = async (token) => {
   }
 };
 
+/**
+ * Get a user's profile from Auth Service, using the requesting admin's token
+ * Resolves to null when the user does not exist
+ */
+const getUserById = async (userId, token) => {
+  try {
+    const response = await axios.get(`${AUTH_SERVICE_URL}/users/${userId}`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      },
+      timeout: 30000
+    });
+
+    return response.data.data.user;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    console.error('Auth Service Error:', {
+      message: error.message,
+      status: error.response?.status,
+      url: `${AUTH_SERVICE_URL}/users/${userId}`
+    });
+    throw new Error(error.response?.data?.error || 'Failed to fetch user');
+  }
+};
+
 module.exports = {
-  verifyToken
+  verifyToken,
+  getUserById
 };
 
@@ -1,7 +1,31 @@
 const axios = require('axios');
+const { bookingCurrency } = require('../utils/currency');
 
 const NOTIFICATION_SERVICE_URL = process.env.NOTIFICATION_SERVICE_URL || 'http://localhost:8005';
 
+/**
+ * Booking details sent to the notification service
+ */
+const toNotificationPayload = (booking) => ({
+  bookingId: booking._id,
+  bookingReference: booking.bookingReference,
+  userEmail: booking.userEmail,
+  userName: booking.userName,
+  roomName: booking.roomName,
+  locationName: booking.locationName,
+  date: booking.bookingDate,
+  startTime: booking.startTime,
+  endTime: booking.endTime,
+  basePrice: booking.basePrice,
+  adjustedPrice: booking.adjustedPrice,
+  promoCode: booking.discount ? booking.discount.code : undefined,
+  discountAmount: booking.discount ? booking.discount.amount : undefined,
+  finalPrice: booking.finalPrice ?? booking.adjustedPrice,
+  currency: bookingCurrency(booking),
+  temperature: booking.temperature,
+  deviation: booking.deviation
+});
+
 /**
  * Send booking confirmation notification
  */
@@ -20,6 +44,23 @@ const sendBookingConfirmation = async (bookingData) => {
   }
 };
 
+/**
+ * Send notification that a booking's room, date or time changed
+ */
+const sendBookingUpdateNotification = async (bookingData) => {
+  try {
+    const response = await axios.post(`${NOTIFICATION_SERVICE_URL}/notify`, {
+      type: 'booking_updated',
+      booking: bookingData
+    });
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to send update notification:', error.message);
+    return { success: false, message: 'Notification service unavailable' };
+  }
+};
+
 /**
  * Send booking cancellation notification
  */
@@ -37,8 +78,91 @@ const sendCancellationNotification = async (bookingData) => {
   }
 };
 
+/**
+ * Send confirmation for a recurring booking series
+ */
+const sendSeriesConfirmation = async (seriesData) => {
+  try {
+    const response = await axios.post(`${NOTIFICATION_SERVICE_URL}/notify`, {
+      type: 'booking_series_confirmation',
+      booking: seriesData
+    });
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to send series notification:', error.message);
+    return { success: false, message: 'Notification service unavailable' };
+  }
+};
+
+/**
+ * Send cancellation notification for occurrences of a recurring series
+ */
+const sendSeriesCancellationNotification = async (seriesData) => {
+  try {
+    const response = await axios.post(`${NOTIFICATION_SERVICE_URL}/notify`, {
+      type: 'booking_series_cancellation',
+      booking: seriesData
+    });
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to send series cancellation notification:', error.message);
+    return { success: false, message: 'Notification service unavailable' };
+  }
+};
+
+/**
+ * Notify a waitlisted user that a tentative booking is waiting for acceptance
+ */
+const sendWaitlistOffer = async (offerData) => {
+  try {
+    const response = await axios.post(`${NOTIFICATION_SERVICE_URL}/notify`, {
+      type: 'waitlist_offer',
+      booking: offerData
+    });
+
+    return response.data;
+  } catch (error) {
+    console.error('Failed to send waitlist offer notification:', error.message);
+    return { success: false, message: 'Notification service unavailable' };
+  }
+};
+
+/**
+ * Send confirmations for bookings that have just been confirmed
+ * A series gets one summary notification, other bookings one each
+ */
+const sendConfirmations = (bookings, { conflicts = [] } = {}) => {
+  const [first] = bookings;
+
+  if (first.seriesId) {
+    return sendSeriesConfirmation({
+      seriesId: first.seriesId,
+      userEmail: first.userEmail,
+      userName: first.userName,
+      roomName: first.roomName,
+      locationName: first.locationName,
+      startTime: first.startTime,
+      endTime: first.endTime,
+      currency: bookingCurrency(first),
+      recurrence: first.toObject().recurrence,
+      occurrences: bookings.map(toNotificationPayload),
+      conflicts
+    });
+  }
+
+  return Promise.all(bookings.map(booking => sendBookingConfirmation(toNotificationPayload(booking))));
+};
+
 module.exports = {
+  toNotificationPayload,
+  sendConfirmations,
   sendBookingConfirmation,
-  sendCancellationNotification
+  sendBookingUpdateNotification,
+  sendCancellationNotification,
+  sendSeriesConfirmation,
+  sendSeriesCancellationNotification,
+  sendWaitlistOffer
 };
 
@@ -0,0 +1,33 @@
+const simulatedProvider = require('./simulatedPaymentProvider');
+
+/**
+ * Payment provider interface
+ * Every method resolves to { success: true, id, status, ... }
+ * or { success: false, code, message } and never throws for payment failures:
+ *   authorize({ amount, currency, paymentMethod, reference })
+ *   capture({ id, amount, paymentMethod })
+ *   voidAuthorization({ id, paymentMethod })
+ *   refund({ id, amount, paymentMethod, reason })
+ */
+const PROVIDERS = {
+  simulated: simulatedProvider
+};
+
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || 'simulated';
+
+/**
+ * Provider configured for this service
+ */
+const getPaymentProvider = () => {
+  const provider = PROVIDERS[PAYMENT_PROVIDER];
+
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${PAYMENT_PROVIDER}`);
+  }
+
+  return provider;
+};
+
+module.exports = {
+  getPaymentProvider
+};
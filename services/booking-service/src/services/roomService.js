@@ -58,8 +58,89 @@ const validateRoom = async (roomId) => {
   return room;
 };
 
+/**
+ * List rooms, optionally filtered by location (active and inactive)
+ */
+const getRooms = async ({ locationId } = {}) => {
+  const baseUrl = ROOM_SERVICE_URL.replace(/\/rooms$/, '');
+
+  try {
+    const response = await axios.get(`${baseUrl}/rooms`, {
+      params: { locationId },
+      timeout: 30000
+    });
+
+    return response.data.data;
+  } catch (error) {
+    console.error('Room Service Error:', {
+      message: error.message,
+      status: error.response?.status,
+      url: `${baseUrl}/rooms`
+    });
+    throw new Error('Failed to fetch rooms');
+  }
+};
+
+/**
+ * Get exchange rates maintained in Room Service
+ * Resolves to a map of currency -> units per base currency unit (base included at 1)
+ */
+const getExchangeRates = async () => {
+  const baseUrl = ROOM_SERVICE_URL.replace(/\/rooms$/, '');
+
+  try {
+    const response = await axios.get(`${baseUrl}/exchange-rates`, {
+      timeout: 30000
+    });
+
+    const rates = new Map([[response.data.base, 1]]);
+    for (const exchangeRate of response.data.data) {
+      rates.set(exchangeRate.currency, exchangeRate.rate);
+    }
+
+    return rates;
+  } catch (error) {
+    console.error('Room Service Error:', {
+      message: error.message,
+      status: error.response?.status,
+      url: `${baseUrl}/exchange-rates`
+    });
+    throw new Error('Failed to fetch exchange rates');
+  }
+};
+
+/**
+ * Get blackouts closing a room (its own and its location's) that overlap a date range
+ * Resolves to an empty list for rooms Room Service does not know
+ */
+const getBlackouts = async (roomId, startDate, endDate) => {
+  const baseUrl = ROOM_SERVICE_URL.replace(/\/rooms$/, '');
+
+  try {
+    const response = await axios.get(`${baseUrl}/blackouts`, {
+      params: { roomId: roomId.toString(), startDate, endDate },
+      timeout: 30000
+    });
+
+    return response.data.data;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return [];
+    }
+    console.error('Room Service Error:', {
+      message: error.message,
+      status: error.response?.status,
+      url: `${baseUrl}/blackouts`
+    });
+    throw new Error('Failed to fetch blackouts');
+  }
+};
+
 module.exports = {
   getRoomById,
-  validateRoom
+  validateRoom,
+  getRooms,
+  getExchangeRates,
+  getBlackouts
 };
 
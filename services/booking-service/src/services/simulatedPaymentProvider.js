@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+/**
+ * Local payment provider for development and tests
+ * No money moves; the payment method token picks the scenario:
+ *   pm_card_visa, pm_card_mastercard  succeed
+ *   pm_card_declined                  authorization declined
+ *   pm_card_insufficient_funds        authorization declined (insufficient funds)
+ *   pm_card_expired                   authorization declined (expired card)
+ *   pm_capture_fails                  authorizes, capture fails
+ *   pm_refund_fails                   authorizes and captures, refunds fail
+ *   pm_provider_error                 provider unavailable
+ * Stateless, so intents survive restarts and multiple instances
+ */
+const LATENCY_MS = parseInt(process.env.SIMULATED_PAYMENT_LATENCY_MS) || 0;
+
+const DECLINES = {
+  pm_card_declined: { code: 'card_declined', message: 'Your card was declined' },
+  pm_card_insufficient_funds: { code: 'insufficient_funds', message: 'Your card has insufficient funds' },
+  pm_card_expired: { code: 'expired_card', message: 'Your card has expired' }
+};
+
+const PROVIDER_ERROR = { success: false, code: 'provider_unavailable', message: 'Payment provider is unavailable' };
+
+const delay = () => new Promise(resolve => setTimeout(resolve, LATENCY_MS));
+
+const newId = (prefix) => `${prefix}_sim_${crypto.randomBytes(12).toString('hex')}`;
+
+/**
+ * Reserve funds on the payment method
+ */
+const authorize = async ({ amount, paymentMethod }) => {
+  await delay();
+
+  if (!/^pm_[a-z0-9_]+$/.test(paymentMethod || '')) {
+    return { success: false, code: 'invalid_payment_method', message: 'Unknown payment method' };
+  }
+
+  if (paymentMethod === 'pm_provider_error') {
+    return PROVIDER_ERROR;
+  }
+
+  if (DECLINES[paymentMethod]) {
+    return { success: false, ...DECLINES[paymentMethod] };
+  }
+
+  return { success: true, id: newId('pi'), status: 'authorized', amount };
+};
+
+/**
+ * Collect previously authorized funds
+ */
+const capture = async ({ id, amount, paymentMethod }) => {
+  await delay();
+
+  if (paymentMethod === 'pm_capture_fails') {
+    return { success: false, code: 'capture_failed', message: 'Authorization could not be captured' };
+  }
+
+  return { success: true, id, status: 'captured', amount };
+};
+
+/**
+ * Release an authorization that will not be captured
+ */
+const voidAuthorization = async ({ id }) => {
+  await delay();
+  return { success: true, id, status: 'voided' };
+};
+
+/**
+ * Return captured funds
+ */
+const refund = async ({ amount, paymentMethod }) => {
+  await delay();
+
+  if (paymentMethod === 'pm_refund_fails') {
+    return { success: false, code: 'refund_failed', message: 'Refund was rejected by the card issuer' };
+  }
+
+  return { success: true, id: newId('re'), status: 'refunded', amount };
+};
+
+module.exports = {
+  name: 'simulated',
+  authorize,
+  capture,
+  voidAuthorization,
+  refund
+};
@@ -0,0 +1,141 @@
+const { addDays, weekStart, enumerateDates, toMinutes } = require('./timeSlots');
+const { openingPeriodsOn } = require('./openingHours');
+
+/**
+ * Helpers for the analytics aggregations over Booking
+ * Periods are bucketed by booking date and labelled with the date they start on (YYYY-MM-DD)
+ */
+const INTERVALS = ['day', 'week', 'month'];
+
+// Bookings that held their room for the slot
+// no_show bookings count in full: the room was reserved for them and could not be booked until check-in closed
+const OCCUPIED_STATUSES = ['confirmed', 'completed', 'no_show'];
+// Bookings that count towards the cancellation rate (excludes unaccepted offers and unpaid expiries)
+const SETTLED_STATUSES = [...OCCUPIED_STATUSES, 'cancelled'];
+
+// Bookable hours per room per day at locations without opening hours (always open)
+const OCCUPANCY_HOURS_PER_DAY = parseFloat(process.env.OCCUPANCY_HOURS_PER_DAY) || 10;
+
+/**
+ * Aggregation expression for the start date of a booking's period
+ */
+const periodExpression = (interval) => ({
+  $dateToString: {
+    format: '%Y-%m-%d',
+    date: {
+      $dateTrunc: {
+        date: { $dateFromString: { dateString: '$bookingDate', format: '%Y-%m-%d' } },
+        unit: interval,
+        startOfWeek: 'monday'
+      }
+    }
+  }
+});
+
+/**
+ * Aggregation expression for the revenue a booking earned
+ * Charged bookings earn their price once paid; cancelled bookings earn their cancellation fee
+ * Bookings confirmed before online payments existed have no payment status and count as paid
+ */
+const revenueExpression = {
+  $switch: {
+    branches: [
+      {
+        case: { $eq: ['$status', 'cancelled'] },
+        then: { $ifNull: ['$cancellation.fee', 0] }
+      },
+      {
+        case: {
+          $and: [
+            { $in: ['$status', OCCUPIED_STATUSES] },
+            { $not: [{ $in: [{ $ifNull: ['$paymentStatus', 'paid'] }, ['unpaid', 'not_required']] }] }
+          ]
+        },
+        then: { $ifNull: ['$finalPrice', '$adjustedPrice'] }
+      }
+    ],
+    default: 0
+  }
+};
+
+/**
+ * Match stage fields for bookings dated between two dates (inclusive)
+ */
+const dateRangeMatch = (startDate, endDate) => ({
+  bookingDate: { $gte: startDate, $lte: endDate }
+});
+
+/**
+ * Start date of the period containing a date
+ */
+const periodStart = (date, interval) => {
+  if (interval === 'month') {
+    return `${date.slice(0, 7)}-01`;
+  }
+  if (interval === 'week') {
+    return weekStart(date);
+  }
+  return date;
+};
+
+/**
+ * Start date of the period after one starting on periodDate
+ */
+const nextPeriod = (periodDate, interval) => {
+  if (interval === 'month') {
+    const next = new Date(`${periodDate}T00:00:00Z`);
+    next.setUTCMonth(next.getUTCMonth() + 1);
+    return next.toISOString().split('T')[0];
+  }
+  return addDays(periodDate, interval === 'week' ? 7 : 1);
+};
+
+/**
+ * Every period overlapping a date range, so charts get a bucket even when nothing was booked
+ * Each period has its start date and its dates inside the range
+ */
+const listPeriods = (startDate, endDate, interval) => {
+  const periods = [];
+  let current = periodStart(startDate, interval);
+
+  while (current <= endDate) {
+    const next = nextPeriod(current, interval);
+    const from = current < startDate ? startDate : current;
+    const to = addDays(next, -1) > endDate ? endDate : addDays(next, -1);
+
+    periods.push({ period: current, dates: enumerateDates(from, to) });
+    current = next;
+  }
+
+  return periods;
+};
+
+/**
+ * Bookable hours of one room on some dates: its location's opening hours on each date
+ * Rooms whose location has no opening hours (or is unknown) count OCCUPANCY_HOURS_PER_DAY a day
+ */
+const bookableHours = (location, dates) => dates.reduce((sum, date) => {
+  const periods = location ? openingPeriodsOn(location, date) : null;
+  if (periods === null) {
+    return sum + OCCUPANCY_HOURS_PER_DAY;
+  }
+  return sum + periods.reduce((hours, period) => hours + (toMinutes(period.close) - toMinutes(period.open)) / 60, 0);
+}, 0);
+
+/**
+ * Rate as a percentage rounded to 2 decimal places (0 when there is nothing to divide by)
+ */
+const percentage = (part, whole) => (whole > 0 ? Math.round(part / whole * 10000) / 100 : 0);
+
+module.exports = {
+  INTERVALS,
+  OCCUPIED_STATUSES,
+  SETTLED_STATUSES,
+  OCCUPANCY_HOURS_PER_DAY,
+  periodExpression,
+  revenueExpression,
+  dateRangeMatch,
+  listPeriods,
+  bookableHours,
+  percentage
+};
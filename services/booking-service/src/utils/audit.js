@@ -0,0 +1,107 @@
+const AuditLog = require('../models/AuditLog');
+
+// Booking fields whose changes are recorded in the audit log
+const AUDITED_FIELDS = [
+  'userId',
+  'userEmail',
+  'userName',
+  'roomId',
+  'roomName',
+  'locationId',
+  'locationName',
+  'bookingDate',
+  'startTime',
+  'endTime',
+  'durationHours',
+  'currency',
+  'adjustedPrice',
+  'discount',
+  'finalPrice',
+  'status',
+  'paymentStatus',
+  'checkedInAt',
+  'cancellation'
+];
+
+/**
+ * Plain JSON value of a booking field; ObjectIds become strings, dates ISO strings
+ * Unset fields and empty subdocuments are null
+ */
+const plainValue = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const plain = JSON.parse(JSON.stringify(value));
+  return plain !== null && typeof plain === 'object' && Object.keys(plain).length === 0 ? null : plain;
+};
+
+/**
+ * Audited fields of a booking as plain values, taken before a change to diff against
+ */
+const snapshotBooking = (booking) => {
+  return Object.fromEntries(AUDITED_FIELDS.map(field => [field, plainValue(booking.get(field))]));
+};
+
+/**
+ * Fields that differ between two snapshots, as { field, from, to }
+ */
+const diffSnapshots = (before, after) => {
+  return AUDITED_FIELDS
+    .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+    .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+};
+
+// Actor of changes the service makes on its own: lifecycle job, waitlist offers
+const SYSTEM_ACTOR = { role: 'system' };
+
+/**
+ * Append an audit log entry; failures are logged and never fail the change itself
+ */
+const writeAudit = async ({ action, booking, before, actor, ip }) => {
+  try {
+    await AuditLog.create({
+      bookingId: booking._id,
+      bookingReference: booking.bookingReference,
+      action,
+      actor,
+      ip,
+      changes: diffSnapshots(before, snapshotBooking(booking))
+    });
+  } catch (error) {
+    console.error('Audit log error:', error.message);
+  }
+};
+
+/**
+ * Append an audit log entry for a change to a booking made by a request
+ * Pass the snapshot taken before the change (omit for new bookings)
+ * Audit failures are logged and never fail the request that made the change
+ */
+const recordAudit = (req, action, booking, before = {}) => writeAudit({
+  action,
+  booking,
+  before,
+  actor: req.user
+    ? { userId: req.user.id, email: req.user.email, role: req.user.role }
+    : undefined,
+  ip: req.ip
+});
+
+/**
+ * Append an audit log entry for a change the service made without a request
+ */
+const recordSystemAudit = (action, booking, before = {}) => writeAudit({
+  action,
+  booking,
+  before,
+  actor: SYSTEM_ACTOR
+});
+
+module.exports = {
+  AUDITED_FIELDS,
+  snapshotBooking,
+  diffSnapshots,
+  recordAudit,
+  recordSystemAudit
+};
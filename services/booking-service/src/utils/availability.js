@@ -0,0 +1,111 @@
+const Booking = require('../models/Booking');
+const Hold = require('../models/Hold');
+const { DAY_START, DAY_END, toMinutes } = require('./timeSlots');
+
+// Booking statuses that occupy a room
+const ACTIVE_STATUSES = ['tentative', 'pending_payment', 'confirmed', 'completed'];
+
+/**
+ * Query fragment matching bookings that overlap [startTime, endTime)
+ * Legacy bookings without a time slot occupy the whole day
+ */
+const overlapQuery = (startTime, endTime) => ({
+  $or: [
+    { startTime: { $lt: endTime }, endTime: { $gt: startTime } },
+    { startTime: { $exists: false } }
+  ]
+});
+
+/**
+ * Find an active booking for the room that overlaps the requested slot
+ * Pass a session to read inside a reservation lock transaction
+ */
+const findConflictingBooking = (roomId, bookingDate, startTime, endTime, { excludeId, session } = {}) => {
+  const query = {
+    roomId,
+    bookingDate,
+    status: { $in: ACTIVE_STATUSES },
+    ...overlapQuery(startTime, endTime)
+  };
+
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  return Booking.findOne(query).session(session || null);
+};
+
+/**
+ * Find an unexpired hold for the room that overlaps the requested slot
+ * TTL deletion can lag, so expiry is checked explicitly
+ */
+const findConflictingHold = (roomId, bookingDate, startTime, endTime, { excludeHoldId, session } = {}) => {
+  const query = {
+    roomId,
+    bookingDate,
+    expiresAt: { $gt: new Date() },
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  };
+
+  if (excludeHoldId) {
+    query._id = { $ne: excludeHoldId };
+  }
+
+  return Hold.findOne(query).session(session || null);
+};
+
+/**
+ * Find an active booking or unexpired hold that overlaps the requested slot
+ */
+const findConflict = async (roomId, bookingDate, startTime, endTime, options = {}) => {
+  const booking = await findConflictingBooking(roomId, bookingDate, startTime, endTime, options);
+  if (booking) {
+    return booking;
+  }
+
+  return findConflictingHold(roomId, bookingDate, startTime, endTime, options);
+};
+
+/**
+ * Busy interval covered by a booking
+ */
+const toBusyInterval = (booking) => ({
+  startTime: booking.startTime || DAY_START,
+  endTime: booking.endTime || DAY_END,
+  bookingId: booking._id,
+  status: booking.status
+});
+
+/**
+ * Load a room's active bookings and unexpired holds between two dates
+ * Resolves to { bookings, busyOn } where busyOn(date) lists that day's busy intervals
+ */
+const getBusyIntervals = async (roomId, startDate, endDate) => {
+  const bookingDate = { $gte: startDate, $lte: endDate };
+
+  const [bookings, holds] = await Promise.all([
+    Booking.find({ roomId, bookingDate, status: { $in: ACTIVE_STATUSES } })
+      .sort({ bookingDate: 1, startTime: 1 }),
+    Hold.find({ roomId, bookingDate, expiresAt: { $gt: new Date() } })
+  ]);
+
+  const busyOn = (date) => bookings
+    .filter(b => b.bookingDate === date)
+    .map(toBusyInterval)
+    .concat(holds
+      .filter(h => h.bookingDate === date)
+      .map(h => ({ startTime: h.startTime, endTime: h.endTime, status: 'held' })))
+    .sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime));
+
+  return { bookings, busyOn };
+};
+
+module.exports = {
+  ACTIVE_STATUSES,
+  findConflictingBooking,
+  findConflictingHold,
+  findConflict,
+  toBusyInterval,
+  getBusyIntervals
+};
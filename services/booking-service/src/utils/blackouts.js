@@ -0,0 +1,47 @@
+const { openingHoursError } = require('./openingHours');
+
+/**
+ * Helpers for blackouts (location or room closures) fetched from Room Service
+ */
+
+/**
+ * The blackout closing a room on a YYYY-MM-DD date, or null when it is open
+ */
+const findBlackout = (blackouts, date) => {
+  return blackouts.find(blackout => blackout.startDate <= date && date <= blackout.endDate) || null;
+};
+
+/**
+ * Blackout details returned to clients
+ */
+const blackoutSummary = (blackout) => ({
+  id: blackout._id,
+  scope: blackout.roomId ? 'room' : 'location',
+  type: blackout.type,
+  reason: blackout.reason,
+  startDate: blackout.startDate,
+  endDate: blackout.endDate
+});
+
+/**
+ * Why a room cannot be used for a time slot: a blackout closes it that day or the slot is
+ * outside the location's opening hours
+ * Returns null, or { error, blackout } / { error, openingHours } to send to clients
+ */
+const closedSlotError = (blackouts, location, date, startTime, endTime) => {
+  const blackout = findBlackout(blackouts, date);
+  if (blackout) {
+    return {
+      error: `Room is closed on this date: ${blackout.reason}`,
+      blackout: blackoutSummary(blackout)
+    };
+  }
+
+  return openingHoursError(location, date, startTime, endTime);
+};
+
+module.exports = {
+  findBlackout,
+  blackoutSummary,
+  closedSlotError
+};
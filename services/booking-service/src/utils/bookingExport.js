@@ -0,0 +1,96 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const { bookingCurrency } = require('./currency');
+
+// Export columns in order; value() reads the cell from a booking document
+const EXPORT_COLUMNS = [
+  { header: 'Booking Reference', key: 'bookingReference', width: 24, value: b => b.bookingReference },
+  { header: 'Booking ID', key: 'bookingId', width: 26, value: b => b._id.toString() },
+  { header: 'Status', key: 'status', width: 16, value: b => b.status },
+  { header: 'Payment Status', key: 'paymentStatus', width: 18, value: b => b.paymentStatus },
+  { header: 'Booking Date', key: 'bookingDate', width: 12, value: b => b.bookingDate },
+  { header: 'Start Time', key: 'startTime', width: 10, value: b => b.startTime },
+  { header: 'End Time', key: 'endTime', width: 10, value: b => b.endTime },
+  { header: 'Duration (hours)', key: 'durationHours', width: 10, value: b => b.durationHours },
+  { header: 'User Name', key: 'userName', width: 24, value: b => b.userName },
+  { header: 'User Email', key: 'userEmail', width: 30, value: b => b.userEmail },
+  { header: 'Room', key: 'roomName', width: 24, value: b => b.roomName },
+  { header: 'Location', key: 'locationName', width: 24, value: b => b.locationName },
+  { header: 'Country', key: 'locationCountry', width: 12, value: b => b.locationCountry },
+  { header: 'Currency', key: 'currency', width: 10, value: b => bookingCurrency(b) },
+  { header: 'Base Price (hourly)', key: 'basePrice', width: 12, value: b => b.basePrice },
+  { header: 'Temperature (°C)', key: 'temperature', width: 12, value: b => b.temperature },
+  { header: 'Deviation (°C)', key: 'deviation', width: 12, value: b => b.deviation },
+  { header: 'Adjusted Price', key: 'adjustedPrice', width: 12, value: b => b.adjustedPrice },
+  { header: 'Promo Code', key: 'discountCode', width: 14, value: b => b.discount?.code },
+  { header: 'Discount', key: 'discountAmount', width: 12, value: b => b.discount?.amount },
+  { header: 'Final Price', key: 'finalPrice', width: 12, value: b => b.finalPrice ?? b.adjustedPrice },
+  { header: 'Cancellation Fee', key: 'cancellationFee', width: 12, value: b => b.cancellation?.fee },
+  { header: 'Refund Amount', key: 'refundAmount', width: 12, value: b => b.cancellation?.refundAmount },
+  { header: 'Created At', key: 'createdAt', width: 22, value: b => b.createdAt }
+];
+
+/**
+ * Quote a CSV field when needed
+ * Text starting with = + - @ is prefixed with ' so spreadsheets do not run it as a formula
+ */
+const csvField = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value !== 'string') {
+    return String(value);
+  }
+
+  const text = /^[=+\-@]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Stream bookings from a query cursor to a response as CSV, respecting backpressure
+ */
+const writeCsv = async (cursor, res) => {
+  res.write(`${EXPORT_COLUMNS.map(column => csvField(column.header)).join(',')}\r\n`);
+
+  for await (const booking of cursor) {
+    const line = EXPORT_COLUMNS.map(column => csvField(column.value(booking))).join(',');
+    if (!res.write(`${line}\r\n`)) {
+      await once(res, 'drain');
+    }
+  }
+
+  res.end();
+};
+
+/**
+ * Stream bookings from a query cursor to a response as an Excel workbook
+ * Rows are committed as they are written, so the workbook is never held in memory
+ */
+const writeXlsx = async (cursor, res) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const worksheet = workbook.addWorksheet('Bookings', { views: [{ state: 'frozen', ySplit: 1 }] });
+
+  worksheet.columns = EXPORT_COLUMNS.map(({ header, key, width }) => ({ header, key, width }));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getRow(1).commit();
+
+  for await (const booking of cursor) {
+    const row = {};
+    for (const column of EXPORT_COLUMNS) {
+      row[column.key] = column.value(booking);
+    }
+    worksheet.addRow(row).commit();
+  }
+
+  await worksheet.commit();
+  await workbook.commit();
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  writeCsv,
+  writeXlsx
+};
@@ -0,0 +1,115 @@
+const Booking = require('../models/Booking');
+
+// Sort options for booking searches; each ends with _id so pages are stable
+const SORT_OPTIONS = {
+  createdAt: { createdAt: 1, _id: 1 },
+  bookingDate: { bookingDate: 1, startTime: 1, _id: 1 },
+  finalPrice: { finalPrice: 1, _id: 1 },
+  userEmail: { userEmail: 1, _id: 1 },
+  status: { status: 1, bookingDate: 1, _id: 1 }
+};
+const DEFAULT_SORT = '-createdAt';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * A user's bookings, newest first, optionally with one status
+ * Shared by the bookings list and the user's calendar feed
+ * Guest bookings carry the userId of the admin who made them but are not the admin's own
+ */
+const findUserBookings = (userId, { status } = {}) => {
+  const query = { userId, isGuest: { $ne: true } };
+  if (status) {
+    query.status = status;
+  }
+
+  return Booking.find(query).sort({ bookingDate: -1, startTime: -1 });
+};
+
+/**
+ * MongoDB filter for an admin booking search from its query parameters
+ * status takes a comma-separated list; prices compare against finalPrice
+ * (adjustedPrice for bookings without one) in each booking's own currency
+ */
+const buildBookingFilter = ({ status, date, startDate, endDate, roomId, locationId, userId, userEmail, minPrice, maxPrice }) => {
+  const filter = {};
+
+  if (status) {
+    const statuses = status.split(',');
+    filter.status = statuses.length > 1 ? { $in: statuses } : statuses[0];
+  }
+
+  if (date) {
+    filter.bookingDate = date;
+  } else if (startDate || endDate) {
+    filter.bookingDate = {};
+    if (startDate) filter.bookingDate.$gte = startDate;
+    if (endDate) filter.bookingDate.$lte = endDate;
+  }
+
+  if (roomId) filter.roomId = roomId;
+  if (locationId) filter.locationId = locationId;
+  if (userId) filter.userId = userId;
+  if (userEmail) filter.userEmail = userEmail.toLowerCase();
+
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    const range = {};
+    if (minPrice !== undefined) range.$gte = Number(minPrice);
+    if (maxPrice !== undefined) range.$lte = Number(maxPrice);
+
+    filter.$or = [
+      { finalPrice: range },
+      { finalPrice: { $exists: false }, adjustedPrice: range }
+    ];
+  }
+
+  return filter;
+};
+
+/**
+ * MongoDB sort for a sort option; prefix with - for descending, e.g. -bookingDate
+ */
+const buildBookingSort = (sort = DEFAULT_SORT) => {
+  const descending = sort.startsWith('-');
+  const fields = SORT_OPTIONS[descending ? sort.slice(1) : sort];
+
+  return Object.fromEntries(Object.entries(fields).map(([field, order]) => [field, descending ? -order : order]));
+};
+
+/**
+ * One page of an admin booking search with the total number of matches
+ * Resolves to { bookings, pagination }
+ */
+const searchBookings = async (params) => {
+  const filter = buildBookingFilter(params);
+  const page = parseInt(params.page) || 1;
+  const limit = Math.min(parseInt(params.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+  const [bookings, total] = await Promise.all([
+    Booking.find(filter)
+      .sort(buildBookingSort(params.sort))
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Booking.countDocuments(filter)
+  ]);
+
+  return {
+    bookings,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+module.exports = {
+  SORT_OPTIONS,
+  MAX_PAGE_SIZE,
+  findUserBookings,
+  buildBookingFilter,
+  buildBookingSort,
+  searchBookings
+};
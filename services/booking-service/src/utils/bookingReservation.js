@@ -0,0 +1,352 @@
+const Booking = require('../models/Booking');
+const Hold = require('../models/Hold');
+const { getForecast } = require('../services/weatherService');
+const { applyPricingRules, roundPrice } = require('./priceCalculator');
+const { getPricingRules } = require('./pricingRules');
+const { calculateDurationHours } = require('./timeSlots');
+const { findConflict } = require('./availability');
+const { withRoomLock } = require('./reservationLock');
+const { checkBookingQuotas } = require('./quotas');
+const {
+  applyDiscount,
+  redeemPromoCode,
+  revalidateBookingDiscount,
+  bookingDiscount,
+  updateRedemptionAmount,
+  releaseRedemption
+} = require('./promoCodes');
+const {
+  initialPaymentFields,
+  paidAmount,
+  priceChangeAmounts,
+  chargeBooking,
+  refundPayment,
+  refundPaidAmount
+} = require('./payments');
+const { roomCurrency, bookingCurrency } = require('./currency');
+
+/**
+ * Price a time slot for a room by running its pricing rules
+ * Uses the weather forecast for that date for the temperature rule
+ */
+const quoteSlot = async (room, date, startTime, endTime) => {
+  const [forecast, rules] = await Promise.all([
+    getForecast(room.locationId._id, date),
+    getPricingRules(room)
+  ]);
+
+  const durationHours = calculateDurationHours(startTime, endTime);
+  const subtotal = roundPrice(room.basePrice * durationHours);
+
+  const { adjustedPrice, rules: appliedRules } = applyPricingRules(subtotal, rules, {
+    date,
+    startTime,
+    timezone: room.locationId.timezone,
+    capacity: room.capacity,
+    temperature: forecast.temperature,
+    now: new Date()
+  });
+
+  // Weather pricing can be deactivated, leaving no temperature rule to measure against
+  const temperatureRule = rules.find(rule => rule.type === 'temperature');
+
+  return {
+    currency: roomCurrency(room),
+    basePrice: room.basePrice,
+    durationHours,
+    subtotal,
+    temperature: forecast.temperature,
+    comfortableTemperature: temperatureRule ? temperatureRule.comfortableTemperature : null,
+    deviation: temperatureRule ? Math.abs(forecast.temperature - temperatureRule.comfortableTemperature) : 0,
+    adjustmentFactor: temperatureRule ? temperatureRule.adjustmentFactor : 0,
+    rules: appliedRules,
+    adjustedPrice
+  };
+};
+
+/**
+ * One-line postal address of a location, e.g. "123 Business Street, London, UK"
+ */
+const formatAddress = (location) => [location.address, location.city, location.country]
+  .filter(Boolean)
+  .join(', ');
+
+/**
+ * Booking fields derived from the room and its price quote
+ */
+const pricedFields = (room, priceBreakdown) => ({
+  roomId: room._id,
+  locationId: room.locationId._id,
+  locationCountry: room.locationId.country,
+  locationAddress: formatAddress(room.locationId),
+  timezone: room.locationId.timezone,
+  currency: priceBreakdown.currency || roomCurrency(room),
+  durationHours: priceBreakdown.durationHours,
+  basePrice: room.basePrice,
+  temperature: priceBreakdown.temperature,
+  deviation: priceBreakdown.deviation,
+  adjustedPrice: priceBreakdown.adjustedPrice,
+  pricingRules: priceBreakdown.rules,
+  discount: priceBreakdown.discount || undefined,
+  finalPrice: priceBreakdown.finalPrice,
+  roomName: room.name,
+  locationName: room.locationId.name
+});
+
+/**
+ * Check availability, price and save a booking for one time slot
+ * Pass a hold to book at its quoted price; the hold is consumed with the booking
+ * Pass a discount (see promoCodes.toDiscount) to redeem a promo code with the booking
+ * The booking belongs to user and is created by them unless fields sets createdBy
+ * Pass quota (see quotas.quotaFor) to count the user's booking quotas under their lock
+ * Resolves to { booking, priceBreakdown }, { conflict } when the slot is taken,
+ * { quotaError } when a quota would be exceeded, or { promoError } when the promo code can no longer be redeemed
+ */
+const reserveSlot = async ({ user, room, date, startTime, endTime, hold = null, discount = null, quota = null, fields = {} }) => {
+  const roomId = room._id;
+  const excludeHoldId = hold ? hold._id : null;
+
+  // Fail fast before calling the weather service
+  const existingBooking = await findConflict(roomId, date, startTime, endTime, { excludeHoldId });
+  if (existingBooking) {
+    return { conflict: existingBooking };
+  }
+
+  const quote = hold ? hold.quote : await quoteSlot(room, date, startTime, endTime);
+  const priceBreakdown = applyDiscount(quote, discount);
+
+  // Bookings await payment unless the caller sets a status (e.g. tentative offers)
+  const booking = new Booking({
+    ...pricedFields(room, priceBreakdown),
+    userId: user.id,
+    bookingDate: date,
+    startTime,
+    endTime,
+    ...(fields.status ? {} : initialPaymentFields(priceBreakdown.finalPrice)),
+    userEmail: user.email,
+    userName: user.name,
+    createdBy: { userId: user.id, email: user.email, name: user.name },
+    ...fields
+  });
+
+  // Re-check under the room/day (and user) lock so concurrent requests cannot both win
+  const failure = await withRoomLock(roomId, date, async (session) => {
+    const lockedConflict = await findConflict(roomId, date, startTime, endTime, { excludeHoldId, session });
+    if (lockedConflict) {
+      return { conflict: lockedConflict };
+    }
+
+    const quotaError = quota && await checkBookingQuotas({ ...quota, dates: [date], excludeHoldId, session });
+    if (quotaError) {
+      return { quotaError };
+    }
+
+    // Redeem before saving so a rejected code leaves nothing behind
+    if (discount) {
+      const promoError = await redeemPromoCode(booking, session);
+      if (promoError) {
+        return { promoError };
+      }
+    }
+
+    await booking.save({ session });
+    if (hold) {
+      await Hold.deleteOne({ _id: hold._id }, { session });
+    }
+    return null;
+  }, { userId: quota && quota.userId });
+
+  if (failure) {
+    return failure;
+  }
+
+  return { booking, priceBreakdown };
+};
+
+/**
+ * Hold a time slot for a user at the current quoted price
+ * Pass quota (see quotas.quotaFor) to count the hold towards the user's booking quotas
+ * Resolves to { hold, priceBreakdown }, { conflict } when the slot is taken
+ * or { quotaError } when a quota would be exceeded
+ */
+const holdSlot = async ({ user, room, date, startTime, endTime, minutes, quota = null }) => {
+  const roomId = room._id;
+
+  const existingBooking = await findConflict(roomId, date, startTime, endTime);
+  if (existingBooking) {
+    return { conflict: existingBooking };
+  }
+
+  const priceBreakdown = await quoteSlot(room, date, startTime, endTime);
+
+  const hold = new Hold({
+    roomId,
+    bookingDate: date,
+    startTime,
+    endTime,
+    userId: user.id,
+    userEmail: user.email,
+    userName: user.name,
+    locationId: room.locationId._id,
+    roomName: room.name,
+    locationName: room.locationId.name,
+    quote: priceBreakdown,
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+  });
+
+  const failure = await withRoomLock(roomId, date, async (session) => {
+    const lockedConflict = await findConflict(roomId, date, startTime, endTime, { session });
+    if (lockedConflict) {
+      return { conflict: lockedConflict };
+    }
+
+    const quotaError = quota && await checkBookingQuotas({ ...quota, dates: [date], session });
+    if (quotaError) {
+      return { quotaError };
+    }
+
+    await hold.save({ session });
+    return null;
+  }, { userId: quota && quota.userId });
+
+  if (failure) {
+    return failure;
+  }
+
+  return { hold, priceBreakdown };
+};
+
+/**
+ * Payment fields of a paid or free booking after it was re-priced
+ * amountPaid assumes the refund succeeds; a failed refund adds its amount back afterwards
+ */
+const repricedPaymentFields = (booking, { charge, refund }, payment) => {
+  const amountPaid = roundPrice(paidAmount(booking) + charge - refund);
+
+  return {
+    amountPaid,
+    paymentStatus: amountPaid > 0 ? 'paid' : 'not_required',
+    ...(payment && !booking.paymentId && { paymentId: payment._id, paidAt: payment.capturedAt })
+  };
+};
+
+/**
+ * Move an existing booking to a new room and/or time slot and re-price it
+ * A booking awaiting payment simply gets the new price and a new payment window.
+ * For a paid booking an increase is charged before moving it and a decrease is refunded once it has moved
+ * Pass quota (see quotas.quotaFor) to count the owner's booking quotas for the new date under their lock
+ * Resolves to { booking, priceBreakdown, priceDifference, settlement }, { conflict }, { quotaError },
+ * or { paymentError, payment, priceBreakdown } when the increase could not be charged
+ */
+const rescheduleSlot = async ({ booking, room, date, startTime, endTime, paymentMethod, userId, quota = null }) => {
+  const roomId = room._id;
+  const excludeId = booking._id;
+
+  const existingBooking = await findConflict(roomId, date, startTime, endTime, { excludeId });
+  if (existingBooking) {
+    return { conflict: existingBooking };
+  }
+
+  // A promo code keeps applying to the new price if it is valid for the new room and currency
+  const previousDiscount = bookingDiscount(booking);
+  const promoError = previousDiscount ? await revalidateBookingDiscount(booking, room) : null;
+  const discount = promoError ? null : previousDiscount;
+  const priceBreakdown = applyDiscount(await quoteSlot(room, date, startTime, endTime), discount);
+  const previousPrice = booking.finalPrice ?? booking.adjustedPrice;
+  const priceDifference = roundPrice(priceBreakdown.finalPrice - previousPrice);
+  const previousCurrency = bookingCurrency(booking);
+
+  const settled = booking.status === 'confirmed';
+  const amounts = settled
+    ? priceChangeAmounts(booking, priceBreakdown.finalPrice, priceBreakdown.currency)
+    : { charge: 0, refund: 0 };
+
+  let payment = null;
+  if (amounts.charge > 0) {
+    const charged = await chargeBooking(booking, amounts.charge, {
+      currency: priceBreakdown.currency,
+      paymentMethod,
+      userId
+    });
+    if (charged.error) {
+      return { paymentError: charged.error, payment: charged.payment, priceBreakdown };
+    }
+    payment = charged.payment;
+  }
+
+  booking.set({
+    ...pricedFields(room, priceBreakdown),
+    ...(settled ? repricedPaymentFields(booking, amounts, payment) : initialPaymentFields(priceBreakdown.finalPrice)),
+    bookingDate: date,
+    startTime,
+    endTime,
+    previousPrice,
+    priceDifference,
+    modifiedAt: new Date()
+  });
+
+  const failure = await withRoomLock(roomId, date, async (session) => {
+    const lockedConflict = await findConflict(roomId, date, startTime, endTime, { excludeId, session });
+    if (lockedConflict) {
+      return { conflict: lockedConflict };
+    }
+
+    const quotaError = quota && await checkBookingQuotas({ ...quota, dates: [date], excludeBookingId: excludeId, session });
+    if (quotaError) {
+      return { quotaError };
+    }
+
+    await booking.save({ session });
+    if (discount) {
+      await updateRedemptionAmount(booking, session);
+    } else if (previousDiscount) {
+      await releaseRedemption(booking._id, session);
+    }
+    return null;
+  }, { userId: quota && quota.userId });
+
+  if (failure) {
+    // The slot was taken (or a quota reached) while charging; give the increase back
+    if (payment) {
+      await refundPayment(payment, booking, amounts.charge, 'Booking change could not be made');
+    }
+    return failure;
+  }
+
+  const { refundStatus, refunded, refundId } = await refundPaidAmount(
+    booking,
+    amounts.refund,
+    'Booking changed to a lower price',
+    previousCurrency
+  );
+
+  // What could not be refunded is still paid (a refund in a previous currency is reported in the settlement only)
+  if (refunded < amounts.refund && previousCurrency === priceBreakdown.currency) {
+    booking.set({ amountPaid: roundPrice(booking.amountPaid + amounts.refund - refunded), paymentStatus: 'paid' });
+    await booking.save();
+  }
+
+  return {
+    booking,
+    priceBreakdown,
+    priceDifference,
+    ...(promoError && { promoCode: previousDiscount.code, promoError }),
+    settlement: {
+      charged: amounts.charge,
+      chargeCurrency: priceBreakdown.currency,
+      paymentId: payment ? payment._id : undefined,
+      refunded,
+      refundCurrency: previousCurrency,
+      refundStatus,
+      refundId
+    }
+  };
+};
+
+module.exports = {
+  formatAddress,
+  quoteSlot,
+  reserveSlot,
+  holdSlot,
+  rescheduleSlot
+};
@@ -0,0 +1,89 @@
+const { paymentSummary } = require('./payments');
+
+/**
+ * Responses shared by the controllers that create bookings
+ */
+
+/**
+ * Respond with the booking (or hold) that already occupies the requested slot
+ */
+const sendConflict = (res, existing, error = 'Room is already booked for this time slot') => {
+  return res.status(400).json({
+    success: false,
+    error,
+    existingBooking: {
+      id: existing._id,
+      date: existing.bookingDate,
+      startTime: existing.startTime,
+      endTime: existing.endTime,
+      status: existing.status
+    }
+  });
+};
+
+/**
+ * Respond that the room is closed for the requested slot (see blackouts.closedSlotError)
+ */
+const sendSlotClosed = (res, closed) => {
+  return res.status(400).json({
+    success: false,
+    ...closed
+  });
+};
+
+/**
+ * Respond that a booking quota would be exceeded (see quotas.checkBookingQuotas)
+ */
+const sendQuotaExceeded = (res, quotaError) => {
+  return res.status(quotaError.status).json({
+    success: false,
+    error: quotaError.error,
+    quota: quotaError.quota
+  });
+};
+
+/**
+ * Respond that an immediate payment was declined, with the state of what it was for
+ */
+const sendPaymentFailed = (res, paymentError, data) => {
+  return res.status(402).json({
+    success: false,
+    error: 'Payment failed',
+    code: paymentError.code,
+    message: paymentError.message,
+    data
+  });
+};
+
+/**
+ * Respond to a newly created booking, with its payment state
+ * 201 when created (confirmed or awaiting payment), 402 when an immediate payment failed
+ */
+const sendCreated = (res, { bookings, payment, paymentError, priceBreakdown }) => {
+  const [booking] = bookings;
+  const data = {
+    booking: booking.toJSON(),
+    priceBreakdown,
+    payment: paymentSummary(bookings, payment)
+  };
+
+  if (paymentError) {
+    return sendPaymentFailed(res, paymentError, data);
+  }
+
+  return res.status(201).json({
+    success: true,
+    message: booking.status === 'confirmed'
+      ? 'Booking created successfully'
+      : 'Booking created. Complete payment to confirm it.',
+    data
+  });
+};
+
+module.exports = {
+  sendConflict,
+  sendSlotClosed,
+  sendQuotaExceeded,
+  sendPaymentFailed,
+  sendCreated
+};
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const CalendarTokenVersion = require('../models/CalendarTokenVersion');
+
+// Secret calendar feed tokens are signed with; feeds are disabled without it
+// Changing it invalidates every subscribed feed URL; regenerate a single token to revoke just that feed
+const CALENDAR_TOKEN_SECRET = process.env.CALENDAR_TOKEN_SECRET;
+
+/**
+ * Whether calendar feed tokens can be issued and checked
+ */
+const calendarFeedsEnabled = () => Boolean(CALENDAR_TOKEN_SECRET);
+
+/**
+ * Token granting read access to one calendar feed, e.g. signCalendarToken('user', userId, version)
+ * Calendar apps cannot send Authorization headers, so the token goes in the feed URL
+ * The version is the feed's stored token version; version 0 keeps tokens issued before versions existed
+ */
+const signCalendarToken = (type, id, version = 0) => crypto
+  .createHmac('sha256', CALENDAR_TOKEN_SECRET)
+  .update(version > 0 ? `${type}:${id}:${version}` : `${type}:${id}`)
+  .digest('base64url');
+
+/**
+ * Check a calendar feed token against the feed's current token version in constant time
+ */
+const verifyCalendarToken = (type, id, token, version = 0) => {
+  if (!calendarFeedsEnabled() || typeof token !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(signCalendarToken(type, id, version));
+  const actual = Buffer.from(token);
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Current calendar token version of a user (0 until the token is first regenerated)
+ */
+const userTokenVersion = async (userId) => {
+  const stored = await CalendarTokenVersion.findOne({ userId });
+  return stored ? stored.version : 0;
+};
+
+/**
+ * Bump a user's calendar token version, revoking their current feed URL
+ * Resolves to the new version
+ */
+const regenerateUserTokenVersion = async (userId) => {
+  const stored = await CalendarTokenVersion.findOneAndUpdate(
+    { userId },
+    { $inc: { version: 1 } },
+    { upsert: true, new: true }
+  );
+
+  return stored.version;
+};
+
+module.exports = {
+  calendarFeedsEnabled,
+  signCalendarToken,
+  verifyCalendarToken,
+  userTokenVersion,
+  regenerateUserTokenVersion
+};
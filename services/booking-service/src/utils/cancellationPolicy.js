@@ -0,0 +1,110 @@
+const CancellationPolicy = require('../models/CancellationPolicy');
+const { getRoomById } = require('../services/roomService');
+const { roundPrice } = require('./priceCalculator');
+const { paidAmount } = require('./payments');
+const { DAY_START, toDateTime, toLocalDateString } = require('./timeSlots');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Location of a booking's room; older bookings did not store it
+ */
+const bookingLocationId = async (booking) => {
+  if (booking.locationId) {
+    return booking.locationId;
+  }
+
+  try {
+    const room = await getRoomById(booking.roomId);
+    return room.locationId._id || room.locationId;
+  } catch (error) {
+    console.warn(`Could not resolve location for room ${booking.roomId}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Most specific active policy for a booking: room, then location, then global
+ * Resolves to null when no policy applies
+ */
+const getCancellationPolicy = async (booking) => {
+  const locationId = await bookingLocationId(booking);
+
+  const scopes = [{ roomId: booking.roomId }];
+  if (locationId) {
+    scopes.push({ roomId: null, locationId });
+  }
+  scopes.push({ roomId: null, locationId: null });
+
+  const policies = await CancellationPolicy.find({ isActive: true, $or: scopes });
+
+  return policies.find(p => p.roomId) ||
+    policies.find(p => p.locationId) ||
+    policies[0] ||
+    null;
+};
+
+/**
+ * Fee percent a policy charges for cancelling hoursBeforeStart before the start
+ * The tightest tier whose window has been entered applies
+ */
+const feePercentFor = (policy, hoursBeforeStart, isSameDay) => {
+  const tier = [...policy.tiers]
+    .sort((a, b) => a.withinHours - b.withinHours)
+    .find(t => hoursBeforeStart < t.withinHours);
+
+  let feePercent = tier ? tier.feePercent : 0;
+  if (isSameDay && policy.sameDayFeePercent !== null && policy.sameDayFeePercent !== undefined) {
+    feePercent = Math.max(feePercent, policy.sameDayFeePercent);
+  }
+
+  return feePercent;
+};
+
+/**
+ * Work out the cancellation fee and refund for a booking cancelled now
+ * Unpaid bookings (awaiting payment, unaccepted waitlist offers) and waived fees cost nothing
+ */
+const calculateCancellation = async (booking, { cancelledBy, waiveFee = false, now = new Date() } = {}) => {
+  const amountPaid = paidAmount(booking);
+  const start = toDateTime(booking.bookingDate, booking.startTime || DAY_START, booking.timezone);
+  const hoursBeforeStart = Math.round(((start - now) / HOUR_MS) * 100) / 100;
+
+  const cancellation = {
+    cancelledAt: now,
+    cancelledBy,
+    hoursBeforeStart,
+    feePercent: 0,
+    fee: 0,
+    refundAmount: amountPaid,
+    feeWaived: waiveFee
+  };
+
+  if (amountPaid === 0 || waiveFee) {
+    return cancellation;
+  }
+
+  const policy = await getCancellationPolicy(booking);
+  if (!policy) {
+    return cancellation;
+  }
+
+  const isSameDay = booking.bookingDate === toLocalDateString(now, booking.timezone);
+  const feePercent = feePercentFor(policy, hoursBeforeStart, isSameDay);
+  const fee = roundPrice(amountPaid * feePercent / 100);
+
+  return {
+    ...cancellation,
+    policyId: policy._id,
+    policyName: policy.name,
+    feePercent,
+    fee,
+    refundAmount: roundPrice(amountPaid - fee)
+  };
+};
+
+module.exports = {
+  getCancellationPolicy,
+  feePercentFor,
+  calculateCancellation
+};
@@ -0,0 +1,101 @@
+const { getExchangeRates } = require('../services/roomService');
+
+// Currency of locations and bookings created before currencies were stored
+// Must match BASE_CURRENCY in Room Service, which quotes exchange rates against it
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+// How long exchange rates fetched from Room Service are reused
+const EXCHANGE_RATE_CACHE_MS = parseInt(process.env.EXCHANGE_RATE_CACHE_MS) || 60000;
+
+let cachedRates = null;
+let cachedAt = 0;
+
+/**
+ * Exchange rates, cached for EXCHANGE_RATE_CACHE_MS
+ */
+const loadExchangeRates = async () => {
+  if (!cachedRates || Date.now() - cachedAt > EXCHANGE_RATE_CACHE_MS) {
+    cachedRates = await getExchangeRates();
+    cachedAt = Date.now();
+  }
+
+  return cachedRates;
+};
+
+/**
+ * Currency a room is priced in (its location's currency)
+ */
+const roomCurrency = (room) => (room.locationId && room.locationId.currency) || BASE_CURRENCY;
+
+/**
+ * Currency a booking was priced and charged in
+ */
+const bookingCurrency = (booking) => booking.currency || BASE_CURRENCY;
+
+/**
+ * Convert an amount between currencies, rounded to 2 decimal places
+ * Returns null when either currency has no exchange rate
+ */
+const convertAmount = (amount, from, to, rates) => {
+  if (amount === undefined || amount === null || !rates.has(from) || !rates.has(to)) {
+    return null;
+  }
+
+  return Math.round(amount / rates.get(from) * rates.get(to) * 100) / 100;
+};
+
+/**
+ * Exchange rates for a requested display currency (?currency=EUR)
+ * Resolves to { currency, rates }, { currency: null } when none was requested,
+ * or { error } when the currency has no exchange rate
+ */
+const getDisplayCurrency = async (code) => {
+  if (!code) {
+    return { currency: null };
+  }
+
+  const currency = code.trim().toUpperCase();
+  const rates = await loadExchangeRates();
+
+  if (!rates.has(currency)) {
+    return { error: `No exchange rate for currency ${currency}` };
+  }
+
+  return { currency, rates };
+};
+
+/**
+ * Booking JSON with its prices converted into the display currency, if one was requested
+ * Stored prices stay in the booking's own currency
+ */
+const withDisplayPrices = (booking, { currency, rates }) => {
+  const json = booking.toJSON();
+
+  if (!currency) {
+    return json;
+  }
+
+  const from = bookingCurrency(booking);
+  if (!rates.has(from)) {
+    return { ...json, displayPrice: null };
+  }
+
+  return {
+    ...json,
+    displayPrice: {
+      currency,
+      basePrice: convertAmount(booking.basePrice, from, currency, rates),
+      adjustedPrice: convertAmount(booking.adjustedPrice, from, currency, rates),
+      finalPrice: convertAmount(booking.finalPrice ?? booking.adjustedPrice, from, currency, rates),
+      exchangeRate: Math.round(rates.get(currency) / rates.get(from) * 1e6) / 1e6
+    }
+  };
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  roomCurrency,
+  bookingCurrency,
+  convertAmount,
+  getDisplayCurrency,
+  withDisplayPrices
+};
@@ -0,0 +1,165 @@
+const { toDateTime } = require('./timeSlots');
+
+/**
+ * iCalendar (RFC 5545) rendering of bookings for calendar apps
+ * Slot times are written in UTC from the booking's location time zone, so calendar apps show
+ * them correctly in any zone; older bookings without a time zone use floating local times
+ */
+const PRODUCT_ID = '-//Conference Room Booking//Bookings//EN';
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'conference-booking';
+
+// Booking statuses that no longer occupy the slot; calendar apps remove these events
+const CANCELLED_STATUSES = ['cancelled', 'expired'];
+// Booking statuses that are not final yet
+const TENTATIVE_STATUSES = ['tentative', 'pending_payment'];
+
+/**
+ * Escape a TEXT property value
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to at most 75 octets, continuing on lines that start with a space
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * YYYYMMDD for a YYYY-MM-DD date, optionally shifted by a number of days
+ */
+const formatDate = (date, addDays = 0) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + addDays);
+  return day.toISOString().slice(0, 10).replace(/-/g, '');
+};
+
+/**
+ * Floating local date-time for a YYYY-MM-DD date and HH:mm time ("24:00" is the next midnight)
+ */
+const formatLocalDateTime = (date, time) => {
+  if (time === '24:00') {
+    return `${formatDate(date, 1)}T000000`;
+  }
+  return `${formatDate(date)}T${time.replace(':', '')}00`;
+};
+
+/**
+ * UTC date-time for a timestamp, e.g. 20251217T103000Z
+ */
+const formatUtcDateTime = (timestamp) => new Date(timestamp).toISOString()
+  .replace(/[-:]/g, '')
+  .replace(/\.\d{3}/, '');
+
+/**
+ * iCalendar STATUS for a booking status
+ */
+const eventStatus = (status) => {
+  if (CANCELLED_STATUSES.includes(status)) {
+    return 'CANCELLED';
+  }
+  return TENTATIVE_STATUSES.includes(status) ? 'TENTATIVE' : 'CONFIRMED';
+};
+
+/**
+ * VEVENT lines for a booking
+ * address is the location's postal address (bookings store it; older ones may not)
+ * Pass summary and details to describe the event differently, e.g. on a room's calendar
+ */
+const bookingEvent = (booking, { address = booking.locationAddress, summary, details } = {}) => {
+  const status = eventStatus(booking.status);
+  const place = [booking.roomName, booking.locationName, address].filter(Boolean).join(', ');
+  const title = summary || `${booking.roomName} (${booking.locationName})`;
+  const description = (details || [
+    `Booking reference: ${booking.bookingReference}`,
+    `Room: ${booking.roomName}`,
+    `Location: ${booking.locationName}`,
+    address ? `Address: ${address}` : null,
+    `Status: ${booking.status}`
+  ]).filter(Boolean).join('\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${booking._id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUtcDateTime(Date.now())}`
+  ];
+
+  // Bookings created before time slots block their whole day
+  if (booking.startTime && booking.endTime && booking.timezone) {
+    lines.push(
+      `DTSTART:${formatUtcDateTime(toDateTime(booking.bookingDate, booking.startTime, booking.timezone))}`,
+      `DTEND:${formatUtcDateTime(toDateTime(booking.bookingDate, booking.endTime, booking.timezone))}`
+    );
+  } else if (booking.startTime && booking.endTime) {
+    lines.push(
+      `DTSTART:${formatLocalDateTime(booking.bookingDate, booking.startTime)}`,
+      `DTEND:${formatLocalDateTime(booking.bookingDate, booking.endTime)}`
+    );
+  } else {
+    lines.push(
+      `DTSTART;VALUE=DATE:${formatDate(booking.bookingDate)}`,
+      `DTEND;VALUE=DATE:${formatDate(booking.bookingDate, 1)}`
+    );
+  }
+
+  lines.push(
+    `SUMMARY:${escapeText(`${status === 'CANCELLED' ? 'Cancelled: ' : ''}${title}`)}`,
+    `LOCATION:${escapeText(place)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${status}`,
+    `TRANSP:${status === 'CANCELLED' ? 'TRANSPARENT' : 'OPAQUE'}`
+  );
+
+  if (booking.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatUtcDateTime(booking.updatedAt)}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Render a VCALENDAR document from event line arrays
+ */
+const renderCalendar = (events, { name } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  for (const event of events) {
+    lines.push(...event);
+  }
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  bookingEvent,
+  renderCalendar
+};
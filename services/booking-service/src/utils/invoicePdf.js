@@ -0,0 +1,128 @@
+const PDFDocument = require('pdfkit');
+
+const INVOICE_ISSUER_NAME = process.env.INVOICE_ISSUER_NAME || 'Conference Room Booking';
+const INVOICE_ISSUER_ADDRESS = process.env.INVOICE_ISSUER_ADDRESS || '';
+
+// Column x positions and widths on an A4 page with 50pt margins
+const COLUMNS = {
+  description: { x: 50, width: 265 },
+  quantity: { x: 320, width: 40 },
+  unitPrice: { x: 365, width: 60 },
+  tax: { x: 430, width: 45 },
+  amount: { x: 480, width: 65 }
+};
+
+const formatAmount = (amount, currency) => `${currency} ${amount.toFixed(2)}`;
+
+/**
+ * Write one table row, returning the y position below it
+ */
+const writeRow = (doc, y, cells, options = {}) => {
+  doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+
+  let height = 0;
+  for (const [column, text] of Object.entries(cells)) {
+    const { x, width } = COLUMNS[column];
+    const align = column === 'description' ? 'left' : 'right';
+    doc.text(text, x, y, { width, align });
+    height = Math.max(height, doc.heightOfString(text, { width }));
+  }
+
+  return y + height + 6;
+};
+
+/**
+ * Render an invoice as a PDF document
+ * Returns the pdfkit document; pipe it to a stream (it is already ended)
+ */
+const renderInvoicePdf = (invoice) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const { currency } = invoice;
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(20).text('INVOICE', 50, 50);
+  doc.font('Helvetica').fontSize(10)
+    .text(INVOICE_ISSUER_NAME, 300, 50, { width: 245, align: 'right' });
+  if (INVOICE_ISSUER_ADDRESS) {
+    doc.text(INVOICE_ISSUER_ADDRESS, 300, doc.y, { width: 245, align: 'right' });
+  }
+
+  doc.moveDown(2);
+  let y = Math.max(doc.y, 100);
+  doc.fontSize(10)
+    .text(`Invoice number: ${invoice.invoiceNumber}`, 50, y)
+    .text(`Issue date: ${invoice.issuedAt.toISOString().split('T')[0]}`)
+    .text(invoice.type === 'monthly' ? `Period: ${invoice.period}` : `Booking: ${invoice.lines[0].bookingReference}`);
+
+  doc.font('Helvetica-Bold').text('Bill to:', 300, y);
+  doc.font('Helvetica')
+    .text(invoice.billTo.name, 300)
+    .text(invoice.billTo.email, 300);
+
+  if (invoice.status === 'superseded') {
+    doc.moveDown().font('Helvetica-Bold').fillColor('red')
+      .text(`Superseded by ${invoice.supersededBy}`, 50)
+      .fillColor('black');
+  }
+
+  // Line items
+  y = doc.y + 25;
+  y = writeRow(doc, y, {
+    description: 'Description',
+    quantity: 'Qty',
+    unitPrice: 'Unit price',
+    tax: 'Tax',
+    amount: 'Amount'
+  }, { bold: true });
+  doc.moveTo(50, y - 3).lineTo(545, y - 3).stroke();
+
+  for (const line of invoice.lines) {
+    if (y > 740) {
+      doc.addPage();
+      y = 50;
+    }
+
+    y = writeRow(doc, y, {
+      description: line.description,
+      quantity: String(line.quantity),
+      unitPrice: line.unitPrice.toFixed(2),
+      tax: `${line.taxRate}%`,
+      amount: line.amount.toFixed(2)
+    });
+  }
+
+  doc.moveTo(50, y).lineTo(545, y).stroke();
+  y += 10;
+
+  // Totals; prices include tax
+  if (y > 700) {
+    doc.addPage();
+    y = 50;
+  }
+
+  const totals = [['Net total', invoice.netTotal]];
+  for (const tax of invoice.taxes) {
+    totals.push([`${tax.name} ${tax.rate}%${tax.country ? ` (${tax.country})` : ''}`, tax.amount]);
+  }
+
+  for (const [label, amount] of totals) {
+    doc.font('Helvetica').fontSize(10)
+      .text(label, 300, y, { width: 150, align: 'right' })
+      .text(formatAmount(amount, currency), 455, y, { width: 90, align: 'right' });
+    y += 15;
+  }
+
+  doc.font('Helvetica-Bold').fontSize(11)
+    .text('Total', 300, y + 5, { width: 150, align: 'right' })
+    .text(formatAmount(invoice.total, currency), 455, y + 5, { width: 90, align: 'right' });
+
+  doc.font('Helvetica').fontSize(8)
+    .text('All prices include tax.', 50, y + 40);
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  renderInvoicePdf
+};
@@ -0,0 +1,324 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Invoice = require('../models/Invoice');
+const InvoiceCounter = require('../models/InvoiceCounter');
+const TaxRate = require('../models/TaxRate');
+const { getRoomById } = require('../services/roomService');
+const { roundPrice } = require('./priceCalculator');
+const { paidAmount } = require('./payments');
+const { bookingCurrency } = require('./currency');
+
+const INVOICE_NUMBER_PREFIX = process.env.INVOICE_NUMBER_PREFIX || 'INV';
+// Rate used for countries without a configured tax rate
+const DEFAULT_TAX_RATE = parseFloat(process.env.DEFAULT_TAX_RATE) || 0;
+const DEFAULT_TAX_NAME = process.env.DEFAULT_TAX_NAME || 'Tax';
+
+// Bookings that were charged in full
+const CHARGED_STATUSES = ['confirmed', 'completed', 'no_show'];
+
+/**
+ * Country of a booking's location; older bookings did not store it
+ */
+const bookingCountry = async (booking) => {
+  if (booking.locationCountry) {
+    return booking.locationCountry;
+  }
+
+  try {
+    const room = await getRoomById(booking.roomId);
+    return room.locationId.country || null;
+  } catch (error) {
+    console.warn(`Could not resolve country for room ${booking.roomId}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Active tax rate for a country, or the default rate
+ */
+const getTaxRate = async (country) => {
+  const taxRate = country
+    ? await TaxRate.findOne({ country, isActive: true }).collation({ locale: 'en', strength: 2 })
+    : null;
+
+  if (taxRate) {
+    return { name: taxRate.name, country: taxRate.country, rate: taxRate.rate };
+  }
+
+  return { name: DEFAULT_TAX_NAME, country, rate: DEFAULT_TAX_RATE };
+};
+
+/**
+ * Invoice line description of an applied pricing rule, e.g. "Weekend surcharge (×1.2)"
+ */
+const ruleDescription = (rule, booking) => {
+  if (rule.type === 'temperature') {
+    return `${rule.name} (${booking.deviation}°C temperature deviation)`;
+  }
+
+  return `${rule.name} (×${rule.multiplier})`;
+};
+
+/**
+ * Charges for a booking as invoice lines, from its stored prices
+ * Cancelled bookings are invoiced for their cancellation fee only
+ * Returns [] when nothing was charged (unpaid, free or fully refunded)
+ */
+const bookingLines = (booking) => {
+  const line = {
+    bookingId: booking._id,
+    bookingReference: booking.bookingReference,
+    date: booking.bookingDate
+  };
+  const slot = `${booking.roomName}, ${booking.locationName} - ${booking.bookingDate} ${booking.startTime}-${booking.endTime}`;
+
+  if (booking.status === 'cancelled') {
+    const { fee = 0, feePercent, policyName } = booking.cancellation || {};
+    if (fee <= 0) {
+      return [];
+    }
+
+    return [{
+      ...line,
+      description: `Cancellation fee (${feePercent}%${policyName ? `, ${policyName}` : ''}): ${slot}`,
+      unitPrice: fee,
+      amount: fee
+    }];
+  }
+
+  if (!CHARGED_STATUSES.includes(booking.status) || paidAmount(booking) === 0) {
+    return [];
+  }
+
+  const subtotal = roundPrice(booking.basePrice * booking.durationHours);
+  const lines = [{
+    ...line,
+    description: `Room hire: ${slot}`,
+    quantity: booking.durationHours,
+    unitPrice: booking.basePrice,
+    amount: subtotal
+  }];
+
+  // One line per pricing rule; older bookings only stored the total adjustment
+  const ruleLines = (booking.pricingRules || [])
+    .filter(rule => rule.amount !== 0)
+    .map(rule => ({ description: ruleDescription(rule, booking), amount: rule.amount }));
+
+  const remainder = roundPrice(booking.adjustedPrice - subtotal - ruleLines.reduce((sum, rule) => sum + rule.amount, 0));
+  if (remainder !== 0) {
+    ruleLines.push({
+      description: ruleLines.length === 0 && booking.deviation
+        ? `Price adjustment (${booking.deviation}°C temperature deviation)`
+        : 'Price adjustment',
+      amount: remainder
+    });
+  }
+
+  for (const { description, amount } of ruleLines) {
+    lines.push({ ...line, description, unitPrice: amount, amount });
+  }
+
+  if (booking.discount && booking.discount.amount > 0) {
+    lines.push({
+      ...line,
+      description: `Discount (${booking.discount.code})`,
+      unitPrice: -booking.discount.amount,
+      amount: -booking.discount.amount
+    });
+  }
+
+  return lines;
+};
+
+/**
+ * Invoice totals; prices include tax, so the tax is extracted from each rate's lines
+ * Lines carry taxCountry only for grouping; it is not stored on the invoice line
+ */
+const invoiceTotals = (lines) => {
+  const taxes = new Map();
+  for (const line of lines) {
+    const key = `${line.taxCountry}|${line.taxName}|${line.taxRate}`;
+    const tax = taxes.get(key) || { name: line.taxName, country: line.taxCountry, rate: line.taxRate, taxableAmount: 0 };
+    tax.taxableAmount += line.amount;
+    taxes.set(key, tax);
+  }
+
+  const taxList = [...taxes.values()].map(tax => ({
+    ...tax,
+    taxableAmount: roundPrice(tax.taxableAmount),
+    amount: roundPrice(tax.taxableAmount * tax.rate / (100 + tax.rate))
+  }));
+
+  const total = roundPrice(lines.reduce((sum, line) => sum + line.amount, 0));
+  const taxTotal = roundPrice(taxList.reduce((sum, tax) => sum + tax.amount, 0));
+
+  return {
+    lines,
+    taxes: taxList,
+    netTotal: roundPrice(total - taxTotal),
+    taxTotal,
+    total
+  };
+};
+
+/**
+ * Lines for a set of bookings with each booking's tax rate applied
+ */
+const taxedLines = async (bookings) => {
+  const ratesByCountry = new Map();
+  const lines = [];
+
+  for (const booking of bookings) {
+    const chargeLines = bookingLines(booking);
+    if (chargeLines.length === 0) {
+      continue;
+    }
+
+    const country = await bookingCountry(booking);
+    if (!ratesByCountry.has(country)) {
+      ratesByCountry.set(country, await getTaxRate(country));
+    }
+    const tax = ratesByCountry.get(country);
+
+    for (const chargeLine of chargeLines) {
+      lines.push({ ...chargeLine, taxName: tax.name, taxRate: tax.rate, taxCountry: tax.country });
+    }
+  }
+
+  return lines;
+};
+
+/**
+ * Next sequential invoice number, e.g. INV-2025-000042
+ * Numbering restarts every year. Pass the session of the transaction saving the invoice,
+ * so a number is only used up when the invoice is saved and the sequence has no gaps
+ */
+const nextInvoiceNumber = async (session = null, now = new Date()) => {
+  const year = now.getFullYear();
+  const counter = await InvoiceCounter.findOneAndUpdate(
+    { year },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session }
+  );
+
+  return `${INVOICE_NUMBER_PREFIX}-${year}-${String(counter.seq).padStart(6, '0')}`;
+};
+
+/**
+ * What was charged on an invoice; a change means the invoice must be re-issued
+ */
+const chargesKey = (lines) => lines
+  .map(line => `${line.bookingId}|${line.description}|${line.amount}`)
+  .join('\n');
+
+/**
+ * Return the current invoice matching the filter, or issue one
+ * An invoice whose charges no longer match is superseded by a new number;
+ * both happen in one transaction so a failed save never leaves the old one superseded
+ */
+const issueInvoice = async (filter, fields) => {
+  const current = await Invoice.findOne({ ...filter, status: 'issued' });
+  if (current && chargesKey(current.lines) === chargesKey(fields.lines)) {
+    return current;
+  }
+
+  let invoice;
+  try {
+    // Concurrent transactions conflict on the counter and are retried one after the other
+    invoice = await mongoose.connection.transaction(async (session) => {
+      const invoiceNumber = await nextInvoiceNumber(session);
+
+      // The unique index allows one issued invoice, so the old one is retired within the transaction first
+      if (current) {
+        const superseded = await Invoice.updateOne(
+          { _id: current._id, status: 'issued' },
+          { $set: { status: 'superseded', supersededBy: invoiceNumber } },
+          { session }
+        );
+        // A concurrent request re-issued it first; give the number back by aborting
+        if (superseded.modifiedCount === 0) {
+          const error = new Error('Invoice was re-issued concurrently');
+          error.code = 11000;
+          throw error;
+        }
+      }
+
+      const issued = new Invoice({ ...filter, ...fields, invoiceNumber });
+      await issued.save({ session });
+      return issued;
+    });
+  } catch (error) {
+    // A concurrent request issued it first
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  return invoice || Invoice.findOne({ ...filter, status: 'issued' });
+};
+
+/**
+ * Invoice for one booking
+ * Resolves to null when the booking has no charges to invoice
+ */
+const invoiceBooking = async (booking) => {
+  const lines = await taxedLines([booking]);
+  if (lines.length === 0) {
+    return null;
+  }
+
+  return issueInvoice({ type: 'booking', bookingId: booking._id }, {
+    bookingIds: [booking._id],
+    userId: booking.userId,
+    billTo: { name: booking.userName, email: booking.userEmail },
+    currency: bookingCurrency(booking),
+    ...invoiceTotals(lines)
+  });
+};
+
+/**
+ * Consolidated invoice for every charged booking of a user dated in a month (YYYY-MM)
+ * Bookings an admin made for a guest are billed to the guest on their own invoice, not here
+ * There is one invoice per currency; a currency must be chosen when the month has several
+ * Resolves to { invoice } (null when there is nothing to invoice) or { currencies } to choose from
+ */
+const invoiceMonth = async (userId, period, currency = null) => {
+  const bookings = await Booking.find({
+    userId,
+    isGuest: { $ne: true },
+    bookingDate: { $gte: `${period}-01`, $lte: `${period}-31` },
+    status: { $in: [...CHARGED_STATUSES, 'cancelled'] }
+  }).sort({ bookingDate: 1, startTime: 1 });
+
+  const charged = bookings.filter(booking => bookingLines(booking).length > 0);
+  const currencies = [...new Set(charged.map(bookingCurrency))];
+
+  if (!currency && currencies.length > 1) {
+    return { currencies };
+  }
+
+  const invoiceCurrency = currency || currencies[0];
+  const invoiced = charged.filter(booking => bookingCurrency(booking) === invoiceCurrency);
+  if (invoiced.length === 0) {
+    return { invoice: null };
+  }
+
+  const lines = await taxedLines(invoiced);
+
+  const invoice = await issueInvoice({ type: 'monthly', userId, period, currency: invoiceCurrency }, {
+    bookingIds: invoiced.map(booking => booking._id),
+    billTo: { name: invoiced[0].userName, email: invoiced[0].userEmail },
+    ...invoiceTotals(lines)
+  });
+
+  return { invoice };
+};
+
+module.exports = {
+  getTaxRate,
+  bookingLines,
+  invoiceTotals,
+  nextInvoiceNumber,
+  invoiceBooking,
+  invoiceMonth
+};
@@ -0,0 +1,84 @@
+const { toMinutes, intervalsOverlap, calculateFreeIntervals } = require('./timeSlots');
+
+/**
+ * Helpers for location opening hours fetched from Room Service
+ * Opening hours are weekly { day, open, close } entries in the location's time zone;
+ * a location without any entries is always open
+ */
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Earliest and latest time zones in use: no location is on a date outside their range
+const EARLIEST_TIMEZONE = 'Etc/GMT+12';
+const LATEST_TIMEZONE = 'Etc/GMT-14';
+
+/**
+ * Lower-case weekday name of a YYYY-MM-DD date
+ */
+const weekdayOf = (date) => WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+/**
+ * Opening periods of a location on a date, earliest first
+ * Returns null when the location has no opening hours (always open)
+ */
+const openingPeriodsOn = (location, date) => {
+  const openingHours = location.openingHours || [];
+  if (openingHours.length === 0) {
+    return null;
+  }
+
+  const day = weekdayOf(date);
+  return openingHours
+    .filter(entry => entry.day === day)
+    .map(({ open, close }) => ({ open, close }))
+    .sort((a, b) => toMinutes(a.open) - toMinutes(b.open));
+};
+
+/**
+ * Check a time slot lies within one opening period of the location on that date
+ * Returns null, or { error, openingHours } describing when the location is open that day
+ */
+const openingHoursError = (location, date, startTime, endTime) => {
+  const periods = openingPeriodsOn(location, date);
+  if (periods === null) {
+    return null;
+  }
+
+  const fits = periods.some(period => toMinutes(period.open) <= toMinutes(startTime) &&
+    toMinutes(endTime) <= toMinutes(period.close));
+  if (fits) {
+    return null;
+  }
+
+  const hours = periods.map(period => `${period.open}-${period.close}`).join(', ');
+  return {
+    error: periods.length > 0
+      ? `Booking is outside opening hours. Open on ${weekdayOf(date)}: ${hours}`
+      : `Location is closed on ${weekdayOf(date)}`,
+    openingHours: periods
+  };
+};
+
+/**
+ * Free gaps between busy intervals, limited to the location's opening hours that day
+ */
+const openFreeIntervals = (busyIntervals, location, date) => {
+  const periods = openingPeriodsOn(location, date);
+  if (periods === null) {
+    return calculateFreeIntervals(busyIntervals);
+  }
+
+  return periods.flatMap(period => calculateFreeIntervals(
+    busyIntervals.filter(interval => intervalsOverlap(interval.startTime, interval.endTime, period.open, period.close)),
+    period.open,
+    period.close
+  ));
+};
+
+module.exports = {
+  EARLIEST_TIMEZONE,
+  LATEST_TIMEZONE,
+  weekdayOf,
+  openingPeriodsOn,
+  openingHoursError,
+  openFreeIntervals
+};
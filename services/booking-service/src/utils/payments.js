@@ -0,0 +1,357 @@
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const { getPaymentProvider } = require('../services/paymentService');
+const { sendConfirmations } = require('../services/notificationService');
+const { roundPrice } = require('./priceCalculator');
+const { bookingCurrency } = require('./currency');
+
+// Minutes a new booking holds its slot while awaiting payment
+const PAYMENT_WINDOW_MINUTES = parseInt(process.env.PAYMENT_WINDOW_MINUTES) || 15;
+
+/**
+ * Status and payment fields for a new booking
+ * Free bookings (e.g. 100% promo codes) are confirmed straight away
+ */
+const initialPaymentFields = (amount, now = new Date()) => {
+  if (amount > 0) {
+    return {
+      status: 'pending_payment',
+      paymentStatus: 'unpaid',
+      paymentDueAt: new Date(now.getTime() + PAYMENT_WINDOW_MINUTES * 60 * 1000)
+    };
+  }
+
+  return { status: 'confirmed', paymentStatus: 'not_required' };
+};
+
+/**
+ * Amount charged for a booking
+ */
+const bookingAmount = (booking) => booking.finalPrice ?? booking.adjustedPrice;
+
+/**
+ * Amount actually paid for a booking: what was captured for it
+ * Bookings confirmed before online payments existed count as paid at their price
+ */
+const paidAmount = (booking) => {
+  if (booking.status === 'tentative' || ['unpaid', 'not_required'].includes(booking.paymentStatus)) {
+    return 0;
+  }
+
+  return booking.amountPaid ?? bookingAmount(booking);
+};
+
+/**
+ * Mark a payment attempt as failed with the provider's reason
+ */
+const failPayment = async (payment, result) => {
+  payment.set({ status: 'failed', failureCode: result.code, failureMessage: result.message });
+  await payment.save();
+  return { payment, error: { code: result.code, message: result.message } };
+};
+
+/**
+ * Refund part of a captured payment for one booking and record it
+ * Resolves to the provider result
+ */
+const refundPayment = async (payment, booking, amount, reason) => {
+  const provider = getPaymentProvider();
+  const result = await provider.refund({
+    id: payment.providerPaymentId,
+    amount,
+    paymentMethod: payment.paymentMethod,
+    reason
+  });
+
+  payment.refunds.push({
+    providerRefundId: result.id,
+    bookingId: booking._id,
+    amount,
+    reason,
+    status: result.success ? 'succeeded' : 'failed',
+    failureCode: result.code
+  });
+
+  if (result.success) {
+    payment.amountRefunded = roundPrice(payment.amountRefunded + amount);
+    payment.status = payment.amountRefunded >= payment.amount ? 'refunded' : 'partially_refunded';
+  }
+
+  await payment.save();
+  return result;
+};
+
+/**
+ * Authorize and capture a saved payment with the provider
+ * beforeCapture may veto the capture after authorizing by resolving to an error; the authorization is voided
+ * Resolves to { payment } or { payment, error: { code, message } }
+ */
+const capturePayment = async (payment, reference, beforeCapture = async () => null) => {
+  const provider = getPaymentProvider();
+  const { amount, currency, paymentMethod } = payment;
+
+  const authorization = await provider.authorize({ amount, currency, paymentMethod, reference });
+  if (!authorization.success) {
+    return failPayment(payment, authorization);
+  }
+
+  payment.set({ status: 'authorized', providerPaymentId: authorization.id, authorizedAt: new Date() });
+  await payment.save();
+
+  const vetoed = await beforeCapture();
+  if (vetoed) {
+    await provider.voidAuthorization({ id: payment.providerPaymentId, paymentMethod });
+    payment.status = 'voided';
+    await payment.save();
+    return { payment, error: vetoed };
+  }
+
+  const captured = await provider.capture({ id: payment.providerPaymentId, amount, paymentMethod });
+  if (!captured.success) {
+    await provider.voidAuthorization({ id: payment.providerPaymentId, paymentMethod });
+    return failPayment(payment, captured);
+  }
+
+  payment.set({ status: 'captured', capturedAt: new Date() });
+  await payment.save();
+  return { payment };
+};
+
+/**
+ * Authorize and capture one payment covering bookings awaiting payment
+ * Resolves to { payment, confirmed } or { payment, error: { code, message } }
+ */
+const payBookings = async (bookings, { paymentMethod, userId }) => {
+  const bookingIds = bookings.map(b => b._id);
+  const amount = roundPrice(bookings.reduce((sum, b) => sum + bookingAmount(b), 0));
+
+  const payment = new Payment({
+    bookingIds,
+    userId,
+    amount,
+    // Bookings paid together are for the same room, so share a currency
+    currency: bookingCurrency(bookings[0]),
+    provider: getPaymentProvider().name,
+    paymentMethod
+  });
+  await payment.save();
+
+  // The lifecycle job may have expired the bookings while authorizing
+  const { error } = await capturePayment(payment, bookings[0].bookingReference, async () => {
+    const stillPending = await Booking.countDocuments({ _id: { $in: bookingIds }, status: 'pending_payment' });
+    return stillPending < bookings.length
+      ? { code: 'payment_window_expired', message: 'Payment window has expired' }
+      : null;
+  });
+
+  if (error) {
+    return { payment, error };
+  }
+
+  const confirmed = [];
+  for (const booking of bookings) {
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: 'pending_payment' },
+      {
+        $set: {
+          status: 'confirmed',
+          paymentStatus: 'paid',
+          paymentId: payment._id,
+          paidAt: payment.capturedAt,
+          amountPaid: bookingAmount(booking)
+        },
+        $unset: { paymentDueAt: 1 }
+      },
+      { new: true }
+    );
+
+    if (updated) {
+      confirmed.push(updated);
+    } else {
+      // Expired between the check and the capture; give the money back
+      await refundPayment(payment, booking, bookingAmount(booking), 'Booking expired before payment completed');
+    }
+  }
+
+  return { payment, confirmed };
+};
+
+/**
+ * Captured payments that paid for a booking in a currency, newest first
+ */
+const bookingPayments = (booking, currency) => Payment.find({
+  bookingIds: booking._id,
+  currency,
+  status: { $in: ['captured', 'partially_refunded'] }
+}).sort({ capturedAt: -1 });
+
+/**
+ * Refund an amount paid for a booking through the payments that paid for it, newest first
+ * Resolves to { refundStatus, refunded, refundId } where refunded is what the provider gave back
+ */
+const refundPaidAmount = async (booking, amount, reason, currency = bookingCurrency(booking)) => {
+  if (amount <= 0) {
+    return { refundStatus: 'not_required', refunded: 0 };
+  }
+
+  const payments = await bookingPayments(booking, currency);
+
+  // Paid before online payments existed; settled outside the system
+  if (payments.length === 0) {
+    return { refundStatus: 'manual', refunded: 0 };
+  }
+
+  let remaining = amount;
+  let refundId;
+  for (const payment of payments) {
+    const refundable = Math.min(remaining, roundPrice(payment.amount - payment.amountRefunded));
+    if (refundable <= 0) {
+      continue;
+    }
+
+    const result = await refundPayment(payment, booking, refundable, reason);
+    if (!result.success) {
+      console.error(`Refund failed for booking ${booking._id}:`, result.message);
+      return { refundStatus: 'failed', refunded: roundPrice(amount - remaining), refundId };
+    }
+
+    refundId = refundId || result.id;
+    remaining = roundPrice(remaining - refundable);
+    if (remaining <= 0) {
+      break;
+    }
+  }
+
+  return {
+    refundStatus: remaining > 0 ? 'failed' : 'refunded',
+    refunded: roundPrice(amount - remaining),
+    refundId
+  };
+};
+
+/**
+ * Refund a cancelled booking through the payments that paid for it
+ * Resolves to the refund fields stored on the booking's cancellation record
+ */
+const refundBooking = async (booking, amount, reason) => {
+  const { refundStatus, refundId } = await refundPaidAmount(booking, amount, reason);
+
+  if (refundStatus !== 'refunded') {
+    return { refundStatus };
+  }
+
+  return {
+    refundStatus,
+    refundId,
+    paymentStatus: amount >= paidAmount(booking) ? 'refunded' : 'partially_refunded'
+  };
+};
+
+/**
+ * Amounts to charge and refund when a paid booking is re-priced
+ * In the same currency only the difference moves; a new currency refunds everything paid
+ * and charges the new price in full
+ */
+const priceChangeAmounts = (booking, newPrice, newCurrency) => {
+  const paid = paidAmount(booking);
+
+  if (paid > 0 && newCurrency !== bookingCurrency(booking)) {
+    return { charge: newPrice, refund: paid };
+  }
+
+  return {
+    charge: roundPrice(Math.max(newPrice - paid, 0)),
+    refund: roundPrice(Math.max(paid - newPrice, 0))
+  };
+};
+
+/**
+ * Charge an additional amount for a booking as a new payment
+ * Uses paymentMethod, or else the method of the booking's latest payment
+ * Resolves to { payment } or { payment, error: { code, message } }
+ */
+const chargeBooking = async (booking, amount, { currency, paymentMethod, userId }) => {
+  const method = paymentMethod || (await Payment.findOne({ bookingIds: booking._id, status: { $ne: 'failed' } })
+    .sort({ createdAt: -1 }))?.paymentMethod;
+
+  if (!method) {
+    return {
+      payment: null,
+      error: { code: 'payment_method_required', message: 'A payment method is required to pay the price difference' }
+    };
+  }
+
+  const payment = new Payment({
+    bookingIds: [booking._id],
+    userId,
+    amount,
+    currency,
+    provider: getPaymentProvider().name,
+    paymentMethod: method
+  });
+  await payment.save();
+
+  return capturePayment(payment, booking.bookingReference);
+};
+
+/**
+ * Payment details returned with bookings
+ */
+const paymentSummary = (bookings, payment = null) => ({
+  status: payment ? payment.status : bookings[0].paymentStatus,
+  paymentId: payment ? payment._id : undefined,
+  amount: roundPrice(bookings.reduce((sum, b) => sum + bookingAmount(b), 0)),
+  currency: bookingCurrency(bookings[0]),
+  dueAt: bookings[0].paymentDueAt
+});
+
+/**
+ * Finish new bookings: confirm free ones, or pay straight away when a payment method was given
+ * Sends confirmations for bookings that end up confirmed
+ * Resolves to { bookings, payment, paymentError }; unpaid bookings stay pending_payment
+ */
+const settleNewBookings = async (bookings, { paymentMethod, userId, conflicts } = {}) => {
+  if (bookings.every(b => b.status === 'confirmed')) {
+    sendConfirmations(bookings, { conflicts })
+      .catch(err => console.error('Notification error:', err));
+    return { bookings, payment: null };
+  }
+
+  if (!paymentMethod) {
+    return { bookings, payment: null };
+  }
+
+  const { payment, confirmed, error } = await payBookings(bookings, { paymentMethod, userId });
+  if (error) {
+    return { bookings, payment, paymentError: error };
+  }
+
+  // Every booking expired while paying and was refunded
+  if (confirmed.length === 0) {
+    return {
+      bookings,
+      payment,
+      paymentError: { code: 'payment_window_expired', message: 'Payment window has expired' }
+    };
+  }
+
+  sendConfirmations(confirmed, { conflicts })
+    .catch(err => console.error('Notification error:', err));
+
+  return { bookings: confirmed, payment };
+};
+
+module.exports = {
+  PAYMENT_WINDOW_MINUTES,
+  initialPaymentFields,
+  bookingAmount,
+  paidAmount,
+  payBookings,
+  refundPayment,
+  refundPaidAmount,
+  refundBooking,
+  priceChangeAmounts,
+  chargeBooking,
+  paymentSummary,
+  settleNewBookings
+};
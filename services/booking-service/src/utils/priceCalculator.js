@@ -1,22 +1,107 @@
+const { toDateTime } = require('./timeSlots');
+
+// Rule types supported by the pricing pipeline
+const RULE_TYPES = ['weekday', 'weekend', 'season', 'lead_time', 'last_minute', 'capacity', 'temperature'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Round to 2 decimal places
+ */
+const roundPrice = (price) => Math.round(price * 100) / 100;
+
 /**
- * Calculate adjusted price based on temperature deviation
- * Formula: adjustedPrice = basePrice * (1 + (deviation * factor))
+ * Check whether a MM-DD day falls inside a season (inclusive, may wrap around the new year)
  */
-const calculateAdjustedPrice = (basePrice, temperature, comfortableTemp = 21, factor = 0.05) => {
-  const deviation = Math.abs(temperature - comfortableTemp);
-  const adjustedPrice = basePrice * (1 + (deviation * factor));
-  
+const inSeason = (monthDay, seasonStart, seasonEnd) => {
+  if (seasonStart <= seasonEnd) {
+    return monthDay >= seasonStart && monthDay <= seasonEnd;
+  }
+
+  return monthDay >= seasonStart || monthDay <= seasonEnd;
+};
+
+/**
+ * Multiplier a rule applies for a booking, or null when the rule does not match
+ * context: { date, startTime, timezone, capacity, temperature, now }
+ */
+const ruleMultiplier = (rule, context) => {
+  const dayOfWeek = new Date(`${context.date}T00:00:00Z`).getUTCDay();
+  const msAhead = toDateTime(context.date, context.startTime, context.timezone) - context.now;
+
+  switch (rule.type) {
+    case 'weekday':
+      return dayOfWeek >= 1 && dayOfWeek <= 5 ? rule.multiplier : null;
+
+    case 'weekend':
+      return dayOfWeek === 0 || dayOfWeek === 6 ? rule.multiplier : null;
+
+    case 'season':
+      return inSeason(context.date.slice(5), rule.seasonStart, rule.seasonEnd) ? rule.multiplier : null;
+
+    case 'lead_time':
+      return msAhead >= rule.minDaysAhead * DAY_MS ? rule.multiplier : null;
+
+    case 'last_minute':
+      return msAhead <= rule.maxHoursAhead * HOUR_MS ? rule.multiplier : null;
+
+    case 'capacity': {
+      const min = rule.minCapacity ?? 0;
+      const max = rule.maxCapacity ?? Infinity;
+      return context.capacity >= min && context.capacity <= max ? rule.multiplier : null;
+    }
+
+    case 'temperature': {
+      const deviation = Math.abs(context.temperature - rule.comfortableTemperature);
+      return 1 + (deviation * rule.adjustmentFactor);
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Run a price through an ordered list of rules
+ * Each matching rule multiplies the running price; its contribution is the change it caused
+ * Returns { adjustedPrice, rules: [{ ruleId, name, type, scope, multiplier, amount }] }
+ */
+const applyPricingRules = (subtotal, rules, context) => {
+  let price = roundPrice(subtotal);
+  const applied = [];
+
+  for (const rule of rules) {
+    const multiplier = ruleMultiplier(rule, context);
+    if (multiplier === null) {
+      continue;
+    }
+
+    const adjusted = roundPrice(price * multiplier);
+
+    applied.push({
+      ruleId: rule._id || null,
+      name: rule.name,
+      type: rule.type,
+      scope: rule.scope,
+      multiplier: Math.round(multiplier * 10000) / 10000,
+      amount: roundPrice(adjusted - price)
+    });
+
+    price = adjusted;
+  }
+
   return {
-    deviation,
-    adjustedPrice: Math.round(adjustedPrice * 100) / 100 // Round to 2 decimal places
+    adjustedPrice: price,
+    rules: applied
   };
 };
 
 /**
- * Format price for display
+ * Format price for display in its currency, e.g. $287.50, £287.50, ¥288
  */
-const formatPrice = (price) => {
-  return `$${price.toFixed(2)}`;
+const formatPrice = (price, currency = 'USD') => {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(price);
 };
 
 /**
@@ -28,8 +113,10 @@ const calculateAdjustmentPercentage = (basePrice, adjustedPrice) => {
 };
 
 module.exports = {
-  calculateAdjustedPrice,
+  RULE_TYPES,
+  roundPrice,
+  ruleMultiplier,
+  applyPricingRules,
   formatPrice,
   calculateAdjustmentPercentage
 };
-
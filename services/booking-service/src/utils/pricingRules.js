@@ -0,0 +1,74 @@
+const PricingRule = require('../models/PricingRule');
+const { RULE_TYPES } = require('./priceCalculator');
+
+// Scopes from least to most specific
+const SCOPES = ['global', 'location', 'room'];
+
+/**
+ * Scope a rule applies at
+ */
+const ruleScope = (rule) => {
+  if (rule.roomId) return 'room';
+  if (rule.locationId) return 'location';
+  return 'global';
+};
+
+/**
+ * Create the global temperature rule from the original env settings on first start
+ * Afterwards it is a normal rule: admins can change, replace or deactivate it
+ */
+const seedDefaultPricingRules = async () => {
+  if (await PricingRule.exists({ type: 'temperature' })) {
+    return null;
+  }
+
+  return PricingRule.create({
+    name: 'Temperature adjustment',
+    type: 'temperature',
+    priority: 0,
+    comfortableTemperature: parseInt(process.env.COMFORTABLE_TEMPERATURE) || 21,
+    adjustmentFactor: parseFloat(process.env.PRICE_ADJUSTMENT_FACTOR) || 0.05
+  });
+};
+
+/**
+ * Keep only the most specific scope configured for each rule type
+ * e.g. a room's weekend rule replaces the location and global weekend rules
+ */
+const selectMostSpecific = (rules) => {
+  const winningScope = {};
+  for (const rule of rules) {
+    const current = winningScope[rule.type];
+    if (!current || SCOPES.indexOf(rule.scope) > SCOPES.indexOf(current)) {
+      winningScope[rule.type] = rule.scope;
+    }
+  }
+
+  return rules.filter(rule => rule.scope === winningScope[rule.type]);
+};
+
+/**
+ * Load the ordered pricing pipeline for a room (room must have its location populated)
+ */
+const getPricingRules = async (room) => {
+  const stored = await PricingRule.find({
+    isActive: true,
+    $or: [
+      { roomId: room._id },
+      { roomId: null, locationId: room.locationId._id },
+      { roomId: null, locationId: null }
+    ]
+  }).sort({ priority: 1, createdAt: 1 });
+
+  const rules = selectMostSpecific(stored.map(rule => ({ ...rule.toObject(), scope: ruleScope(rule) })));
+
+  // Stable sort: priority first, then the order types are listed in RULE_TYPES
+  return rules.sort((a, b) => (a.priority - b.priority) ||
+    (RULE_TYPES.indexOf(a.type) - RULE_TYPES.indexOf(b.type)));
+};
+
+module.exports = {
+  ruleScope,
+  seedDefaultPricingRules,
+  getPricingRules
+};
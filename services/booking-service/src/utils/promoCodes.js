@@ -0,0 +1,222 @@
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const { roundPrice } = require('./priceCalculator');
+const { BASE_CURRENCY, roomCurrency } = require('./currency');
+
+/**
+ * Discount amount for a price; never more than the price itself
+ */
+const calculateDiscount = (type, value, price) => {
+  const amount = type === 'percentage' ? price * value / 100 : value;
+  return roundPrice(Math.min(amount, price));
+};
+
+/**
+ * Add the discount and final price to a price breakdown
+ * discount: { promoCodeId, code, type, value } or null
+ */
+const applyDiscount = (priceBreakdown, discount) => {
+  if (!discount) {
+    return { ...priceBreakdown, discount: null, finalPrice: priceBreakdown.adjustedPrice };
+  }
+
+  const amount = calculateDiscount(discount.type, discount.value, priceBreakdown.adjustedPrice);
+
+  return {
+    ...priceBreakdown,
+    discount: { ...discount, amount },
+    finalPrice: roundPrice(priceBreakdown.adjustedPrice - amount)
+  };
+};
+
+/**
+ * Check a promo code's room, location, currency and email domain restrictions
+ * Returns an error message, or null when the code applies to this user and room
+ */
+const restrictionError = (promoCode, { user, room }) => {
+  if (promoCode.roomIds.length > 0 && !promoCode.roomIds.some(id => id.toString() === room._id.toString())) {
+    return 'Promo code is not valid for this room';
+  }
+
+  if (promoCode.locationIds.length > 0 &&
+      !promoCode.locationIds.some(id => id.toString() === room.locationId._id.toString())) {
+    return 'Promo code is not valid for this location';
+  }
+
+  const currency = roomCurrency(room);
+  if (promoCode.discountType === 'fixed' && (promoCode.currency || BASE_CURRENCY) !== currency) {
+    return `Promo code is not valid for prices in ${currency}`;
+  }
+
+  const emailDomain = (user.email || '').split('@')[1];
+  if (promoCode.emailDomains.length > 0 && !promoCode.emailDomains.includes((emailDomain || '').toLowerCase())) {
+    return 'Promo code is not valid for your account';
+  }
+
+  return null;
+};
+
+/**
+ * Look up a promo code and check it can be used by this user for this room
+ * Resolves to { promoCode } or { error }; usage limits are enforced when redeeming
+ */
+const validatePromoCode = async (code, { user, room }) => {
+  const promoCode = await PromoCode.findOne({ code: code.trim().toUpperCase() });
+  const now = new Date();
+
+  if (!promoCode || !promoCode.isActive) {
+    return { error: 'Invalid promo code' };
+  }
+
+  if ((promoCode.validFrom && promoCode.validFrom > now) || (promoCode.validUntil && promoCode.validUntil < now)) {
+    return { error: 'Promo code is not valid at this time' };
+  }
+
+  const error = restrictionError(promoCode, { user, room });
+  if (error) {
+    return { error };
+  }
+
+  if (promoCode.maxUses !== null && promoCode.usedCount >= promoCode.maxUses) {
+    return { error: 'Promo code usage limit reached' };
+  }
+
+  return { promoCode };
+};
+
+/**
+ * Check the promo code an existing booking redeemed still applies after moving it to a room
+ * Validity dates and usage limits were settled when it was redeemed
+ * Resolves to an error message, or null when the discount carries over
+ */
+const revalidateBookingDiscount = async (booking, room) => {
+  const promoCode = await PromoCode.findById(booking.discount.promoCodeId);
+  if (!promoCode) {
+    return 'Invalid promo code';
+  }
+
+  return restrictionError(promoCode, { user: { email: booking.userEmail }, room });
+};
+
+/**
+ * Discount snapshot stored on the booking
+ */
+const toDiscount = (promoCode) => ({
+  promoCodeId: promoCode._id,
+  code: promoCode.code,
+  type: promoCode.discountType,
+  value: promoCode.discountValue
+});
+
+/**
+ * Discount snapshot of an existing booking, or null when it has none
+ */
+const bookingDiscount = (booking) => {
+  if (!booking.discount || !booking.discount.promoCodeId) {
+    return null;
+  }
+
+  const { promoCodeId, code, type, value } = booking.discount;
+  return { promoCodeId, code, type, value };
+};
+
+/**
+ * Record a redemption inside the booking transaction
+ * Every redemption increments usedCount on the same document, so concurrent
+ * redemptions of one code conflict and the retry re-reads the usage counts
+ * Resolves to an error message, or null once redeemed
+ */
+const redeemPromoCode = async (booking, session) => {
+  const { promoCodeId, code, amount } = booking.discount;
+
+  const promoCode = await PromoCode.findById(promoCodeId).session(session);
+
+  if (promoCode.maxUsesPerUser !== null) {
+    const userUses = await PromoRedemption.countDocuments({
+      promoCodeId,
+      userId: booking.userId,
+      status: 'applied'
+    }).session(session);
+
+    if (userUses >= promoCode.maxUsesPerUser) {
+      return 'You have already used this promo code the maximum number of times';
+    }
+  }
+
+  const limitQuery = { _id: promoCodeId };
+  if (promoCode.maxUses !== null) {
+    limitQuery.usedCount = { $lt: promoCode.maxUses };
+  }
+
+  const updated = await PromoCode.updateOne(limitQuery, { $inc: { usedCount: 1 } }, { session });
+  if (updated.modifiedCount === 0) {
+    return 'Promo code usage limit reached';
+  }
+
+  await PromoRedemption.create([{
+    promoCodeId,
+    code,
+    bookingId: booking._id,
+    userId: booking.userId,
+    userEmail: booking.userEmail,
+    discountAmount: amount
+  }], { session });
+
+  return null;
+};
+
+/**
+ * Keep the redemption's discount in sync after a booking is re-priced
+ */
+const updateRedemptionAmount = (booking, session) => {
+  return PromoRedemption.updateOne(
+    { bookingId: booking._id, status: 'applied' },
+    { $set: { discountAmount: booking.discount.amount } },
+    { session }
+  );
+};
+
+/**
+ * Release a booking's applied redemption and give the use back to its code
+ * Pass a session to release inside a booking transaction
+ */
+const releaseRedemption = async (bookingId, session = null) => {
+  const released = await PromoRedemption.findOneAndUpdate(
+    { bookingId, status: 'applied' },
+    { $set: { status: 'released', releasedAt: new Date() } },
+    { session }
+  );
+
+  if (released) {
+    await PromoCode.updateOne(
+      { _id: released.promoCodeId, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } },
+      { session }
+    );
+  }
+};
+
+/**
+ * Give a cancelled booking's promo code use back
+ */
+const releasePromoCode = async (booking) => {
+  if (!bookingDiscount(booking)) {
+    return;
+  }
+
+  await releaseRedemption(booking._id);
+};
+
+module.exports = {
+  calculateDiscount,
+  applyDiscount,
+  restrictionError,
+  validatePromoCode,
+  revalidateBookingDiscount,
+  toDiscount,
+  bookingDiscount,
+  redeemPromoCode,
+  updateRedemptionAmount,
+  releaseRedemption,
+  releasePromoCode
+};
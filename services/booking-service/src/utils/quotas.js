@@ -0,0 +1,157 @@
+const Booking = require('../models/Booking');
+const Hold = require('../models/Hold');
+const { addDays, weekStart, toLocalDateString } = require('./timeSlots');
+
+/**
+ * Read a quota from the environment; 0 turns it off
+ */
+const quotaFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Booking limits for non-admin users (0 = no limit)
+const QUOTAS = {
+  maxActiveBookings: quotaFromEnv('MAX_ACTIVE_BOOKINGS_PER_USER', 20),
+  maxBookingsPerWeek: quotaFromEnv('MAX_BOOKINGS_PER_WEEK', 10),
+  maxAdvanceDays: quotaFromEnv('MAX_ADVANCE_BOOKING_DAYS', 90),
+  maxActiveBookingsPerLocation: quotaFromEnv('MAX_ACTIVE_BOOKINGS_PER_LOCATION', 10)
+};
+
+// Upcoming bookings that still hold a slot
+const UPCOMING_STATUSES = ['tentative', 'pending_payment', 'confirmed'];
+// Bookings that count towards the weekly limit (everything except cancelled and expired)
+const WEEKLY_STATUSES = [...UPCOMING_STATUSES, 'completed', 'no_show'];
+
+/**
+ * Last date a booking may be made for, or null without a horizon
+ */
+const bookingHorizon = (today = toLocalDateString(new Date())) => {
+  return QUOTAS.maxAdvanceDays > 0 ? addDays(today, QUOTAS.maxAdvanceDays) : null;
+};
+
+/**
+ * Quota error response: 422 for requests no state would allow, 409 for limits the user has reached
+ */
+const quotaError = (status, type, error, details) => ({ status, error, quota: { type, ...details } });
+
+/**
+ * Quota check options for a request booking a room for a user, or null when it is exempt
+ * Admins are exempt, also when booking on behalf of someone else
+ */
+const quotaFor = (req, userId, room) => {
+  if (req.user.role === 'admin') {
+    return null;
+  }
+
+  return { userId, locationId: room.locationId._id, timezone: room.locationId.timezone };
+};
+
+/**
+ * Number of a user's bookings with some statuses plus their unexpired holds matching a filter
+ * Guest bookings carry the userId of the admin who made them and do not count towards it
+ */
+const countReservations = async ({ userId, excludeBookingId, excludeHoldId, session }, statuses, filter) => {
+  const bookings = await Booking.countDocuments({
+    ...filter,
+    userId,
+    isGuest: { $ne: true },
+    status: { $in: statuses },
+    ...(excludeBookingId && { _id: { $ne: excludeBookingId } })
+  }).session(session);
+
+  const holds = await Hold.countDocuments({
+    ...filter,
+    userId,
+    expiresAt: { $gt: new Date() },
+    ...(excludeHoldId && { _id: { $ne: excludeHoldId } })
+  }).session(session);
+
+  return bookings + holds;
+};
+
+/**
+ * Check that a user may make new bookings (or holds) on the given dates at a location
+ * Holds count like upcoming bookings while they last
+ * timezone is the location's, so "today" matches the dates being booked
+ * Pass excludeBookingId when moving an existing booking, or excludeHoldId when confirming a hold,
+ * so it is not counted twice
+ * Pass the session of a transaction holding the user's lock (see withRoomLock) so concurrent
+ * reservations by the user are counted one after the other
+ * Resolves to null, or { status, error, quota } for the first quota the bookings would exceed
+ * Admins are exempt; callers skip this check for them (see quotaFor)
+ */
+const checkBookingQuotas = async ({ userId, locationId, dates, timezone, excludeBookingId = null, excludeHoldId = null, session = null }) => {
+  const today = toLocalDateString(new Date(), timezone);
+  const counted = { userId, excludeBookingId, excludeHoldId, session };
+
+  // 1. Advance booking horizon
+  const horizon = bookingHorizon(today);
+  const tooFar = horizon && dates.find(date => date > horizon);
+  if (tooFar) {
+    return quotaError(422, 'advance_booking', `Bookings can be made at most ${QUOTAS.maxAdvanceDays} days in advance`, {
+      limit: QUOTAS.maxAdvanceDays,
+      latestDate: horizon,
+      date: tooFar
+    });
+  }
+
+  const upcoming = { bookingDate: { $gte: today } };
+
+  // 2. Upcoming bookings per user
+  if (QUOTAS.maxActiveBookings > 0) {
+    const current = await countReservations(counted, UPCOMING_STATUSES, upcoming);
+    if (current + dates.length > QUOTAS.maxActiveBookings) {
+      return quotaError(409, 'active_bookings', `You can have at most ${QUOTAS.maxActiveBookings} upcoming bookings`, {
+        limit: QUOTAS.maxActiveBookings,
+        current,
+        requested: dates.length
+      });
+    }
+  }
+
+  // 3. Upcoming bookings per user at this location
+  if (QUOTAS.maxActiveBookingsPerLocation > 0 && locationId) {
+    const current = await countReservations(counted, UPCOMING_STATUSES, { ...upcoming, locationId });
+    if (current + dates.length > QUOTAS.maxActiveBookingsPerLocation) {
+      return quotaError(409, 'location_bookings', `You can have at most ${QUOTAS.maxActiveBookingsPerLocation} upcoming bookings at this location`, {
+        limit: QUOTAS.maxActiveBookingsPerLocation,
+        current,
+        requested: dates.length
+      });
+    }
+  }
+
+  // 4. Bookings per calendar week (Monday to Sunday) of each new booking
+  if (QUOTAS.maxBookingsPerWeek > 0) {
+    const requestedPerWeek = new Map();
+    for (const date of dates) {
+      const week = weekStart(date);
+      requestedPerWeek.set(week, (requestedPerWeek.get(week) || 0) + 1);
+    }
+
+    for (const [week, requested] of requestedPerWeek) {
+      const current = await countReservations(counted, WEEKLY_STATUSES, {
+        bookingDate: { $gte: week, $lte: addDays(week, 6) }
+      });
+
+      if (current + requested > QUOTAS.maxBookingsPerWeek) {
+        return quotaError(409, 'weekly_bookings', `You can make at most ${QUOTAS.maxBookingsPerWeek} bookings per week`, {
+          limit: QUOTAS.maxBookingsPerWeek,
+          current,
+          requested,
+          week
+        });
+      }
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  QUOTAS,
+  bookingHorizon,
+  quotaFor,
+  checkBookingQuotas
+};
@@ -0,0 +1,68 @@
+/**
+ * RRULE-style recurrence expansion for booking series
+ * Supports FREQ (daily/weekly/monthly), INTERVAL, COUNT and UNTIL
+ */
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Upper bound on occurrences created by a single request
+const MAX_OCCURRENCES = parseInt(process.env.MAX_RECURRENCE_OCCURRENCES) || 52;
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Dates of a recurrence rule starting with startDate, at most limit of them
+ * Monthly rules skip months that do not contain the start day (e.g. the 31st)
+ */
+const listOccurrences = (startDate, { frequency, interval = 1, until }, limit) => {
+  const start = new Date(`${startDate}T00:00:00Z`);
+  const dates = [];
+
+  for (let step = 0; dates.length < limit; step++) {
+    const current = new Date(start);
+
+    if (frequency === 'daily') {
+      current.setUTCDate(start.getUTCDate() + step * interval);
+    } else if (frequency === 'weekly') {
+      current.setUTCDate(start.getUTCDate() + step * interval * 7);
+    } else {
+      current.setUTCDate(1);
+      current.setUTCMonth(start.getUTCMonth() + step * interval);
+      current.setUTCDate(start.getUTCDate());
+
+      // Day overflowed into the following month
+      if (current.getUTCDate() !== start.getUTCDate()) {
+        continue;
+      }
+    }
+
+    const date = toDateString(current);
+    if (until && date > until) {
+      break;
+    }
+
+    dates.push(date);
+  }
+
+  return dates;
+};
+
+/**
+ * Expand a recurrence rule into booking dates, starting with startDate
+ */
+const expandRecurrence = (startDate, rule) => {
+  return listOccurrences(startDate, rule, Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES));
+};
+
+/**
+ * Check whether a rule bounded only by its until date has more than MAX_OCCURRENCES dates
+ */
+const exceedsMaxOccurrences = (startDate, rule) => {
+  return !rule.count && listOccurrences(startDate, rule, MAX_OCCURRENCES + 1).length > MAX_OCCURRENCES;
+};
+
+module.exports = {
+  FREQUENCIES,
+  MAX_OCCURRENCES,
+  expandRecurrence,
+  exceedsMaxOccurrences
+};
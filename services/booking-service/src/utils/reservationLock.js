@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const RoomLock = require('../models/RoomLock');
+const UserLock = require('../models/UserLock');
+
+/**
+ * Create a lock document if it does not exist yet, so transactions only ever update it
+ */
+const ensureLock = async (Lock, key) => {
+  try {
+    await Lock.updateOne(key, { $setOnInsert: key }, { upsert: true });
+  } catch (error) {
+    // Another request created it first
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+};
+
+/**
+ * Run work(session) inside a transaction holding the room/day lock
+ * Concurrent callers for the same room and date are serialized by MongoDB
+ * write conflicts; the loser is retried and sees the winner's booking.
+ * Pass userId to also hold the user's lock, e.g. while counting their booking quotas
+ * Requires MongoDB running as a replica set (Atlas or local rs0)
+ */
+const withRoomLock = async (roomId, bookingDate, work, { userId = null } = {}) => {
+  await ensureLock(RoomLock, { roomId, bookingDate });
+  if (userId) {
+    await ensureLock(UserLock, { userId });
+  }
+
+  return mongoose.connection.transaction(async (session) => {
+    await RoomLock.updateOne(
+      { roomId, bookingDate },
+      { $inc: { version: 1 } },
+      { session }
+    );
+
+    if (userId) {
+      await UserLock.updateOne(
+        { userId },
+        { $inc: { version: 1 } },
+        { session }
+      );
+    }
+
+    return work(session);
+  });
+};
+
+module.exports = {
+  withRoomLock
+};
@@ -0,0 +1,187 @@
+/**
+ * Helpers for working with HH:mm time slots within a booking day
+ * Times are wall-clock strings; "24:00" is allowed as an end time
+ */
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DAY_START = '00:00';
+const DAY_END = '24:00';
+
+/**
+ * Convert HH:mm to minutes since midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes since midnight to HH:mm
+ */
+const fromMinutes = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+/**
+ * Duration of a slot in hours (rounded to 2 decimal places)
+ */
+const calculateDurationHours = (startTime, endTime) => {
+  const hours = (toMinutes(endTime) - toMinutes(startTime)) / 60;
+  return Math.round(hours * 100) / 100;
+};
+
+/**
+ * Check whether two half-open intervals [start, end) overlap
+ */
+const intervalsOverlap = (startA, endA, startB, endB) => {
+  return toMinutes(startA) < toMinutes(endB) && toMinutes(startB) < toMinutes(endA);
+};
+
+/**
+ * Merge busy intervals and return the free gaps between dayStart and dayEnd
+ */
+const calculateFreeIntervals = (busyIntervals, dayStart = DAY_START, dayEnd = DAY_END) => {
+  const sorted = [...busyIntervals].sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime));
+  const free = [];
+  let cursor = toMinutes(dayStart);
+
+  for (const interval of sorted) {
+    const start = toMinutes(interval.startTime);
+    const end = toMinutes(interval.endTime);
+
+    if (start > cursor) {
+      free.push({ startTime: fromMinutes(cursor), endTime: fromMinutes(start) });
+    }
+    cursor = Math.max(cursor, end);
+  }
+
+  if (cursor < toMinutes(dayEnd)) {
+    free.push({ startTime: fromMinutes(cursor), endTime: dayEnd });
+  }
+
+  return free;
+};
+
+/**
+ * List every YYYY-MM-DD date between startDate and endDate (inclusive)
+ */
+const enumerateDates = (startDate, endDate) => {
+  const dates = [];
+  const current = new Date(`${startDate}T00:00:00Z`);
+  const last = new Date(`${endDate}T00:00:00Z`);
+
+  while (current <= last) {
+    dates.push(current.toISOString().split('T')[0]);
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+
+  return dates;
+};
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ */
+const addDays = (date, days) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + days);
+  return day.toISOString().split('T')[0];
+};
+
+/**
+ * Monday of the week containing a YYYY-MM-DD date
+ */
+const weekStart = (date) => {
+  const weekday = (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+  return addDays(date, -weekday);
+};
+
+// Date-time formatters per IANA time zone (building one is comparatively slow)
+const zoneFormatters = new Map();
+
+/**
+ * Calendar fields of an instant as seen in an IANA time zone
+ */
+const zonedFields = (instant, timezone) => {
+  if (!zoneFormatters.has(timezone)) {
+    zoneFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+
+  const parts = zoneFormatters.get(timezone).formatToParts(instant);
+  return Object.fromEntries(parts.map(part => [part.type, part.value]));
+};
+
+/**
+ * Offset of an IANA time zone from UTC at an instant, in milliseconds
+ */
+const zoneOffsetMs = (instant, timezone) => {
+  const fields = zonedFields(instant, timezone);
+  const wallClock = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+  return wallClock - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+/**
+ * Combine a YYYY-MM-DD date and HH:mm time into a Date
+ * The time is read in the given IANA time zone, or in server local time without one
+ */
+const toDateTime = (date, time, timezone) => {
+  if (!timezone) {
+    const dateTime = new Date(`${date}T00:00:00`);
+    dateTime.setMinutes(toMinutes(time));
+    return dateTime;
+  }
+
+  const wallClock = new Date(`${date}T00:00:00Z`).getTime() + toMinutes(time) * 60 * 1000;
+  const offset = zoneOffsetMs(new Date(wallClock), timezone);
+
+  // The offset may differ on the other side of a daylight saving change
+  const corrected = zoneOffsetMs(new Date(wallClock - offset), timezone);
+  return new Date(wallClock - corrected);
+};
+
+/**
+ * Check whether a slot starting at a YYYY-MM-DD date and HH:mm time has already started
+ * The time is read in the given IANA time zone, or in server local time without one
+ */
+const hasStarted = (date, startTime, timezone, now = new Date()) => toDateTime(date, startTime, timezone) < now;
+
+/**
+ * YYYY-MM-DD for a Date in the given IANA time zone, or in server local time without one
+ */
+const toLocalDateString = (date, timezone) => {
+  if (timezone) {
+    const fields = zonedFields(date, timezone);
+    return `${fields.year}-${fields.month}-${fields.day}`;
+  }
+
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+module.exports = {
+  TIME_PATTERN,
+  DAY_START,
+  DAY_END,
+  toMinutes,
+  fromMinutes,
+  calculateDurationHours,
+  intervalsOverlap,
+  calculateFreeIntervals,
+  enumerateDates,
+  addDays,
+  weekStart,
+  toDateTime,
+  hasStarted,
+  toLocalDateString
+};
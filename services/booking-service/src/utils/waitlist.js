@@ -0,0 +1,144 @@
+const Booking = require('../models/Booking');
+const Waitlist = require('../models/Waitlist');
+const { validateRoom, getBlackouts } = require('../services/roomService');
+const { toNotificationPayload, sendWaitlistOffer } = require('../services/notificationService');
+const { reserveSlot } = require('./bookingReservation');
+const { toDateTime } = require('./timeSlots');
+const { snapshotBooking, recordSystemAudit } = require('./audit');
+const { closedSlotError } = require('./blackouts');
+
+// Minutes a waitlisted user has to accept a tentative booking
+const WAITLIST_OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES) || 60;
+
+/**
+ * Offer freed slots on a room/day to waitlisted users in queue order
+ * Each entry whose slot is now free (and open: no blackout, within opening hours)
+ * gets a tentative booking and a notification
+ */
+const promoteWaitlist = async (roomId, bookingDate) => {
+  const entries = await Waitlist.find({
+    roomId,
+    bookingDate,
+    status: 'waiting'
+  }).sort({ createdAt: 1 });
+
+  if (entries.length === 0) {
+    return [];
+  }
+
+  const room = await validateRoom(roomId.toString());
+  const blackouts = await getBlackouts(roomId, bookingDate, bookingDate);
+  const offers = [];
+
+  for (const entry of entries) {
+    // Waitlisted slots are wall-clock times at the room's location
+    const start = toDateTime(entry.bookingDate, entry.startTime, room.locationId.timezone);
+
+    // Slot has already started, nothing left to offer
+    if (start <= new Date()) {
+      entry.status = 'expired';
+      await entry.save();
+      continue;
+    }
+
+    // Closed by a blackout or outside opening hours since the user joined; keep waiting
+    if (closedSlotError(blackouts, room.locationId, entry.bookingDate, entry.startTime, entry.endTime)) {
+      continue;
+    }
+
+    const offerExpiresAt = new Date(Math.min(
+      Date.now() + WAITLIST_OFFER_MINUTES * 60 * 1000,
+      start.getTime()
+    ));
+
+    const { booking, conflict } = await reserveSlot({
+      user: { id: entry.userId, email: entry.userEmail, name: entry.userName },
+      room,
+      date: entry.bookingDate,
+      startTime: entry.startTime,
+      endTime: entry.endTime,
+      fields: {
+        status: 'tentative',
+        offerExpiresAt,
+        waitlistEntryId: entry._id
+      }
+    });
+
+    // Slot still (partly) taken, keep waiting
+    if (conflict) {
+      continue;
+    }
+
+    await recordSystemAudit('created', booking);
+
+    entry.status = 'offered';
+    entry.offeredBookingId = booking._id;
+    entry.offerExpiresAt = offerExpiresAt;
+    await entry.save();
+
+    sendWaitlistOffer({
+      ...toNotificationPayload(booking),
+      offerExpiresAt
+    }).catch(err => console.error('Notification error:', err));
+
+    offers.push(booking);
+  }
+
+  return offers;
+};
+
+/**
+ * Record the outcome of a waitlist offer on its entry
+ */
+const resolveWaitlistEntry = async (booking, status) => {
+  if (!booking.waitlistEntryId) {
+    return;
+  }
+
+  await Waitlist.updateOne(
+    { _id: booking.waitlistEntryId, status: 'offered' },
+    { $set: { status } }
+  );
+};
+
+/**
+ * Expire tentative bookings whose acceptance window has passed
+ * and offer the slot to the next users in the queue
+ */
+const expireWaitlistOffers = async (now = new Date()) => {
+  const expiredOffers = await Booking.find({
+    status: 'tentative',
+    offerExpiresAt: { $lte: now }
+  });
+
+  let expired = 0;
+
+  for (const booking of expiredOffers) {
+    const result = await Booking.updateOne(
+      { _id: booking._id, status: 'tentative' },
+      { $set: { status: 'expired' } }
+    );
+
+    if (result.modifiedCount === 0) {
+      continue;
+    }
+
+    expired++;
+    const before = snapshotBooking(booking);
+    booking.status = 'expired';
+    await recordSystemAudit('updated', booking, before);
+
+    await resolveWaitlistEntry(booking, 'expired');
+    await promoteWaitlist(booking.roomId, booking.bookingDate)
+      .catch(err => console.error('Waitlist promotion error:', err.message));
+  }
+
+  return expired;
+};
+
+module.exports = {
+  WAITLIST_OFFER_MINUTES,
+  promoteWaitlist,
+  resolveWaitlistEntry,
+  expireWaitlistOffers
+};
@@ -5,9 +5,34 @@
 
 const axios = require('axios');
 const colors = require('colors');
+const { expandRecurrence, exceedsMaxOccurrences } = require('./src/utils/recurrence');
+const { applyPricingRules } = require('./src/utils/priceCalculator');
+const { applyDiscount, restrictionError } = require('./src/utils/promoCodes');
+const { feePercentFor, calculateCancellation } = require('./src/utils/cancellationPolicy');
+const { initialPaymentFields, paidAmount, priceChangeAmounts } = require('./src/utils/payments');
+const { bookingLines, invoiceTotals } = require('./src/utils/invoices');
+const { BASE_CURRENCY, roomCurrency, convertAmount, withDisplayPrices } = require('./src/utils/currency');
+const { bookingEvent, renderCalendar } = require('./src/utils/ical');
+const { OCCUPANCY_HOURS_PER_DAY, listPeriods, bookableHours } = require('./src/utils/analytics');
+const { findUserBookings } = require('./src/utils/bookingQueries');
+const { snapshotBooking, diffSnapshots } = require('./src/utils/audit');
+const Booking = require('./src/models/Booking');
+const { hashRequest, idempotent } = require('./src/middleware/idempotency');
+const { addDays, weekStart, toDateTime, hasStarted } = require('./src/utils/timeSlots');
+const { openingHoursError } = require('./src/utils/openingHours');
+const { QUOTAS, bookingHorizon, quotaFor, checkBookingQuotas } = require('./src/utils/quotas');
+const { findBlackout, closedSlotError } = require('./src/utils/blackouts');
+
+// Calendar tokens read their secret when loaded; sign test tokens with a throwaway one
+process.env.CALENDAR_TOKEN_SECRET = process.env.CALENDAR_TOKEN_SECRET || 'booking-service-test-secret';
+const { signCalendarToken, verifyCalendarToken } = require('./src/utils/calendarTokens');
 
 const BASE_URL = process.env.BOOKING_SERVICE_URL || 'http://localhost:8003';
 const TEST_TIMEOUT = 30000;
+// Credentials for tests that create real bookings (optional)
+const TEST_AUTH_TOKEN = process.env.TEST_AUTH_TOKEN;
+const TEST_ROOM_ID = process.env.TEST_ROOM_ID;
+const CONCURRENT_REQUESTS = 5;
 
 let testResults = {
   passed: 0,
@@ -15,6 +40,9 @@ let testResults = {
   skipped: 0
 };
 
+// Compare helper results by value
+const sameValue = (actual, expected) => JSON.stringify(actual) === JSON.stringify(expected);
+
 function logTest(name, status, details = '') {
   const symbol = status === 'pass' ? '✓' : status === 'fail' ? '✗' : '⚠';
   const color = status === 'pass' ? 'green' : status === 'fail' ? 'red' : 'yellow';
@@ -28,6 +56,10 @@ function logTest(name, status, details = '') {
 async function testEndpoint(name, testFn) {
   try {
     const result = await testFn();
+    if (result.skipped) {
+      logTest(name, 'skip', result.details);
+      return null;
+    }
     if (result.success) {
       logTest(name, 'pass', result.details);
       return result.data;
@@ -172,6 +204,472 @@ async function runTests() {
     }
   });
 
+  // Test 7: Concurrent Bookings for the Same Slot (only one wins)
+  await testEndpoint('Concurrent Bookings for Same Slot (only one succeeds)', async () => {
+    if (!TEST_AUTH_TOKEN || !TEST_ROOM_ID) {
+      return { skipped: true, details: 'Set TEST_AUTH_TOKEN and TEST_ROOM_ID to run' };
+    }
+
+    // A weekday well inside the advance booking horizon (MAX_ADVANCE_BOOKING_DAYS, 90 by default)
+    const date = new Date();
+    date.setDate(date.getDate() + 30);
+    while (date.getDay() === 0 || date.getDay() === 6) {
+      date.setDate(date.getDate() + 1);
+    }
+    const payload = {
+      roomId: TEST_ROOM_ID,
+      date: date.toISOString().split('T')[0],
+      // Early, within the seeded opening hours (07:00-20:00 on weekdays)
+      startTime: '07:00',
+      endTime: '08:00'
+    };
+    const headers = { Authorization: `Bearer ${TEST_AUTH_TOKEN}` };
+
+    const results = await Promise.allSettled(
+      Array.from({ length: CONCURRENT_REQUESTS }, () =>
+        axios.post(`${BASE_URL}/bookings`, payload, { headers, timeout: TEST_TIMEOUT })
+      )
+    );
+
+    if (results.every(r => r.status === 'rejected' && r.reason.code === 'ECONNREFUSED')) {
+      return { success: false, details: 'Service not running' };
+    }
+
+    const created = results.filter(r => r.status === 'fulfilled' && r.value.status === 201);
+    // Losers must be refused as conflicts, not for any other reason (e.g. a quota)
+    const rejected = results.filter(r => r.status === 'rejected' && r.reason.response?.status === 400 &&
+      r.reason.response.data.error === 'Room is already booked for this time slot');
+
+    // Release the slot so the test can be re-run
+    await Promise.all(created.map(r =>
+      axios.delete(`${BASE_URL}/bookings/${r.value.data.data.booking._id}`, { headers, timeout: TEST_TIMEOUT })
+    ));
+
+    return {
+      success: created.length === 1 && rejected.length === CONCURRENT_REQUESTS - 1,
+      details: `${created.length} created, ${rejected.length} rejected of ${CONCURRENT_REQUESTS}`
+    };
+  });
+
+  // Helper checks (no running service needed)
+
+  // Test 8: Recurrence expansion
+  await testEndpoint('Recurrence Expansion', async () => {
+    const weekly = expandRecurrence('2026-01-05', { frequency: 'weekly', count: 3 });
+    const monthly = expandRecurrence('2026-01-31', { frequency: 'monthly', count: 3 });
+    const daily = expandRecurrence('2026-01-01', { frequency: 'daily', interval: 2, until: '2026-01-06' });
+    const capped = exceedsMaxOccurrences('2026-01-05', { frequency: 'weekly', until: '2027-12-31' });
+    const counted = exceedsMaxOccurrences('2026-01-05', { frequency: 'weekly', count: 10, until: '2027-12-31' });
+
+    return {
+      success: sameValue(weekly, ['2026-01-05', '2026-01-12', '2026-01-19']) &&
+        // Months without the 31st are skipped
+        sameValue(monthly, ['2026-01-31', '2026-03-31', '2026-05-31']) &&
+        sameValue(daily, ['2026-01-01', '2026-01-03', '2026-01-05']) &&
+        capped && !counted,
+      details: `weekly ${weekly.join(', ')}; monthly ${monthly.join(', ')}`
+    };
+  });
+
+  // Test 9: Pricing rule pipeline
+  await testEndpoint('Pricing Rules Applied in Order', async () => {
+    const rules = [
+      { name: 'Weekday', type: 'weekday', multiplier: 0.8 },
+      { name: 'Weekend', type: 'weekend', multiplier: 1.5 },
+      { name: 'Large rooms', type: 'capacity', minCapacity: 10, multiplier: 1.2 },
+      { name: 'Early bird', type: 'lead_time', minDaysAhead: 7, multiplier: 0.9 },
+      { name: 'Temperature adjustment', type: 'temperature', comfortableTemperature: 21, adjustmentFactor: 0.05 }
+    ];
+    // A Saturday 19 days ahead in a 12-person room, 3°C below comfortable
+    const { adjustedPrice, rules: applied } = applyPricingRules(100, rules, {
+      date: '2026-11-07',
+      startTime: '10:00',
+      timezone: 'UTC',
+      capacity: 12,
+      temperature: 18,
+      now: new Date('2026-10-19T00:00:00Z')
+    });
+    const amounts = applied.map(rule => [rule.name, rule.amount]);
+
+    return {
+      success: adjustedPrice === 186.3 &&
+        sameValue(amounts, [['Weekend', 50], ['Large rooms', 30], ['Early bird', -18], ['Temperature adjustment', 24.3]]),
+      details: `100 -> ${adjustedPrice} via ${applied.map(rule => rule.name).join(', ')}`
+    };
+  });
+
+  // Test 10: Promo code discounts and restrictions
+  await testEndpoint('Promo Code Discounts and Restrictions', async () => {
+    const percentage = applyDiscount({ adjustedPrice: 200 }, { code: 'WINTER15', type: 'percentage', value: 15 });
+    // Fixed discounts never exceed the price
+    const fixed = applyDiscount({ adjustedPrice: 40 }, { code: 'FIFTY', type: 'fixed', value: 50 });
+
+    const room = { _id: 'room-1', locationId: { _id: 'location-1', currency: 'GBP' } };
+    const corporate = { roomIds: [], locationIds: [], emailDomains: ['acme.com'], discountType: 'percentage' };
+    const dollars = { roomIds: [], locationIds: [], emailDomains: [], discountType: 'fixed', currency: 'USD' };
+    const otherRoom = { roomIds: ['room-2'], locationIds: [], emailDomains: [], discountType: 'percentage' };
+
+    const errors = [
+      restrictionError(corporate, { user: { email: 'jane@ACME.com' }, room }),
+      restrictionError(corporate, { user: { email: 'jane@example.org' }, room }),
+      restrictionError(dollars, { user: { email: 'jane@acme.com' }, room }),
+      restrictionError(otherRoom, { user: { email: 'jane@acme.com' }, room })
+    ];
+
+    return {
+      success: percentage.discount.amount === 30 && percentage.finalPrice === 170 &&
+        fixed.discount.amount === 40 && fixed.finalPrice === 0 &&
+        sameValue(errors, [
+          null,
+          'Promo code is not valid for your account',
+          'Promo code is not valid for prices in GBP',
+          'Promo code is not valid for this room'
+        ]),
+      details: `15% of 200 = ${percentage.discount.amount}; 50 off 40 = ${fixed.discount.amount}`
+    };
+  });
+
+  // Test 11: Cancellation fee tiers
+  await testEndpoint('Cancellation Fee Tiers', async () => {
+    const policy = {
+      tiers: [{ withinHours: 24, feePercent: 100 }, { withinHours: 72, feePercent: 50 }],
+      sameDayFeePercent: 75
+    };
+    const percents = [
+      feePercentFor(policy, 100, false),
+      feePercentFor(policy, 48, false),
+      feePercentFor(policy, 12, false),
+      // Same-day cancellations pay at least the same-day fee
+      feePercentFor(policy, 30, true)
+    ];
+
+    // Nothing was paid, so no policy is looked up and nothing is charged
+    const unpaid = await calculateCancellation(
+      { status: 'pending_payment', paymentStatus: 'unpaid', adjustedPrice: 250, bookingDate: '2026-11-02', startTime: '09:00', timezone: 'UTC' },
+      { cancelledBy: 'user', now: new Date('2026-11-02T08:00:00Z') }
+    );
+
+    return {
+      success: sameValue(percents, [0, 50, 100, 75]) &&
+        unpaid.fee === 0 && unpaid.refundAmount === 0 && unpaid.hoursBeforeStart === 1,
+      details: `fees at 100h/48h/12h/same day: ${percents.join('%, ')}%`
+    };
+  });
+
+  // Test 12: Payment state and price changes
+  await testEndpoint('Payment State and Price Changes', async () => {
+    const now = new Date('2026-10-19T09:00:00Z');
+    const unpaid = initialPaymentFields(250, now);
+    const free = initialPaymentFields(0, now);
+
+    const paid = { status: 'confirmed', paymentStatus: 'paid', currency: 'GBP', adjustedPrice: 250, amountPaid: 230 };
+    const awaiting = { status: 'pending_payment', paymentStatus: 'unpaid', currency: 'GBP', adjustedPrice: 250 };
+    // Confirmed before online payments: counts as paid at its price
+    const legacy = { status: 'confirmed', adjustedPrice: 100, finalPrice: 90 };
+
+    const moves = [
+      priceChangeAmounts(paid, 280, 'GBP'),
+      priceChangeAmounts(paid, 200, 'GBP'),
+      priceChangeAmounts(paid, 300, 'EUR'),
+      priceChangeAmounts({ status: 'confirmed', paymentStatus: 'not_required', adjustedPrice: 0 }, 50, 'GBP')
+    ];
+
+    return {
+      success: unpaid.status === 'pending_payment' && unpaid.paymentStatus === 'unpaid' &&
+        unpaid.paymentDueAt > now && free.status === 'confirmed' && free.paymentStatus === 'not_required' &&
+        paidAmount(paid) === 230 && paidAmount(awaiting) === 0 && paidAmount(legacy) === 90 &&
+        sameValue(moves, [
+          { charge: 50, refund: 0 },
+          { charge: 0, refund: 30 },
+          // A new currency refunds everything and charges in full
+          { charge: 300, refund: 230 },
+          { charge: 50, refund: 0 }
+        ]),
+      details: `moves: ${moves.map(move => `+${move.charge}/-${move.refund}`).join(', ')}`
+    };
+  });
+
+  // Test 13: Invoice lines and tax
+  await testEndpoint('Invoice Lines and Tax', async () => {
+    const booking = {
+      _id: 'booking-1',
+      bookingReference: 'BK1',
+      status: 'confirmed',
+      paymentStatus: 'paid',
+      roomName: 'Room A',
+      locationName: 'London Office',
+      bookingDate: '2026-11-07',
+      startTime: '09:00',
+      endTime: '11:00',
+      basePrice: 50,
+      durationHours: 2,
+      deviation: 3,
+      pricingRules: [
+        { name: 'Weekend surcharge', type: 'weekend', multiplier: 1.2, amount: 20 },
+        { name: 'Temperature adjustment', type: 'temperature', multiplier: 1.15, amount: 18 }
+      ],
+      adjustedPrice: 138,
+      discount: { code: 'TEN', amount: 13.8 },
+      finalPrice: 124.2
+    };
+    const lines = bookingLines(booking);
+    const totals = invoiceTotals(lines.map(line => ({ ...line, taxName: 'VAT', taxRate: 20, taxCountry: 'UK' })));
+
+    // Older bookings without stored rules get a single adjustment line
+    const legacy = bookingLines({ ...booking, pricingRules: undefined, discount: undefined });
+    const cancelled = bookingLines({ ...booking, status: 'cancelled', cancellation: { fee: 62.1, feePercent: 50 } });
+
+    return {
+      success: sameValue(lines.map(line => [line.description.split(':')[0], line.amount]), [
+        ['Room hire', 100],
+        ['Weekend surcharge (×1.2)', 20],
+        ['Temperature adjustment (3°C temperature deviation)', 18],
+        ['Discount (TEN)', -13.8]
+      ]) &&
+        totals.total === 124.2 && totals.taxTotal === 20.7 && totals.netTotal === 103.5 &&
+        sameValue(legacy.map(line => line.amount), [100, 38]) &&
+        sameValue(cancelled.map(line => line.amount), [62.1]),
+      details: `total ${totals.total}, tax ${totals.taxTotal}`
+    };
+  });
+
+  // Test 14: Currencies and display prices
+  await testEndpoint('Currency Conversion and Display Prices', async () => {
+    // Units per BASE_CURRENCY
+    const rates = new Map([['USD', 1], ['GBP', 0.8], ['JPY', 150]]);
+    const booking = {
+      currency: 'GBP',
+      basePrice: 40,
+      adjustedPrice: 100,
+      finalPrice: 90,
+      toJSON() { return { currency: this.currency, finalPrice: this.finalPrice }; }
+    };
+    const display = withDisplayPrices(booking, { currency: 'JPY', rates });
+    const unconverted = withDisplayPrices(booking, { currency: null, rates });
+    const unknown = withDisplayPrices({ ...booking, currency: 'CHF' }, { currency: 'JPY', rates });
+
+    return {
+      success: convertAmount(100, 'GBP', 'USD', rates) === 125 &&
+        convertAmount(100, 'GBP', 'CHF', rates) === null &&
+        roomCurrency({ locationId: { currency: 'JPY' } }) === 'JPY' &&
+        roomCurrency({ locationId: {} }) === BASE_CURRENCY &&
+        display.finalPrice === 90 && display.displayPrice.finalPrice === 16875 &&
+        display.displayPrice.exchangeRate === 187.5 &&
+        unconverted.displayPrice === undefined && unknown.displayPrice === null,
+      details: `GBP 90 shown as JPY ${display.displayPrice.finalPrice}`
+    };
+  });
+
+  // Test 15: Calendar feed tokens and iCalendar events
+  await testEndpoint('Calendar Feed Tokens and Events', async () => {
+    const userId = '64b000000000000000000001';
+    const original = signCalendarToken('user', userId);
+    const regenerated = signCalendarToken('user', userId, 1);
+    const event = bookingEvent({
+      _id: 'b1',
+      bookingReference: 'BK-1',
+      roomName: 'Board Room',
+      locationName: 'Amsterdam, Centre',
+      bookingDate: '2026-10-19',
+      startTime: '09:00',
+      endTime: '10:30',
+      timezone: 'Europe/Amsterdam',
+      status: 'cancelled'
+    });
+    const calendar = renderCalendar([event], { name: 'My bookings' });
+
+    return {
+      success: verifyCalendarToken('user', userId, original) &&
+        !verifyCalendarToken('user', userId, original, 1) &&
+        verifyCalendarToken('user', userId, regenerated, 1) &&
+        !verifyCalendarToken('room', userId, original) &&
+        !verifyCalendarToken('user', userId, undefined) &&
+        event.includes('DTSTART:20261019T070000Z') && event.includes('DTEND:20261019T083000Z') &&
+        event.includes('SUMMARY:Cancelled: Board Room (Amsterdam\\, Centre)') &&
+        event.includes('STATUS:CANCELLED') &&
+        calendar.startsWith('BEGIN:VCALENDAR\r\n') && calendar.endsWith('END:VCALENDAR\r\n'),
+      details: 'regenerated token revokes the previous one'
+    };
+  });
+
+  // Test 16: Occupancy capacity from opening hours
+  await testEndpoint('Occupancy Capacity from Opening Hours', async () => {
+    // Open Mondays only, with a lunch break
+    const location = {
+      openingHours: [
+        { day: 'monday', open: '09:00', close: '12:00' },
+        { day: 'monday', open: '13:00', close: '17:30' }
+      ]
+    };
+    const periods = listPeriods('2026-10-21', '2026-11-02', 'week');
+    const hours = periods.map(({ dates }) => bookableHours(location, dates));
+
+    return {
+      success: sameValue(periods.map(({ period, dates }) => [period, dates.length]),
+        [['2026-10-19', 5], ['2026-10-26', 7], ['2026-11-02', 1]]) &&
+        sameValue(hours, [0, 7.5, 7.5]) &&
+        bookableHours({}, periods[0].dates) === 5 * OCCUPANCY_HOURS_PER_DAY &&
+        bookableHours(undefined, periods[2].dates) === OCCUPANCY_HOURS_PER_DAY,
+      details: `weekly bookable hours ${hours.join(', ')}`
+    };
+  });
+
+  // Test 17: Guest bookings are not the booking admin's own
+  await testEndpoint('Guest Bookings Left Out of User Bookings', async () => {
+    const userId = '64b000000000000000000001';
+    const filter = findUserBookings(userId, { status: 'confirmed' }).getFilter();
+
+    return {
+      success: sameValue(filter, { userId, isGuest: { $ne: true }, status: 'confirmed' }),
+      details: JSON.stringify(filter)
+    };
+  });
+
+  // Test 18: Audit snapshots and field changes
+  await testEndpoint('Audit Snapshots and Changes', async () => {
+    const booking = new Booking({
+      roomId: '64b000000000000000000002',
+      bookingDate: '2026-10-19',
+      startTime: '09:00',
+      endTime: '10:00',
+      status: 'confirmed'
+    });
+    const before = snapshotBooking(booking);
+    booking.status = 'no_show';
+    const changes = diffSnapshots(before, snapshotBooking(booking));
+    const created = diffSnapshots({}, snapshotBooking(booking));
+
+    return {
+      success: sameValue(changes, [{ field: 'status', from: 'confirmed', to: 'no_show' }]) &&
+        before.roomId === '64b000000000000000000002' && before.cancellation === null &&
+        created.some(change => change.field === 'bookingDate' && change.from === null && change.to === '2026-10-19'),
+      details: changes.map(change => `${change.field}: ${change.from} -> ${change.to}`).join(', ')
+    };
+  });
+
+  // Test 19: Idempotency keys
+  await testEndpoint('Idempotency Request Matching and Key Checks', async () => {
+    const request = (body) => ({ method: 'POST', originalUrl: '/bookings', body });
+    const same = hashRequest(request({ roomId: 'r1', slot: { startTime: '09:00', endTime: '10:00' } })) ===
+      hashRequest(request({ slot: { endTime: '10:00', startTime: '09:00' }, roomId: 'r1' }));
+    const different = hashRequest(request({ roomId: 'r1' })) !== hashRequest(request({ roomId: 'r2' }));
+
+    // Middleware with a stubbed request and response: no header passes through, a blank key is rejected
+    const run = (key) => new Promise((resolve) => {
+      const res = {
+        status: (code) => ({ json: (body) => resolve({ code, body }) })
+      };
+      idempotent({ get: () => key }, res, () => resolve({ next: true }));
+    });
+    const withoutKey = await run(undefined);
+    const blankKey = await run('  ');
+    const longKey = await run('k'.repeat(256));
+
+    return {
+      success: same && different && withoutKey.next === true &&
+        blankKey.code === 400 && longKey.code === 400,
+      details: 'key order ignored; blank and over-long keys rejected'
+    };
+  });
+
+  // Test 20: Quota periods and exemptions
+  await testEndpoint('Quota Week, Horizon and Exemptions', async () => {
+    // Weekly quotas count Monday to Sunday, across month and year ends
+    const weeks = [
+      ['2026-10-19', '2026-10-19', '2026-10-25'],
+      ['2026-10-25', '2026-10-19', '2026-10-25'],
+      ['2027-01-01', '2026-12-28', '2027-01-03']
+    ];
+    const wrongWeek = weeks.find(([date, monday, sunday]) =>
+      weekStart(date) !== monday || addDays(weekStart(date), 6) !== sunday);
+
+    const horizonDate = new Date(Date.UTC(2027, 11, 15 + QUOTAS.maxAdvanceDays)).toISOString().split('T')[0];
+    const horizon = bookingHorizon('2027-12-15');
+    const expectedHorizon = QUOTAS.maxAdvanceDays > 0 ? horizonDate : null;
+
+    // The horizon is checked before anything is counted
+    const tooFar = QUOTAS.maxAdvanceDays > 0
+      ? await checkBookingQuotas({ userId: '64b000000000000000000001', dates: ['2099-01-01'], timezone: 'UTC' })
+      : { status: 422 };
+
+    const room = { locationId: { _id: '64b000000000000000000003', timezone: 'Europe/London' } };
+    const userQuota = quotaFor({ user: { role: 'user' } }, '64b000000000000000000001', room);
+    const adminQuota = quotaFor({ user: { role: 'admin' } }, '64b000000000000000000001', room);
+
+    return {
+      success: !wrongWeek && horizon === expectedHorizon && addDays('2028-02-28', 1) === '2028-02-29' &&
+        tooFar.status === 422 && adminQuota === null &&
+        sameValue(userQuota, { userId: '64b000000000000000000001', locationId: '64b000000000000000000003', timezone: 'Europe/London' }),
+      details: wrongWeek ? `Wrong week for ${wrongWeek[0]}` : `horizon from 2027-12-15: ${horizon}`
+    };
+  });
+
+  // Test 21: Blackouts and opening hours close slots
+  await testEndpoint('Closed Slots from Blackouts and Opening Hours', async () => {
+    const blackouts = [
+      { _id: 'b1', type: 'holiday', reason: 'Christmas', startDate: '2026-12-24', endDate: '2026-12-26' }
+    ];
+    const location = { openingHours: [{ day: 'monday', open: '09:00', close: '17:00' }] };
+
+    const holiday = closedSlotError(blackouts, location, '2026-12-25', '09:00', '10:00');
+    const sunday = closedSlotError(blackouts, location, '2026-12-27', '09:00', '10:00');
+    const monday = closedSlotError(blackouts, location, '2026-12-28', '09:00', '10:00');
+
+    return {
+      success: holiday?.error === 'Room is closed on this date: Christmas' &&
+        holiday.blackout.scope === 'location' && holiday.blackout.endDate === '2026-12-26' &&
+        sunday?.error === 'Location is closed on sunday' && monday === null &&
+        findBlackout(blackouts, '2026-12-24') === blackouts[0] && findBlackout(blackouts, '2026-12-27') === null,
+      details: `${holiday?.error}; ${sunday?.error}`
+    };
+  });
+
+  // Test 22: Wall-clock times across daylight saving changes
+  await testEndpoint('Location Times Across DST', async () => {
+    const cases = [
+      // Amsterdam moves from UTC+1 to UTC+2 on 29 March 2026
+      ['2026-03-28', '03:30', 'Europe/Amsterdam', '2026-03-28T02:30:00.000Z'],
+      ['2026-03-29', '03:30', 'Europe/Amsterdam', '2026-03-29T01:30:00.000Z'],
+      // ...and back on 25 October 2026
+      ['2026-10-25', '01:30', 'Europe/Amsterdam', '2026-10-24T23:30:00.000Z'],
+      ['2026-10-25', '04:00', 'Europe/Amsterdam', '2026-10-25T03:00:00.000Z'],
+      ['2026-11-01', '12:00', 'America/New_York', '2026-11-01T17:00:00.000Z']
+    ];
+    const wrong = cases.filter(([date, time, timezone, expected]) =>
+      toDateTime(date, time, timezone).toISOString() !== expected);
+
+    return {
+      success: wrong.length === 0 &&
+        hasStarted('2020-01-01', '09:00', 'Australia/Sydney') && !hasStarted('2999-01-01', '09:00', 'Australia/Sydney'),
+      details: wrong.length === 0
+        ? `${cases.length} conversions`
+        : `Wrong: ${wrong.map(([date, time, timezone]) => `${date} ${time} ${timezone}`).join(', ')}`
+    };
+  });
+
+  // Test 23: Opening hours
+  await testEndpoint('Opening Hours Check', async () => {
+    const location = {
+      openingHours: [
+        { day: 'monday', open: '13:00', close: '17:00' },
+        { day: 'monday', open: '09:00', close: '12:00' }
+      ]
+    };
+    // 2026-10-19 is a Monday
+    const inside = openingHoursError(location, '2026-10-19', '09:00', '12:00');
+    const acrossLunch = openingHoursError(location, '2026-10-19', '11:00', '14:00');
+    const closed = openingHoursError(location, '2026-10-18', '09:00', '10:00');
+    const alwaysOpen = openingHoursError({}, '2026-10-18', '00:00', '24:00');
+
+    return {
+      success: inside === null && alwaysOpen === null &&
+        acrossLunch?.error === 'Booking is outside opening hours. Open on monday: 09:00-12:00, 13:00-17:00' &&
+        closed?.error === 'Location is closed on sunday' &&
+        sameValue(closed.openingHours, []),
+      details: acrossLunch?.error || 'No error for a slot across lunch'
+    };
+  });
+
   // Summary
   console.log('\n' + '='.repeat(60).cyan);
   console.log('📊 Test Summary'.cyan.bold);
@@ -1,3 +1,10 @@
+/**
+ * Format an amount in the booking's currency, e.g. $287.50, £287.50, ¥288
+ */
+const formatAmount = (amount, currency = 'USD') => {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+};
+
 /**
  * POST /notify
  * Send notification (currently logs to console)
@@ -27,10 +34,15 @@ exports.sendNotification = async (req, res) => {
       console.log(`  - Room: ${booking.roomName}`);
       console.log(`  - Location: ${booking.locationName}`);
       console.log(`  - Date: ${booking.date}`);
-      console.log(`  - Base Price: $${booking.basePrice}`);
+      console.log(`  - Time: ${booking.startTime} - ${booking.endTime}`);
+      console.log(`  - Base Price: ${formatAmount(booking.basePrice, booking.currency)}/hour`);
       console.log(`  - Temperature: ${booking.temperature}°C`);
       console.log(`  - Price Adjustment: ${booking.deviation}°C deviation`);
-      console.log(`  - Final Price: $${booking.adjustedPrice}`);
+      if (booking.discountAmount) {
+        console.log(`  - Adjusted Price: ${formatAmount(booking.adjustedPrice, booking.currency)}`);
+        console.log(`  - Discount (${booking.promoCode}): -${formatAmount(booking.discountAmount, booking.currency)}`);
+      }
+      console.log(`  - Final Price: ${formatAmount(booking.finalPrice ?? booking.adjustedPrice, booking.currency)}`);
       console.log(`  - Booking ID: ${booking.bookingId}`);
       console.log(`\nThank you for choosing our conference rooms!`);
     } else if (type === 'booking_cancellation') {
@@ -42,7 +54,84 @@ exports.sendNotification = async (req, res) => {
       console.log(`  - Room: ${booking.roomName}`);
       console.log(`  - Location: ${booking.locationName}`);
       console.log(`  - Date: ${booking.date}`);
+      console.log(`  - Time: ${booking.startTime} - ${booking.endTime}`);
       console.log(`  - Booking ID: ${booking.bookingId}`);
+      if (booking.refundAmount !== undefined) {
+        console.log(`\nCancellation Charges:`);
+        console.log(`  - Amount Paid: ${formatAmount(booking.amountPaid, booking.currency)}`);
+        console.log(`  - Cancellation Fee: ${formatAmount(booking.cancellationFee, booking.currency)}${booking.policyName ? ` (${booking.policyName})` : ''}`);
+        console.log(`  - Refund: ${formatAmount(booking.refundAmount, booking.currency)}`);
+      }
+      console.log(`\nIf you have any questions, please contact support.`);
+    } else if (type === 'booking_updated') {
+      const previous = booking.previous || {};
+      console.log(`To: ${booking.userEmail}`);
+      console.log(`Subject: Booking Updated - ${booking.roomName}`);
+      console.log(`\nDear ${booking.userName},`);
+      console.log(`\nYour booking has been updated.`);
+      console.log(`\nPrevious Details:`);
+      console.log(`  - Room: ${previous.roomName}`);
+      console.log(`  - Date: ${previous.date}`);
+      console.log(`  - Time: ${previous.startTime} - ${previous.endTime}`);
+      console.log(`  - Price: ${formatAmount(previous.finalPrice ?? previous.adjustedPrice, booking.currency)}`);
+      console.log(`\nNew Details:`);
+      console.log(`  - Room: ${booking.roomName}`);
+      console.log(`  - Location: ${booking.locationName}`);
+      console.log(`  - Date: ${booking.date}`);
+      console.log(`  - Time: ${booking.startTime} - ${booking.endTime}`);
+      console.log(`  - Temperature: ${booking.temperature}°C`);
+      console.log(`  - Final Price: ${formatAmount(booking.finalPrice ?? booking.adjustedPrice, booking.currency)}`);
+      console.log(`  - Price Difference: ${booking.priceDifference >= 0 ? '+' : '-'}${formatAmount(Math.abs(booking.priceDifference), booking.currency)}`);
+      console.log(`  - Booking Reference: ${booking.bookingReference}`);
+      console.log(`\nThank you for choosing our conference rooms!`);
+    } else if (type === 'waitlist_offer') {
+      console.log(`To: ${booking.userEmail}`);
+      console.log(`Subject: A room you waitlisted is available - ${booking.roomName}`);
+      console.log(`\nDear ${booking.userName},`);
+      console.log(`\nGood news! The time slot you were waiting for has opened up.`);
+      console.log(`We have reserved it for you as a tentative booking.`);
+      console.log(`\nBooking Details:`);
+      console.log(`  - Room: ${booking.roomName}`);
+      console.log(`  - Location: ${booking.locationName}`);
+      console.log(`  - Date: ${booking.date}`);
+      console.log(`  - Time: ${booking.startTime} - ${booking.endTime}`);
+      console.log(`  - Price: ${formatAmount(booking.adjustedPrice, booking.currency)}`);
+      console.log(`  - Booking ID: ${booking.bookingId}`);
+      console.log(`\nAccept before ${booking.offerExpiresAt} or the slot goes to the next person in line.`);
+    } else if (type === 'booking_series_confirmation') {
+      console.log(`To: ${booking.userEmail}`);
+      console.log(`Subject: Recurring Booking Confirmation - ${booking.roomName}`);
+      console.log(`\nDear ${booking.userName},`);
+      console.log(`\nYour recurring booking has been confirmed!`);
+      console.log(`\nSeries Details:`);
+      console.log(`  - Room: ${booking.roomName}`);
+      console.log(`  - Location: ${booking.locationName}`);
+      console.log(`  - Time: ${booking.startTime} - ${booking.endTime}`);
+      console.log(`  - Repeats: ${booking.recurrence?.frequency}`);
+      console.log(`  - Series ID: ${booking.seriesId}`);
+      console.log(`\nBooked Dates:`);
+      (booking.occurrences || []).forEach(occurrence => {
+        console.log(`  - ${occurrence.date}: ${formatAmount(occurrence.adjustedPrice, booking.currency)}`);
+      });
+      if (booking.conflicts && booking.conflicts.length > 0) {
+        console.log(`\nNot Booked (room unavailable): ${booking.conflicts.join(', ')}`);
+      }
+      console.log(`\nThank you for choosing our conference rooms!`);
+    } else if (type === 'booking_series_cancellation') {
+      console.log(`To: ${booking.userEmail}`);
+      console.log(`Subject: Recurring Booking Cancellation - ${booking.roomName}`);
+      console.log(`\nDear ${booking.userName},`);
+      console.log(`\nOccurrences of your recurring booking have been cancelled.`);
+      console.log(`\nCancelled Occurrences:`);
+      console.log(`  - Room: ${booking.roomName}`);
+      console.log(`  - Location: ${booking.locationName}`);
+      console.log(`  - Time: ${booking.startTime} - ${booking.endTime}`);
+      console.log(`  - Dates: ${(booking.dates || []).join(', ')}`);
+      console.log(`  - Series ID: ${booking.seriesId}`);
+      if (booking.totalRefund !== undefined) {
+        console.log(`  - Cancellation Fees: ${formatAmount(booking.totalFee, booking.currency)}`);
+        console.log(`  - Total Refund: ${formatAmount(booking.totalRefund, booking.currency)}`);
+      }
       console.log(`\nIf you have any questions, please contact support.`);
     } else {
       console.log(`Unknown notification type: ${type}`);
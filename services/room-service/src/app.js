@@ -3,6 +3,8 @@ const cors = require('cors');
 const morgan = require('morgan');
 const locationRoutes = require('./routes/locationRoutes');
 const roomRoutes = require('./routes/roomRoutes');
+const exchangeRateRoutes = require('./routes/exchangeRateRoutes');
+const blackoutRoutes = require('./routes/blackoutRoutes');
 const errorHandler = require('./middleware/errorHandler');
 const notFound = require('./middleware/notFound');
 
@@ -48,12 +50,28 @@ app.get('/', (req, res) => {
         delete: 'DELETE /locations/:id (admin)'
       },
       rooms: {
-        list: 'GET /rooms',
-        get: 'GET /rooms/:id',
-        byLocation: 'GET /rooms/location/:locationId',
+        list: 'GET /rooms?currency=EUR',
+        get: 'GET /rooms/:id?currency=EUR',
+        byLocation: 'GET /rooms/location/:locationId?currency=EUR',
+        schedule: 'GET /rooms/:id/schedule?date=YYYY-MM-DD&view=day|week&token= (room calendar token)',
+        calendar: 'GET /rooms/:id/calendar.ics?token= (room calendar token)',
+        calendarToken: 'GET /rooms/:id/calendar-token (admin)',
+        regenerateCalendarToken: 'POST /rooms/:id/calendar-token (admin)',
         create: 'POST /rooms (admin)',
         update: 'PUT /rooms/:id (admin)',
         delete: 'DELETE /rooms/:id (admin)'
+      },
+      exchangeRates: {
+        list: 'GET /exchange-rates',
+        set: 'PUT /exchange-rates/:currency (admin)',
+        delete: 'DELETE /exchange-rates/:currency (admin)'
+      },
+      blackouts: {
+        list: 'GET /blackouts?locationId=&roomId=&startDate=&endDate=',
+        get: 'GET /blackouts/:id',
+        create: 'POST /blackouts (admin)',
+        update: 'PUT /blackouts/:id (admin)',
+        delete: 'DELETE /blackouts/:id (admin)'
       }
     }
   });
@@ -62,6 +80,8 @@ app.get('/', (req, res) => {
 // Routes
 app.use('/', locationRoutes);
 app.use('/', roomRoutes);
+app.use('/', exchangeRateRoutes);
+app.use('/', blackoutRoutes);
 
 // Error handling
 app.use(notFound);
@@ -0,0 +1,278 @@
+const Blackout = require('../models/Blackout');
+const Location = require('../models/Location');
+const Room = require('../models/Room');
+const { validationResult } = require('express-validator');
+
+/**
+ * GET /blackouts?locationId=&roomId=&startDate=&endDate=
+ * List blackouts, soonest first
+ * With roomId, includes the blackouts of the room's whole location
+ * With a date range, only blackouts overlapping it
+ */
+exports.getBlackouts = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { locationId, roomId, startDate, endDate } = req.query;
+
+    const query = {};
+    if (roomId) {
+      const room = await Room.findById(roomId);
+
+      if (!room) {
+        return res.status(404).json({
+          success: false,
+          error: 'Room not found'
+        });
+      }
+
+      query.$or = [
+        { roomId: room._id },
+        { locationId: room.locationId, roomId: null }
+      ];
+    } else if (locationId) {
+      query.locationId = locationId;
+    }
+
+    if (startDate) query.endDate = { $gte: startDate };
+    if (endDate) query.startDate = { $lte: endDate };
+
+    const blackouts = await Blackout.find(query).sort({ startDate: 1, endDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: blackouts.length,
+      data: blackouts.map(blackout => blackout.toJSON())
+    });
+
+  } catch (error) {
+    console.error('Get blackouts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch blackouts',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /blackouts/:id
+ * Get single blackout by ID
+ */
+exports.getBlackoutById = async (req, res) => {
+  try {
+    const blackout = await Blackout.findById(req.params.id);
+
+    if (!blackout) {
+      return res.status(404).json({
+        success: false,
+        error: 'Blackout not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: blackout.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Get blackout error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid blackout ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch blackout',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /blackouts
+ * Close a location or a single room for a date range (Admin only)
+ * Existing bookings on those dates are not cancelled
+ */
+exports.createBlackout = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { roomId, startDate, endDate, type, reason } = req.body;
+    let { locationId } = req.body;
+
+    // Room blackouts belong to the room's location
+    if (roomId) {
+      const room = await Room.findById(roomId);
+
+      if (!room) {
+        return res.status(404).json({
+          success: false,
+          error: 'Room not found'
+        });
+      }
+
+      locationId = room.locationId;
+    } else {
+      const location = await Location.findById(locationId);
+
+      if (!location) {
+        return res.status(404).json({
+          success: false,
+          error: 'Location not found'
+        });
+      }
+    }
+
+    const blackout = new Blackout({
+      locationId,
+      roomId,
+      startDate,
+      endDate,
+      type,
+      reason,
+      createdBy: req.user.id
+    });
+
+    await blackout.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Blackout created successfully',
+      data: blackout.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Create blackout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create blackout',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * PUT /blackouts/:id
+ * Update a blackout's dates, type or reason (Admin only)
+ */
+exports.updateBlackout = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { startDate, endDate, type, reason } = req.body;
+
+    const blackout = await Blackout.findById(req.params.id);
+
+    if (!blackout) {
+      return res.status(404).json({
+        success: false,
+        error: 'Blackout not found'
+      });
+    }
+
+    // Update fields
+    if (startDate) blackout.startDate = startDate;
+    if (endDate) blackout.endDate = endDate;
+    if (type) blackout.type = type;
+    if (reason) blackout.reason = reason;
+
+    await blackout.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Blackout updated successfully',
+      data: blackout.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Update blackout error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid blackout ID format'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        messages: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update blackout',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /blackouts/:id
+ * Delete a blackout, reopening its dates for booking (Admin only)
+ */
+exports.deleteBlackout = async (req, res) => {
+  try {
+    const blackout = await Blackout.findByIdAndDelete(req.params.id);
+
+    if (!blackout) {
+      return res.status(404).json({
+        success: false,
+        error: 'Blackout not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Blackout deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete blackout error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid blackout ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete blackout',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,115 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { validationResult } = require('express-validator');
+const { BASE_CURRENCY } = require('../utils/currency');
+
+/**
+ * GET /exchange-rates
+ * Get all exchange rates against the base currency
+ */
+exports.getExchangeRates = async (req, res) => {
+  try {
+    const exchangeRates = await ExchangeRate.find().sort({ currency: 1 });
+
+    res.status(200).json({
+      success: true,
+      base: BASE_CURRENCY,
+      count: exchangeRates.length,
+      data: exchangeRates.map(exchangeRate => exchangeRate.toJSON())
+    });
+
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch exchange rates',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * PUT /exchange-rates/:currency
+ * Create or update the exchange rate for a currency (Admin only)
+ */
+exports.setExchangeRate = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const currency = req.params.currency.toUpperCase();
+
+    if (currency === BASE_CURRENCY) {
+      return res.status(400).json({
+        success: false,
+        error: `${BASE_CURRENCY} is the base currency; its rate is always 1`
+      });
+    }
+
+    const exchangeRate = await ExchangeRate.findOneAndUpdate(
+      { currency },
+      { $set: { rate: req.body.rate, updatedBy: req.user.id } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Exchange rate saved successfully',
+      base: BASE_CURRENCY,
+      data: exchangeRate.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Set exchange rate error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        messages: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save exchange rate',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /exchange-rates/:currency
+ * Remove the exchange rate for a currency (Admin only)
+ */
+exports.deleteExchangeRate = async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findOneAndDelete({ currency: req.params.currency.toUpperCase() });
+
+    if (!exchangeRate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Exchange rate not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Exchange rate deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete exchange rate',
+      message: error.message
+    });
+  }
+};
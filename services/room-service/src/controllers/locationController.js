@@ -115,7 +115,7 @@ exports.createLocation = async (req, res) => {
       });
     }
 
-    const { name, address, city, country, description } = req.body;
+    const { name, address, city, country, currency, timezone, openingHours, description } = req.body;
 
     // Check if location with same name and city exists
     const existingLocation = await Location.findOne({ 
@@ -136,6 +136,9 @@ exports.createLocation = async (req, res) => {
       address: address.trim(),
       city: city.trim(),
       country: country.trim(),
+      currency,
+      timezone,
+      openingHours,
       description: description ? description.trim() : undefined
     });
 
@@ -164,7 +167,7 @@ exports.createLocation = async (req, res) => {
 exports.updateLocation = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, address, city, country, description, isActive } = req.body;
+    const { name, address, city, country, currency, timezone, openingHours, description, isActive } = req.body;
 
     const location = await Location.findById(id);
 
@@ -180,6 +183,9 @@ exports.updateLocation = async (req, res) => {
     if (address) location.address = address.trim();
     if (city) location.city = city.trim();
     if (country) location.country = country.trim();
+    if (currency) location.currency = currency;
+    if (timezone) location.timezone = timezone.trim();
+    if (openingHours !== undefined) location.openingHours = openingHours;
     if (description !== undefined) location.description = description.trim();
     if (isActive !== undefined) location.isActive = isActive;
 
@@ -201,6 +207,14 @@ exports.updateLocation = async (req, res) => {
       });
     }
 
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        messages: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'Failed to update location',
@@ -0,0 +1,293 @@
+const Room = require('../models/Room');
+const { validationResult } = require('express-validator');
+const { getRoomSchedule } = require('../services/bookingService');
+const { calendarFeedsEnabled, signCalendarToken, verifyCalendarToken } = require('../utils/calendarTokens');
+const { toLocalDateString, addDays, weekStart } = require('../utils/dates');
+
+// Public base URL displays and calendar apps reach this service through (the API Gateway)
+const CALENDAR_FEED_BASE_URL = (process.env.CALENDAR_FEED_BASE_URL || 'http://localhost:8000').replace(/\/$/, '');
+// Days of past and future bookings published in a room's calendar feed
+const CALENDAR_PAST_DAYS = 30;
+const CALENDAR_FUTURE_DAYS = 180;
+
+/**
+ * Today's date as YYYY-MM-DD at a room's location
+ * Bookings are dated in the location's time zone
+ */
+const today = (room) => toLocalDateString(new Date(), room.locationId?.timezone);
+
+/**
+ * Dates shown by a day view, or by a week view (Monday to Sunday) containing the date
+ */
+const scheduleDates = (date, view) => {
+  if (view !== 'week') {
+    return [date];
+  }
+
+  const monday = weekStart(date);
+  return [0, 1, 2, 3, 4, 5, 6].map(offset => addDays(monday, offset));
+};
+
+/**
+ * Respond 503 unless calendar feeds are configured
+ * Returns true when a response was sent
+ */
+const rejectDisabled = (res) => {
+  if (!calendarFeedsEnabled()) {
+    res.status(503).json({
+      success: false,
+      error: 'Calendar feeds are not configured'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Respond 404/401 unless the room exists and the request carries its current calendar token
+ * Returns true when a response was sent
+ */
+const rejectToken = (req, res, room) => {
+  if (!room) {
+    res.status(404).json({
+      success: false,
+      error: 'Room not found'
+    });
+    return true;
+  }
+
+  if (!verifyCalendarToken('room', room._id.toString(), req.query.token, room.calendarTokenVersion)) {
+    res.status(401).json({
+      success: false,
+      error: 'Invalid calendar token'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Respond with the display and calendar URLs of a room for its current token version
+ */
+const sendCalendarUrls = (res, room) => {
+  const token = signCalendarToken('room', room._id.toString(), room.calendarTokenVersion);
+  const roomUrl = `${CALENDAR_FEED_BASE_URL}/rooms/${room._id}`;
+
+  return res.status(200).json({
+    success: true,
+    data: {
+      token,
+      scheduleUrl: `${roomUrl}/schedule?view=day&token=${token}`,
+      calendarUrl: `${roomUrl}/calendar.ics?token=${token}`
+    }
+  });
+};
+
+/**
+ * GET /rooms/:id/calendar-token
+ * Get the read-only display and calendar URLs for a room (Admin only)
+ */
+exports.getRoomCalendarToken = async (req, res) => {
+  try {
+    if (rejectDisabled(res)) {
+      return;
+    }
+
+    const room = await Room.findById(req.params.id);
+
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        error: 'Room not found'
+      });
+    }
+
+    sendCalendarUrls(res, room);
+
+  } catch (error) {
+    console.error('Get room calendar token error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid room ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create calendar token',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /rooms/:id/calendar-token
+ * Issue new display and calendar URLs for a room, revoking the previous ones (Admin only)
+ */
+exports.regenerateRoomCalendarToken = async (req, res) => {
+  try {
+    if (rejectDisabled(res)) {
+      return;
+    }
+
+    const room = await Room.findByIdAndUpdate(
+      req.params.id,
+      { $inc: { calendarTokenVersion: 1 } },
+      { new: true }
+    );
+
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        error: 'Room not found'
+      });
+    }
+
+    sendCalendarUrls(res, room);
+
+  } catch (error) {
+    console.error('Regenerate room calendar token error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid room ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to regenerate calendar token',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /rooms/:id/schedule?date=YYYY-MM-DD&view=day|week&token=
+ * Room's bookings for a day or week, for door-side displays (authenticated by the room's calendar token)
+ */
+exports.getRoomSchedule = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (rejectDisabled(res)) {
+      return;
+    }
+
+    const room = await Room.findById(req.params.id).populate('locationId', 'name address city country timezone');
+
+    if (rejectToken(req, res, room)) {
+      return;
+    }
+
+    const { view = 'day', date = today(room) } = req.query;
+
+    const dates = scheduleDates(date, view);
+    const bookings = await getRoomSchedule(room._id, {
+      startDate: dates[0],
+      endDate: dates[dates.length - 1],
+      token: req.query.token
+    });
+
+    res.status(200).json({
+      success: true,
+      room: {
+        id: room._id,
+        name: room.name,
+        capacity: room.capacity,
+        floor: room.floor,
+        location: {
+          id: room.locationId._id,
+          name: room.locationId.name,
+          address: room.locationId.address,
+          city: room.locationId.city,
+          country: room.locationId.country,
+          timezone: room.locationId.timezone
+        }
+      },
+      view,
+      dateRange: {
+        start: dates[0],
+        end: dates[dates.length - 1]
+      },
+      days: dates.map(day => ({
+        date: day,
+        bookings: bookings.filter(booking => booking.bookingDate === day)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get room schedule error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid room ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch room schedule',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /rooms/:id/calendar.ics?token=
+ * Subscribable iCalendar feed of a room's bookings (authenticated by the room's calendar token)
+ */
+exports.getRoomCalendar = async (req, res) => {
+  try {
+    if (rejectDisabled(res)) {
+      return;
+    }
+
+    const room = await Room.findById(req.params.id).populate('locationId', 'timezone');
+
+    if (rejectToken(req, res, room)) {
+      return;
+    }
+
+    const calendar = await getRoomSchedule(room._id, {
+      startDate: addDays(today(room), -CALENDAR_PAST_DAYS),
+      endDate: addDays(today(room), CALENDAR_FUTURE_DAYS),
+      token: req.query.token,
+      format: 'ics'
+    });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="room-${room._id}.ics"`);
+    res.status(200).send(calendar);
+
+  } catch (error) {
+    console.error('Get room calendar error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid room ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate room calendar',
+      message: error.message
+    });
+  }
+};
@@ -1,6 +1,7 @@
 const Room = require('../models/Room');
 const Location = require('../models/Location');
 const { validationResult } = require('express-validator');
+const { getDisplayCurrency, withDisplayPrice } = require('../utils/currency');
 
 /**
  * GET /rooms
@@ -10,6 +11,15 @@ exports.getAllRooms = async (req, res) => {
   try {
     const { locationId, minCapacity, maxCapacity, minPrice, maxPrice, active } = req.query;
 
+    // Convert displayed prices on request (?currency=EUR)
+    const display = await getDisplayCurrency(req.query.currency);
+    if (display.error) {
+      return res.status(400).json({
+        success: false,
+        error: display.error
+      });
+    }
+
     // Build query
     const query = {};
     if (locationId) query.locationId = locationId;
@@ -20,13 +30,13 @@ exports.getAllRooms = async (req, res) => {
     if (active !== undefined) query.isActive = active === 'true';
 
     const rooms = await Room.find(query)
-      .populate('locationId', 'name city country')
+      .populate('locationId', 'name city country currency timezone openingHours')
       .sort({ name: 1 });
 
     res.status(200).json({
       success: true,
       count: rooms.length,
-      data: rooms.map(room => room.toJSON())
+      data: rooms.map(room => withDisplayPrice(room, room.locationId?.currency, display))
     });
 
   } catch (error) {
@@ -47,6 +57,15 @@ exports.getRoomById = async (req, res) => {
   try {
     const { id } = req.params;
 
+    // Convert displayed prices on request (?currency=EUR)
+    const display = await getDisplayCurrency(req.query.currency);
+    if (display.error) {
+      return res.status(400).json({
+        success: false,
+        error: display.error
+      });
+    }
+
     const room = await Room.findById(id).populate('locationId');
 
     if (!room) {
@@ -58,7 +77,7 @@ exports.getRoomById = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: room.toJSON()
+      data: withDisplayPrice(room, room.locationId?.currency, display)
     });
 
   } catch (error) {
@@ -140,7 +159,7 @@ exports.createRoom = async (req, res) => {
     await room.save();
 
     // Populate location before sending response
-    await room.populate('locationId', 'name city country');
+    await room.populate('locationId', 'name city country currency timezone openingHours');
 
     res.status(201).json({
       success: true,
@@ -186,7 +205,7 @@ exports.updateRoom = async (req, res) => {
     if (isActive !== undefined) room.isActive = isActive;
 
     await room.save();
-    await room.populate('locationId', 'name city country');
+    await room.populate('locationId', 'name city country currency timezone openingHours');
 
     res.status(200).json({
       success: true,
@@ -265,6 +284,15 @@ exports.getRoomsByLocation = async (req, res) => {
   try {
     const { locationId } = req.params;
 
+    // Convert displayed prices on request (?currency=EUR)
+    const display = await getDisplayCurrency(req.query.currency);
+    if (display.error) {
+      return res.status(400).json({
+        success: false,
+        error: display.error
+      });
+    }
+
     // Verify location exists
     const location = await Location.findById(locationId);
     if (!location) {
@@ -285,10 +313,11 @@ exports.getRoomsByLocation = async (req, res) => {
         id: location._id,
         name: location.name,
         city: location.city,
-        country: location.country
+        country: location.country,
+        currency: location.currency
       },
       count: rooms.length,
-      data: rooms.map(room => room.toJSON())
+      data: rooms.map(room => withDisplayPrice(room, location.currency, display))
     });
 
   } catch (error) {
@@ -1,4 +1,8 @@
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
+const Blackout = require('../models/Blackout');
+const { isValidTimezone, openingHoursError } = require('../utils/openingHours');
+
+const BLACKOUT_TYPES = Blackout.schema.path('type').enumValues;
 
 /**
  * Validation rules for creating a location
@@ -25,6 +29,30 @@ exports.locationValidation = [
     .trim()
     .notEmpty()
     .withMessage('Country is required'),
+
+  body('currency')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage('Currency must be a 3-letter ISO 4217 code')
+    .toUpperCase(),
+
+  body('timezone')
+    .optional()
+    .trim()
+    .custom(isValidTimezone)
+    .withMessage('Timezone must be a valid IANA time zone, e.g. Europe/Amsterdam'),
+
+  body('openingHours')
+    .optional()
+    .custom((value) => {
+      const error = openingHoursError(value);
+      if (error) {
+        throw new Error(error);
+      }
+
+      return true;
+    }),
   
   body('description')
     .optional()
@@ -79,3 +107,127 @@ exports.roomValidation = [
     .withMessage('Floor must be a non-negative integer')
 ];
 
+/**
+ * Validation rules for setting an exchange rate
+ */
+exports.exchangeRateValidation = [
+  param('currency')
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage('Currency must be a 3-letter ISO 4217 code'),
+
+  body('rate')
+    .notEmpty()
+    .withMessage('Exchange rate is required')
+    .isFloat({ gt: 0 })
+    .withMessage('Exchange rate must be a positive number')
+    .toFloat()
+];
+
+/**
+ * Validation rules for a room's display schedule
+ */
+exports.roomScheduleValidation = [
+  query('date')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be in YYYY-MM-DD format'),
+
+  query('view')
+    .optional()
+    .isIn(['day', 'week'])
+    .withMessage('View must be day or week')
+];
+
+/**
+ * Validation rules for creating a blackout
+ * Give a locationId to close a whole location, or a roomId to close one room
+ */
+exports.blackoutValidation = [
+  body('locationId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid location ID format'),
+
+  body('roomId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid room ID format')
+    .custom((value, { req }) => {
+      if (req.body.locationId) {
+        throw new Error('Give either a location ID or a room ID, not both');
+      }
+
+      return true;
+    }),
+
+  body('locationId')
+    .if(body('roomId').not().exists())
+    .notEmpty()
+    .withMessage('Location ID or room ID is required'),
+
+  body('startDate')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Start date must be in YYYY-MM-DD format'),
+
+  body('endDate')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('End date must be in YYYY-MM-DD format')
+    .custom((value, { req }) => {
+      if (value < req.body.startDate) {
+        throw new Error('End date must not be before start date');
+      }
+
+      return true;
+    }),
+
+  body('type')
+    .optional()
+    .isIn(BLACKOUT_TYPES)
+    .withMessage(`Type must be one of: ${BLACKOUT_TYPES.join(', ')}`),
+
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters')
+];
+
+/**
+ * Validation rules for updating a blackout
+ * The location and room cannot be changed; create a new blackout instead
+ */
+exports.updateBlackoutValidation = [
+  body(['startDate', 'endDate'])
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Dates must be in YYYY-MM-DD format'),
+
+  body('type')
+    .optional()
+    .isIn(BLACKOUT_TYPES)
+    .withMessage(`Type must be one of: ${BLACKOUT_TYPES.join(', ')}`),
+
+  body('reason')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Reason cannot be empty')
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters')
+];
+
+/**
+ * Validation rules for listing blackouts
+ */
+exports.blackoutQueryValidation = [
+  query(['locationId', 'roomId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  query(['startDate', 'endDate'])
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Dates must be in YYYY-MM-DD format')
+];
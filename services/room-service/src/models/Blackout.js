@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+/**
+ * Dates a location or a single room cannot be booked, e.g. public holidays, office moves, events
+ * Without a roomId the blackout closes every room at the location
+ */
+const blackoutSchema = new mongoose.Schema({
+  locationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: [true, 'Location ID is required']
+  },
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room'
+  },
+  startDate: {
+    type: String, // Store as YYYY-MM-DD format
+    required: [true, 'Start date is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Start date must be in YYYY-MM-DD format']
+  },
+  endDate: {
+    type: String, // Store as YYYY-MM-DD format, inclusive
+    required: [true, 'End date is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'End date must be in YYYY-MM-DD format']
+  },
+  type: {
+    type: String,
+    enum: ['holiday', 'office_move', 'event', 'maintenance', 'other'],
+    default: 'other'
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId
+  }
+}, {
+  timestamps: true
+});
+
+blackoutSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must not be before start date');
+  }
+  next();
+});
+
+// Blackouts of a location or room overlapping a date range
+blackoutSchema.index({ locationId: 1, startDate: 1, endDate: 1 });
+blackoutSchema.index({ roomId: 1, startDate: 1, endDate: 1 });
+
+// Method to format blackout data
+blackoutSchema.methods.toJSON = function() {
+  const blackout = this.toObject();
+  delete blackout.__v;
+  return blackout;
+};
+
+module.exports = mongoose.model('Blackout', blackoutSchema);
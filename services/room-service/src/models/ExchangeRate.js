@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+/**
+ * Units of a currency worth one unit of the base currency (BASE_CURRENCY)
+ * e.g. base USD, currency GBP, rate 0.79
+ * Maintained locally by admins; there is no live rate feed
+ */
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code']
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Exchange rate is required'],
+    min: [0.000001, 'Exchange rate must be positive']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId
+  }
+}, {
+  timestamps: true
+});
+
+// Method to format exchange rate data
+exchangeRateSchema.methods.toJSON = function() {
+  const exchangeRate = this.toObject();
+  delete exchangeRate.__v;
+  return exchangeRate;
+};
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
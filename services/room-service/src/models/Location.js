@@ -1,4 +1,22 @@
 const mongoose = require('mongoose');
+const { WEEKDAYS, DEFAULT_TIMEZONE, isValidTimezone, openingHoursError } = require('../utils/openingHours');
+
+const openingHoursSchema = new mongoose.Schema({
+  day: {
+    type: String,
+    enum: WEEKDAYS,
+    required: [true, 'Opening hours day is required']
+  },
+  // HH:mm in the location's time zone
+  open: {
+    type: String,
+    required: [true, 'Opening time is required']
+  },
+  close: {
+    type: String,
+    required: [true, 'Closing time is required']
+  }
+}, { _id: false });
 
 const locationSchema = new mongoose.Schema({
   name: {
@@ -23,6 +41,33 @@ const locationSchema = new mongoose.Schema({
     required: [true, 'Country is required'],
     trim: true
   },
+  // ISO 4217 code; room base prices at this location are in this currency
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code'],
+    default: () => process.env.BASE_CURRENCY || 'USD'
+  },
+  // IANA time zone; booking dates and times at this location are wall-clock times in this zone
+  timezone: {
+    type: String,
+    trim: true,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimezone,
+      message: props => `${props.value} is not a valid IANA time zone`
+    }
+  },
+  // Weekly opening hours; days without an entry are closed, and no entries at all means always open
+  openingHours: {
+    type: [openingHoursSchema],
+    default: [],
+    validate: {
+      validator: openingHours => openingHoursError(openingHours) === null,
+      message: props => openingHoursError(props.value)
+    }
+  },
   description: {
     type: String,
     trim: true,
@@ -42,6 +42,11 @@ const roomSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Bumped to revoke the room's calendar feed URLs
+  calendarTokenVersion: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
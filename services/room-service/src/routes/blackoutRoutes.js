@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const blackoutController = require('../controllers/blackoutController');
+const { verifyToken, authorize } = require('../middleware/auth');
+const {
+  blackoutValidation,
+  updateBlackoutValidation,
+  blackoutQueryValidation
+} = require('../middleware/validators');
+
+// Public routes (no authentication required)
+router.get('/blackouts', blackoutQueryValidation, blackoutController.getBlackouts);
+router.get('/blackouts/:id', blackoutController.getBlackoutById);
+
+// Protected routes (admin only)
+router.post(
+  '/blackouts',
+  verifyToken,
+  authorize('admin'),
+  blackoutValidation,
+  blackoutController.createBlackout
+);
+
+router.put(
+  '/blackouts/:id',
+  verifyToken,
+  authorize('admin'),
+  updateBlackoutValidation,
+  blackoutController.updateBlackout
+);
+
+router.delete(
+  '/blackouts/:id',
+  verifyToken,
+  authorize('admin'),
+  blackoutController.deleteBlackout
+);
+
+module.exports = router;
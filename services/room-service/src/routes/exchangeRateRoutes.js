@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const exchangeRateController = require('../controllers/exchangeRateController');
+const { verifyToken, authorize } = require('../middleware/auth');
+const { exchangeRateValidation } = require('../middleware/validators');
+
+// Public routes (no authentication required)
+router.get('/exchange-rates', exchangeRateController.getExchangeRates);
+
+// Protected routes (admin only)
+router.put(
+  '/exchange-rates/:currency',
+  verifyToken,
+  authorize('admin'),
+  exchangeRateValidation,
+  exchangeRateController.setExchangeRate
+);
+
+router.delete(
+  '/exchange-rates/:currency',
+  verifyToken,
+  authorize('admin'),
+  exchangeRateController.deleteExchangeRate
+);
+
+module.exports = router;
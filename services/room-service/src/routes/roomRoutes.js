@@ -1,15 +1,34 @@
 const express = require('express');
 const router = express.Router();
 const roomController = require('../controllers/roomController');
+const roomCalendarController = require('../controllers/roomCalendarController');
 const { verifyToken, authorize } = require('../middleware/auth');
-const { roomValidation } = require('../middleware/validators');
+const { roomValidation, roomScheduleValidation } = require('../middleware/validators');
 
 // Public routes (no authentication required)
 router.get('/rooms', roomController.getAllRooms);
 router.get('/rooms/:id', roomController.getRoomById);
 router.get('/rooms/location/:locationId', roomController.getRoomsByLocation);
 
+// Read-only room feeds for displays and shared calendars (room calendar token instead of login)
+router.get('/rooms/:id/schedule', roomScheduleValidation, roomCalendarController.getRoomSchedule);
+router.get('/rooms/:id/calendar.ics', roomCalendarController.getRoomCalendar);
+
 // Protected routes (admin only)
+router.get(
+  '/rooms/:id/calendar-token',
+  verifyToken,
+  authorize('admin'),
+  roomCalendarController.getRoomCalendarToken
+);
+
+router.post(
+  '/rooms/:id/calendar-token',
+  verifyToken,
+  authorize('admin'),
+  roomCalendarController.regenerateRoomCalendarToken
+);
+
 router.post(
   '/rooms',
   verifyToken,
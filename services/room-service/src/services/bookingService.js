@@ -0,0 +1,32 @@
+const axios = require('axios');
+
+const BOOKING_SERVICE_URL = process.env.BOOKING_SERVICE_URL || 'http://localhost:8003';
+
+/**
+ * Get a room's bookings between two dates from Booking Service
+ * format 'json' resolves to the booking list, 'ics' to an iCalendar document
+ * The room's calendar token is passed on; Booking Service checks it as well
+ */
+const getRoomSchedule = async (roomId, { startDate, endDate, token, format = 'json' }) => {
+  try {
+    const response = await axios.get(`${BOOKING_SERVICE_URL}/bookings/room/${roomId}/schedule`, {
+      params: { startDate, endDate, format, token },
+      responseType: format === 'ics' ? 'text' : 'json',
+      timeout: 30000 // 30 second timeout
+    });
+
+    return format === 'ics' ? response.data : response.data.data;
+  } catch (error) {
+    console.error('Booking Service Error:', {
+      message: error.message,
+      code: error.code,
+      status: error.response?.status,
+      data: error.response?.data
+    });
+    throw new Error(error.response?.data?.error || error.message || 'Failed to fetch room schedule');
+  }
+};
+
+module.exports = {
+  getRoomSchedule
+};
@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+
+// Secret calendar feed tokens are signed with; feeds are disabled without it
+// Must match CALENDAR_TOKEN_SECRET in Booking Service, which checks room tokens again
+// Changing it invalidates every subscribed feed URL; regenerate a room's token to revoke just that room's feeds
+const CALENDAR_TOKEN_SECRET = process.env.CALENDAR_TOKEN_SECRET;
+
+/**
+ * Whether calendar feed tokens can be issued and checked
+ */
+const calendarFeedsEnabled = () => Boolean(CALENDAR_TOKEN_SECRET);
+
+/**
+ * Token granting read access to one calendar feed, e.g. signCalendarToken('room', roomId, room.calendarTokenVersion)
+ * Calendar apps and lobby displays cannot log in, so the token goes in the feed URL
+ * Version 0 keeps tokens issued before rooms had a token version
+ */
+const signCalendarToken = (type, id, version = 0) => crypto
+  .createHmac('sha256', CALENDAR_TOKEN_SECRET)
+  .update(version > 0 ? `${type}:${id}:${version}` : `${type}:${id}`)
+  .digest('base64url');
+
+/**
+ * Check a calendar feed token against the feed's current token version in constant time
+ */
+const verifyCalendarToken = (type, id, token, version = 0) => {
+  if (!calendarFeedsEnabled() || typeof token !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(signCalendarToken(type, id, version));
+  const actual = Buffer.from(token);
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  calendarFeedsEnabled,
+  signCalendarToken,
+  verifyCalendarToken
+};
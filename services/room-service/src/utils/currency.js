@@ -0,0 +1,83 @@
+const ExchangeRate = require('../models/ExchangeRate');
+
+// Currency exchange rates are quoted against
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+/**
+ * Current exchange rates as a map of currency -> units per base currency unit
+ * The base currency is always present with rate 1
+ */
+const getExchangeRates = async () => {
+  const rates = new Map([[BASE_CURRENCY, 1]]);
+  const exchangeRates = await ExchangeRate.find();
+
+  for (const exchangeRate of exchangeRates) {
+    rates.set(exchangeRate.currency, exchangeRate.rate);
+  }
+
+  return rates;
+};
+
+/**
+ * Convert an amount between currencies, rounded to 2 decimal places
+ * Returns null when either currency has no exchange rate
+ */
+const convertAmount = (amount, from, to, rates) => {
+  if (!rates.has(from) || !rates.has(to)) {
+    return null;
+  }
+
+  return Math.round(amount / rates.get(from) * rates.get(to) * 100) / 100;
+};
+
+/**
+ * Exchange rates for a requested display currency (?currency=EUR)
+ * Resolves to { currency, rates }, { currency: null } when none was requested,
+ * or { error } when the currency has no exchange rate
+ */
+const getDisplayCurrency = async (code) => {
+  if (!code) {
+    return { currency: null };
+  }
+
+  const currency = code.trim().toUpperCase();
+  const rates = await getExchangeRates();
+
+  if (!rates.has(currency)) {
+    return { error: `No exchange rate for currency ${currency}` };
+  }
+
+  return { currency, rates };
+};
+
+/**
+ * Room JSON with its base price converted into the display currency, if one was requested
+ * The stored basePrice stays in the location's currency
+ */
+const withDisplayPrice = (room, roomCurrency, { currency, rates }) => {
+  const json = room.toJSON();
+
+  if (!currency) {
+    return json;
+  }
+
+  const from = roomCurrency || BASE_CURRENCY;
+  const basePrice = convertAmount(room.basePrice, from, currency, rates);
+
+  return {
+    ...json,
+    displayPrice: basePrice === null ? null : {
+      currency,
+      basePrice,
+      exchangeRate: Math.round(rates.get(currency) / rates.get(from) * 1e6) / 1e6
+    }
+  };
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  getExchangeRates,
+  convertAmount,
+  getDisplayCurrency,
+  withDisplayPrice
+};
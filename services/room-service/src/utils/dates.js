@@ -0,0 +1,41 @@
+/**
+ * Helpers for YYYY-MM-DD dates
+ */
+
+/**
+ * YYYY-MM-DD for a Date in an IANA time zone (UTC without one)
+ */
+const toLocalDateString = (date, timezone = 'UTC') => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date);
+
+  const fields = Object.fromEntries(parts.map(part => [part.type, part.value]));
+  return `${fields.year}-${fields.month}-${fields.day}`;
+};
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ */
+const addDays = (date, days) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + days);
+  return day.toISOString().split('T')[0];
+};
+
+/**
+ * Monday of the week containing a YYYY-MM-DD date
+ */
+const weekStart = (date) => {
+  const weekday = (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+  return addDays(date, -weekday);
+};
+
+module.exports = {
+  toLocalDateString,
+  addDays,
+  weekStart
+};
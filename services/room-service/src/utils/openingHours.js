@@ -0,0 +1,68 @@
+/**
+ * Helpers for location time zones and weekly opening hours
+ * Opening hours are HH:mm wall-clock times in the location's time zone; "24:00" closes at midnight
+ */
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+// Time zone of locations created without one
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+/**
+ * Check whether a string is an IANA time zone name, e.g. Europe/Amsterdam
+ */
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Describe the first problem with a list of opening hours, or return null when it is valid
+ * Each entry is { day, open, close }; a day may have several non-overlapping entries
+ */
+const openingHoursError = (openingHours) => {
+  if (!Array.isArray(openingHours)) {
+    return 'Opening hours must be an array';
+  }
+
+  for (const entry of openingHours) {
+    if (!entry || !WEEKDAYS.includes(entry.day)) {
+      return `Opening hours day must be one of: ${WEEKDAYS.join(', ')}`;
+    }
+    if (!TIME_PATTERN.test(entry.open || '') || !TIME_PATTERN.test(entry.close || '')) {
+      return `Opening hours for ${entry.day} must use HH:mm times`;
+    }
+    if (entry.close <= entry.open) {
+      return `Opening hours for ${entry.day} must close after they open`;
+    }
+  }
+
+  for (const day of WEEKDAYS) {
+    const periods = openingHours
+      .filter(entry => entry.day === day)
+      .sort((a, b) => a.open.localeCompare(b.open));
+
+    for (let i = 1; i < periods.length; i++) {
+      if (periods[i].open < periods[i - 1].close) {
+        return `Opening hours for ${day} overlap`;
+      }
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  WEEKDAYS,
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  openingHoursError
+};
@@ -6,6 +6,16 @@
 const axios = require('axios');
 const colors = require('colors');
 
+// Calendar tokens read their secret when loaded; sign test tokens with a throwaway one
+process.env.CALENDAR_TOKEN_SECRET = process.env.CALENDAR_TOKEN_SECRET || 'room-service-test-secret';
+const { signCalendarToken, verifyCalendarToken } = require('./src/utils/calendarTokens');
+const { isValidTimezone, openingHoursError } = require('./src/utils/openingHours');
+const { toLocalDateString } = require('./src/utils/dates');
+const { convertAmount, withDisplayPrice } = require('./src/utils/currency');
+const { validationResult } = require('express-validator');
+const { blackoutValidation } = require('./src/middleware/validators');
+const Blackout = require('./src/models/Blackout');
+
 const BASE_URL = process.env.ROOM_SERVICE_URL || 'http://localhost:8002';
 const TEST_TIMEOUT = 30000;
 
@@ -239,6 +249,93 @@ async function runTests() {
     }
   });
 
+  // Test 9: Room calendar token versions
+  await testEndpoint('Room Calendar Token Versions', async () => {
+    const roomId = '507f1f77bcf86cd799439012';
+    const original = signCalendarToken('room', roomId);
+    const regenerated = signCalendarToken('room', roomId, 1);
+
+    return {
+      success: verifyCalendarToken('room', roomId, original, 0) &&
+        !verifyCalendarToken('room', roomId, original, 1) &&
+        verifyCalendarToken('room', roomId, regenerated, 1) &&
+        !verifyCalendarToken('user', roomId, original) &&
+        !verifyCalendarToken('room', roomId, undefined),
+      details: 'regenerated token revokes the previous one'
+    };
+  });
+
+  // Test 10: Location time zones and opening hours
+  await testEndpoint('Location Time Zones and Opening Hours', async () => {
+    const errors = [
+      openingHoursError([{ day: 'monday', open: '09:00', close: '12:00' }, { day: 'monday', open: '13:00', close: '24:00' }]),
+      openingHoursError([{ day: 'funday', open: '09:00', close: '12:00' }]),
+      openingHoursError([{ day: 'monday', open: '9:00', close: '12:00' }]),
+      openingHoursError([{ day: 'monday', open: '12:00', close: '09:00' }]),
+      openingHoursError([{ day: 'monday', open: '09:00', close: '12:00' }, { day: 'monday', open: '11:00', close: '14:00' }])
+    ];
+    // 14:00 UTC on 19 October 2026 is already the 20th in Sydney
+    const instant = new Date('2026-10-19T14:00:00Z');
+
+    return {
+      success: errors[0] === null &&
+        errors[1].startsWith('Opening hours day must be one of') &&
+        errors[2] === 'Opening hours for monday must use HH:mm times' &&
+        errors[3] === 'Opening hours for monday must close after they open' &&
+        errors[4] === 'Opening hours for monday overlap' &&
+        isValidTimezone('Europe/Amsterdam') && !isValidTimezone('Mars/Olympus') &&
+        toLocalDateString(instant, 'Australia/Sydney') === '2026-10-20' &&
+        toLocalDateString(instant, 'America/New_York') === '2026-10-19',
+      details: errors.filter(Boolean).join('; ')
+    };
+  });
+
+  // Test 11: Currency conversion and display prices
+  await testEndpoint('Currency Display Prices', async () => {
+    const rates = new Map([['USD', 1], ['EUR', 0.9], ['GBP', 0.8]]);
+    const room = { basePrice: 45, toJSON: () => ({ name: 'Room', basePrice: 45 }) };
+    const display = withDisplayPrice(room, 'EUR', { currency: 'GBP', rates });
+    const unchanged = withDisplayPrice(room, 'EUR', { currency: null });
+
+    return {
+      success: convertAmount(45, 'EUR', 'USD', rates) === 50 &&
+        convertAmount(10, 'USD', 'JPY', rates) === null &&
+        display.basePrice === 45 &&
+        display.displayPrice.currency === 'GBP' &&
+        display.displayPrice.basePrice === 40 &&
+        display.displayPrice.exchangeRate === 0.888889 &&
+        unchanged.displayPrice === undefined,
+      details: `EUR 45 = GBP ${display.displayPrice?.basePrice}`
+    };
+  });
+
+  // Test 12: Blackout validation
+  await testEndpoint('Blackout Validation', async () => {
+    const validate = async (body) => {
+      const req = { body };
+      await Promise.all(blackoutValidation.map(rule => rule.run(req)));
+      return validationResult(req).array().map(error => error.msg);
+    };
+    const locationId = '507f1f77bcf86cd799439011';
+    const valid = await validate({ locationId, startDate: '2026-12-24', endDate: '2026-12-26', type: 'holiday', reason: 'Christmas' });
+    const both = await validate({ locationId, roomId: locationId, startDate: '2026-12-24', endDate: '2026-12-26', reason: 'Christmas' });
+    const neither = await validate({ startDate: '2026-12-24', endDate: '2026-12-26', reason: 'Christmas' });
+    const reversed = await validate({ locationId, startDate: '2026-12-26', endDate: '2026-12-24', reason: 'Christmas' });
+    // The end date check is a pre-validate hook, which validateSync skips
+    const model = await new Blackout({ locationId, startDate: '2026-12-26', endDate: '2026-12-24', reason: 'Christmas' })
+      .validate()
+      .then(() => null, error => error);
+
+    return {
+      success: valid.length === 0 &&
+        both.includes('Give either a location ID or a room ID, not both') &&
+        neither.includes('Location ID or room ID is required') &&
+        reversed.includes('End date must not be before start date') &&
+        model?.errors.endDate?.message === 'End date must not be before start date',
+      details: [...both, ...neither, ...reversed].join('; ')
+    };
+  });
+
   // Summary
   console.log('\n' + '='.repeat(60).cyan);
   console.log('📊 Test Summary'.cyan.bold);